@@ -106,28 +106,6 @@
     "venezuela": "VEN"
   };
 
-  var MLB_LOGO_FILE_ALIASES = {
-    "AUS": "Australia",
-    "BRA": "Brazil",
-    "CAN": "Canada",
-    "CUB": "Cuba",
-    "CZE": "Czech Republic",
-    "DOM": "Dominican Republic",
-    "GBR": "Great Britain",
-    "ISR": "Israel",
-    "ITA": "Italy",
-    "JPN": "Japan",
-    "KOR": "South Korea",
-    "MEX": "Mexico",
-    "NCA": "Nicaragua",
-    "NED": "Kingdom of the Netherlands",
-    "PAN": "Panama",
-    "PUR": "Puerto Rico",
-    "TPE": "Chinese Taipei",
-    "TWN": "Chinese Taipei",
-    "USA": "United States",
-    "VEN": "Venezuela"
-  };
 
 
 
@@ -269,15 +247,14 @@
     gamesPerColumn: ["scoreboardRows", "rowsPerColumn"]
   };
 
-  var EXTENDED_LAYOUT_LEAGUES = { nfl: true, nhl: true, nba: true, worldcup: true, olympic_mhockey: true, olympic_whockey: true };
-
-  var SUPPORTED_LEAGUES = ["mlb", "wbc", "nhl", "nfl", "nba", "worldcup", "olympic_mhockey", "olympic_whockey"];
-  var MLB_MAX_GAMES_PER_PAGE = 8;
-  var MLB_MAX_COLUMNS        = 2;
-
   Module.register("MMM-Scores", {
     defaults: {
       updateIntervalScores:            60 * 1000,
+      adaptivePolling:                  true,
+      livePollIntervalMs:               null,
+      pregamePollIntervalMs:     10 * 60 * 1000,
+      idlePollIntervalMs:        30 * 60 * 1000,
+      pollJitterMs:                     5000,
       scoreboardColumns:               null,
       gamesPerColumn:                  null,
       gamesPerPage:                      null,
@@ -287,9 +264,19 @@
       timeZone:               "America/Chicago",
       highlightedTeams_mlb:             [],
       highlightedTeams_nhl:             [],
+      highlightedTeams_pwhl:            [],
+      highlightedTeams_ahl:             [],
       highlightedTeams_nfl:             [],
+      highlightedTeams_ncaaf:           [],
       highlightedTeams_nba:             [],
+      highlightedTeams_wnba:            [],
+      highlightedTeams_ncaam:           [],
+      highlightedTeams_ncaaw:           [],
       highlightedTeams_worldcup:        [],
+      highlightedTeams_mls:             [],
+      highlightedTeams_epl:             [],
+      highlightedTeams_ucl:             [],
+      highlightedTeams_nwsl:            [],
       highlightedTeams_olympic_mhockey: [],
       highlightedTeams_olympic_whockey: [],
       highlightedTeams_oly_mhockey:     [],
@@ -298,13 +285,48 @@
       useTimesSquareFont:               true,
       requestTimeoutMs:              15000,
       lastGoodCacheMs:         6 * 60 * 60 * 1000,
+      persistCache:                    false,
+      cacheFile:          "cache/last-good.json",
       seasonalFiltering:                true,
       hideNhlDuringOlympics:            true,
       hideNhlFrom:              "2026-02-06",
       hideNhlUntil:             "2026-02-24",
       hideOlympicsAfterEnd:             true,
       hideOlympicsFrom:         "2026-02-24",
+      hidePwhlOffseason:                true,
+      pwhlSeasonFrom:                "11-15",
+      pwhlSeasonUntil:               "05-31",
+      hideAhlOffseason:                 true,
+      ahlSeasonFrom:                 "10-01",
+      ahlSeasonUntil:                "06-30",
+      hideWnbaOffseason:                true,
+      wnbaSeasonFrom:                "05-01",
+      wnbaSeasonUntil:               "10-31",
+      hideNcaafOffseason:               true,
+      ncaafSeasonFrom:               "08-20",
+      ncaafSeasonUntil:              "01-25",
+      ncaafConferences:                 null,
+      ncaafTop25Only:                  false,
+      hideNcaamOffseason:               true,
+      ncaamSeasonFrom:               "11-01",
+      ncaamSeasonUntil:              "04-10",
+      ncaamConferences:                 null,
+      ncaamTop25Only:                  false,
+      ncaamTournamentOnly:             false,
+      hideNcaawOffseason:               true,
+      ncaawSeasonFrom:               "11-01",
+      ncaawSeasonUntil:              "04-10",
+      ncaawConferences:                 null,
+      ncaawTop25Only:                  false,
+      ncaawTournamentOnly:             false,
+      soccerLeagues:                    null,
       showProviderStatus:              false,
+      logPayloadSize:                  false,
+      scoreAnimation:                "flash",
+      scoreAnimationMs:            10 * 1000,
+      broadcastNotifications:           true,
+      notificationTeams:               "all",
+      notificationEvents:               null,
 
       // Width cap so it behaves in middle_center
       maxWidth:                      "800px"
@@ -312,22 +334,14 @@
 
     getHeader: function () {
       if (!this.config.showTitle) return null;
-      var league = this._getLeague();
-      if (league === "mlb") return "MLB Scoreboard";
-      if (league === "wbc") return "WBC Scoreboard";
-      if (league === "nhl") return "NHL Scoreboard";
-      if (league === "nfl") return "NFL Scoreboard";
-      if (league === "nba") return "NBA Scoreboard";
-      if (league === "worldcup") return "World Cup Scoreboard";
-      if (league === "olympic_mhockey") return "Men's Olympic Hockey Scoreboard";
-      if (league === "olympic_whockey") return "Women's Olympic Hockey Scoreboard";
-      return "Scoreboard";
+      var definition = this._leagueDefinition();
+      return (definition && definition.header) ? definition.header : "Scoreboard";
     },
 
     getScripts: function () {
       // MagicMirror already provides moment-timezone globally; avoid loading our own copy to
       // prevent clobbering other modules (e.g., the Calendar module relies on moment.tz).
-      return ["shared-league-config.js"];
+      return ["shared-league-registry.js", "shared-league-config.js"];
     },
 
     getStyles: function () {
@@ -365,24 +379,90 @@
       this._lastRenderedDom = null;
       this._activeWidthSyncTimer = null;
       this._activeWidthSyncAttempts = 0;
+      this._scoreSnapshots = {};
+      this._scoringHighlights = {};
+      this._scoringExpiryTimer = null;
+      this._rotationPaused = false;
 
       this._applyActiveLeagueState();
 
+      // The helper owns polling; INIT only registers this instance. Quiet
+      // leagues may go half an hour without a payload, so liveness comes from
+      // a PING/PONG keepalive and INIT is re-sent only to a helper that no
+      // longer knows this instance (e.g. after a restart) or stops answering.
+      this._lastHelperPayloadAt = Date.now();
+      this._sendInit();
       var self = this;
-      var sendInit = function () { self.sendSocketNotification("INIT", self._buildHelperConfig()); };
-      sendInit();
       var refreshInterval = this._asPositiveInt(this.config.updateIntervalScores, 60 * 1000);
-      setInterval(sendInit, refreshInterval);
+      setInterval(function () { self._checkHelperHeartbeat(refreshInterval); }, refreshInterval);
 
       this._scheduleRotate();
     },
 
-    notificationReceived: function (notification) {
+    _sendInit: function () {
+      this.sendSocketNotification("INIT", this._buildHelperConfig());
+    },
+
+    _checkHelperHeartbeat: function (refreshInterval) {
+      var quietFor = Date.now() - (this._lastHelperPayloadAt || 0);
+      if (quietFor < refreshInterval * 3) {
+        this.sendSocketNotification("PING", { identifier: this.identifier });
+        return;
+      }
+      this._lastHelperPayloadAt = Date.now();
+      this._sendInit();
+    },
+
+    notificationReceived: function (notification, payload) {
       if (notification === "MODULE_DOM_CREATED" || notification === "DOM_OBJECTS_CREATED") {
         this._schedulePlacementCheck(100);
+        return;
+      }
+      if (typeof notification === "string" && notification.indexOf("SCORES_") === 0) {
+        this._handleRemoteNotification(notification, payload);
       }
     },
 
+    // Remote control (MMM-Remote-Control, voice assistants, touch buttons).
+    // Object payloads may carry `identifier` to address a single instance.
+    // Returns true when the notification moved or paused the scoreboard.
+    _handleRemoteNotification: function (notification, payload) {
+      var options = (payload && typeof payload === "object") ? payload : {};
+      if (options.identifier && options.identifier !== this.identifier) return false;
+
+      if (notification === "SCORES_PAUSE_ROTATION") {
+        this._rotationPaused = true;
+        clearTimeout(this.rotateTimer);
+        this.rotateTimer = null;
+        return true;
+      }
+      if (notification === "SCORES_RESUME_ROTATION") {
+        if (!this._rotationPaused) return false;
+        this._rotationPaused = false;
+        this._scheduleRotate();
+        return true;
+      }
+
+      var moved = false;
+      if (notification === "SCORES_NEXT_PAGE") {
+        this._advanceRotation();
+        moved = true;
+      } else if (notification === "SCORES_PREV_PAGE") {
+        this._rewindRotation();
+        moved = true;
+      } else if (notification === "SCORES_SHOW_LEAGUE") {
+        moved = this._showLeague(typeof payload === "string" ? payload : options.league, options.page);
+      } else if (notification === "SCORES_FOCUS_TEAM") {
+        moved = this._focusTeam(typeof payload === "string" ? payload : options.team, options.league);
+      }
+      if (!moved) return false;
+
+      this.updateDom(300);
+      // A manual move gets a full interval before the rotation continues.
+      if (!this._rotationPaused) this._scheduleRotate();
+      return true;
+    },
+
     // ---------- helpers ----------
     _toCssSize: function (v, fallback) {
       if (fallback == null) fallback = "800px";
@@ -417,31 +497,44 @@
       return (typeof window !== "undefined" && window.MmmScoresLeagueConfig) ? window.MmmScoresLeagueConfig : null;
     },
 
+    _leagueRegistry: function () {
+      return (typeof window !== "undefined" && window.MmmScoresLeagueRegistry) ? window.MmmScoresLeagueRegistry : null;
+    },
+
+    _leagueDefinition: function (league) {
+      var registry = this._leagueRegistry();
+      if (!registry) return null;
+      return registry.getLeague(league || this._getLeague());
+    },
+
+    // Adds `league-<key>` plus the class of the league named by the registry's
+    // `styleAs`, so WNBA cards pick up the NBA styles and club soccer the World Cup's.
+    _applyLeagueClasses: function (element, league) {
+      element.classList.add("league-" + league);
+      var definition = this._leagueDefinition(league);
+      if (definition && definition.styleAs && definition.styleAs !== league) {
+        element.classList.add("league-" + definition.styleAs);
+      }
+    },
+
+    _leagueLayout: function (league) {
+      var definition = this._leagueDefinition(league);
+      if (definition && definition.layout) return definition.layout;
+      if (!league) league = this._getLeague();
+      if (league === "mlb" || league === "wbc") {
+        return { columns: DEFAULT_SCOREBOARD_COLUMNS, rows: DEFAULT_GAMES_PER_COLUMN, maxColumns: 2, maxGamesPerPage: 8, compact: false };
+      }
+      return { columns: DEFAULT_SCOREBOARD_COLUMNS_PRO, rows: DEFAULT_GAMES_PER_COLUMN_PRO, compact: true };
+    },
+
     _normalizeLeagueKey: function (value) {
       var shared = this._leagueConfig();
-      if (shared) return shared.normalizeLeagueKey(value);
-      if (value == null) return null;
-      var str = String(value).trim().toLowerCase();
-      return SUPPORTED_LEAGUES.indexOf(str) !== -1 ? str : null;
+      return shared ? shared.normalizeLeagueKey(value) : null;
     },
 
     _coerceLeagueArray: function (input) {
       var shared = this._leagueConfig();
-      if (shared) return shared.coerceLeagueArray(input);
-      var tokens = [];
-      var collect = function (entry) {
-        if (entry == null) return;
-        if (Array.isArray(entry)) { for (var i = 0; i < entry.length; i++) collect(entry[i]); return; }
-        String(entry).trim().split(/[\s,]+/).forEach(function (part) { if (part) tokens.push(part); });
-      };
-      collect(input);
-      var out = [], seen = {};
-      for (var k = 0; k < tokens.length; k++) {
-        var lower = String(tokens[k]).toLowerCase();
-        if (lower === "all") return SUPPORTED_LEAGUES.slice();
-        if (SUPPORTED_LEAGUES.indexOf(lower) !== -1 && !seen[lower]) { out.push(lower); seen[lower] = true; }
-      }
-      return out;
+      return shared ? shared.coerceLeagueArray(input) : [];
     },
 
     _extractModulePosition: function () {
@@ -607,6 +700,7 @@
       payload.leagues = leagues.slice();
       payload.league  = leagues[0];
       payload.activeLeague = this._getLeague();
+      payload.identifier = this.identifier;
       return payload;
     },
 
@@ -642,25 +736,14 @@
       if (this.currentScreen >= this.totalGamePages) this.currentScreen = 0;
     },
 
-    _getHighlightedTeamsConfig: function () {
-      var league = this._getLeague();
-      if (league === "nhl") return this.config.highlightedTeams_nhl;
-      if (league === "nfl") return this.config.highlightedTeams_nfl;
-      if (league === "nba") return this.config.highlightedTeams_nba;
-      if (league === "worldcup") return this.config.highlightedTeams_worldcup;
-      if (league === "olympic_mhockey") {
-        return this._pickFirstHighlightConfig([
-          this.config.highlightedTeams_olympic_mhockey,
-          this.config.highlightedTeams_oly_mhockey
-        ]);
-      }
-      if (league === "olympic_whockey") {
-        return this._pickFirstHighlightConfig([
-          this.config.highlightedTeams_olympic_whockey,
-          this.config.highlightedTeams_oly_whockey
-        ]);
-      }
-      return this.config.highlightedTeams_mlb;
+    _getHighlightedTeamsConfig: function (league) {
+      if (!league) league = this._getLeague();
+      var definition = this._leagueDefinition(league);
+      var keys = (definition && Array.isArray(definition.highlightKeys))
+        ? definition.highlightKeys
+        : ["highlightedTeams_" + (league === "wbc" ? "mlb" : league)];
+      var config = this.config;
+      return this._pickFirstHighlightConfig(keys.map(function (key) { return config[key]; }));
     },
 
     _pickFirstHighlightConfig: function (values) {
@@ -705,37 +788,24 @@
     },
 
     _defaultColumnsForLeague: function () {
-      var league = this._getLeague();
-      if (EXTENDED_LAYOUT_LEAGUES[league]) return DEFAULT_SCOREBOARD_COLUMNS_PRO;
-      return DEFAULT_SCOREBOARD_COLUMNS;
+      return this._leagueLayout().columns;
     },
 
     _defaultRowsForLeague: function () {
-      var league = this._getLeague();
-      if (EXTENDED_LAYOUT_LEAGUES[league]) return DEFAULT_GAMES_PER_COLUMN_PRO;
-      return DEFAULT_GAMES_PER_COLUMN;
+      return this._leagueLayout().rows;
     },
 
     _minimumLayoutForLeague: function (league) {
-      if (!league) league = this._getLeague();
-      if (EXTENDED_LAYOUT_LEAGUES[league]) {
-        return { columns: DEFAULT_SCOREBOARD_COLUMNS_PRO, rows: DEFAULT_GAMES_PER_COLUMN_PRO };
-      }
-      return { columns: DEFAULT_SCOREBOARD_COLUMNS, rows: DEFAULT_GAMES_PER_COLUMN };
+      var layout = this._leagueLayout(league);
+      return { columns: layout.columns, rows: layout.rows };
     },
 
     _maximumGamesPerPageForLeague: function (league) {
-      if (!league) league = this._getLeague();
-      if (league === "mlb") return MLB_MAX_GAMES_PER_PAGE;
-      if (league === "wbc") return MLB_MAX_GAMES_PER_PAGE;
-      return null;
+      return this._leagueLayout(league).maxGamesPerPage || null;
     },
 
     _maximumColumnsForLeague: function (league) {
-      if (!league) league = this._getLeague();
-      if (league === "mlb") return MLB_MAX_COLUMNS;
-      if (league === "wbc") return MLB_MAX_COLUMNS;
-      return null;
+      return this._leagueLayout(league).maxColumns || null;
     },
 
     _syncScoreboardLayout: function () {
@@ -849,8 +919,7 @@
       var scale = (typeof this._layoutScale === "number") ? this._layoutScale : this._resolveLayoutScale();
       if (!(typeof scale === "number" && isFinite(scale) && scale > 0)) scale = 1;
 
-      var league = this._getLeague();
-      var baseWidth = EXTENDED_LAYOUT_LEAGUES[league]
+      var baseWidth = this._leagueLayout().compact
         ? SCOREBOARD_CARD_WIDTH_BASE_COMPACT
         : SCOREBOARD_CARD_WIDTH_BASE;
 
@@ -979,6 +1048,90 @@
       this._applyActiveLeagueState();
     },
 
+    _rewindRotation: function () {
+      if (this.currentScreen > 0) {
+        this.currentScreen -= 1;
+        return;
+      }
+
+      if (Array.isArray(this._leagueRotation) && this._leagueRotation.length > 1) {
+        var idx = (typeof this._activeLeagueIndex === "number") ? this._activeLeagueIndex : 0;
+        this._activeLeagueIndex = (idx - 1 + this._leagueRotation.length) % this._leagueRotation.length;
+        this._applyActiveLeagueState();
+      }
+      this.currentScreen = Math.max(0, this.totalGamePages - 1);
+    },
+
+    _showLeague: function (league, page) {
+      var key = this._normalizeLeagueKey(league);
+      var idx = Array.isArray(this._leagueRotation) ? this._leagueRotation.indexOf(key) : -1;
+      if (idx === -1) {
+        console.warn("MMM-Scores: SCORES_SHOW_LEAGUE ignored; " + league + " is not in the rotation.");
+        return false;
+      }
+
+      this._activeLeagueIndex = idx;
+      this.currentScreen = 0;
+      this._applyActiveLeagueState();
+      var pageIndex = parseInt(page, 10);
+      if (isFinite(pageIndex) && pageIndex > 0) this.currentScreen = Math.min(pageIndex - 1, this.totalGamePages - 1);
+      return true;
+    },
+
+    // Shows the page holding the team's game, searching the requested league
+    // first, then the active one, then the rest of the rotation. A team that
+    // only appears on the upcoming schedule lands on the schedule page.
+    _focusTeam: function (team, league) {
+      var wanted = String(team || "").trim().toUpperCase();
+      if (!wanted || !Array.isArray(this._leagueRotation)) return false;
+
+      var order = [];
+      var preferred = [this._normalizeLeagueKey(league), this._getLeague()];
+      for (var p = 0; p < preferred.length; p++) {
+        if (preferred[p] && this._leagueRotation.indexOf(preferred[p]) !== -1 && order.indexOf(preferred[p]) === -1) order.push(preferred[p]);
+      }
+      if (!league) {
+        for (var r = 0; r < this._leagueRotation.length; r++) {
+          if (order.indexOf(this._leagueRotation[r]) === -1) order.push(this._leagueRotation[r]);
+        }
+      }
+
+      for (var i = 0; i < order.length; i++) {
+        var key = order[i];
+        var games = (this.gamesByLeague && Array.isArray(this.gamesByLeague[key])) ? this.gamesByLeague[key] : [];
+        for (var g = 0; g < games.length; g++) {
+          if (!this._gameHasTeam(games[g], wanted, key)) continue;
+          this._activeLeagueIndex = this._leagueRotation.indexOf(key);
+          this.currentScreen = 0;
+          this._applyActiveLeagueState();
+          this.currentScreen = Math.min(Math.floor(g / this._gamesPerPage), this.totalGamePages - 1);
+          return true;
+        }
+        var scheduled = (this.scheduleGamesByLeague && Array.isArray(this.scheduleGamesByLeague[key])) ? this.scheduleGamesByLeague[key] : [];
+        for (var s = 0; s < scheduled.length; s++) {
+          if (!this._gameHasTeam(scheduled[s], wanted, key)) continue;
+          this._activeLeagueIndex = this._leagueRotation.indexOf(key);
+          this.currentScreen = 0;
+          this._applyActiveLeagueState();
+          this.currentScreen = this._scoreboardPageCount;
+          return true;
+        }
+      }
+      return false;
+    },
+
+    _gameHasTeam: function (game, abbr, league) {
+      var teams = (game && game.teams) || {};
+      var sides = [teams.away, teams.home];
+      for (var i = 0; i < sides.length; i++) {
+        var team = sides[i] && sides[i].team;
+        if (!team) continue;
+        if (String(this._abbrForTeam(team, league) || "").toUpperCase() === abbr) return true;
+        if (String(team.abbreviation || "").toUpperCase() === abbr) return true;
+      }
+      return false;
+    },
+
     _toNumberOrNull: function (value) {
       if (value == null) return null;
       if (typeof value === "number" && Number.isFinite(value)) return value;
@@ -1001,80 +1154,6 @@
       return null;
     },
 
-    _resolveNhlShotsOnGoal: function () {
-      var keys = [
-        "shotsOnGoal",
-        "shots",
-        "shotsTotal",
-        "totalShots",
-        "shotsOnGoalTotal",
-        "sog"
-      ];
-
-      var queue = Array.prototype.slice.call(arguments || []);
-      var seen = (typeof Set !== "undefined") ? new Set() : [];
-
-      var markSeen = function (entry) {
-        if (!entry || typeof entry !== "object") return false;
-        if (seen instanceof Set) {
-          if (seen.has(entry)) return false;
-          seen.add(entry);
-          return true;
-        }
-        for (var si = 0; si < seen.length; si++) {
-          if (seen[si] === entry) return false;
-        }
-        seen.push(entry);
-        return true;
-      };
-
-      while (queue.length > 0) {
-        var item = queue.shift();
-        var numeric = this._toNumberOrNull(item);
-        if (numeric != null) return numeric;
-
-        if (!item || typeof item !== "object") continue;
-        if (!markSeen(item)) continue;
-
-        if (Array.isArray(item)) {
-          for (var ai = 0; ai < item.length; ai++) {
-            queue.push(item[ai]);
-          }
-          continue;
-        }
-
-        for (var ki = 0; ki < keys.length; ki++) {
-          var key = keys[ki];
-          if (Object.prototype.hasOwnProperty.call(item, key)) {
-            var val = this._toNumberOrNull(item[key]);
-            if (val != null) return val;
-          }
-        }
-
-        var nestedKeys = [
-          "stats",
-          "teamStats",
-          "statistics",
-          "totals",
-          "summary",
-          "teamSkaterStats",
-          "skaterStats",
-          "linescore"
-        ];
-
-        for (var nk = 0; nk < nestedKeys.length; nk++) {
-          var nested = item[nestedKeys[nk]];
-          if (nested != null) queue.push(nested);
-        }
-
-        // Some APIs provide direct away/home objects with nested shots
-        if (Object.prototype.hasOwnProperty.call(item, "away")) queue.push(item.away);
-        if (Object.prototype.hasOwnProperty.call(item, "home")) queue.push(item.home);
-      }
-
-      return null;
-    },
-
     _formatNhlClockString: function (clock) {
       if (typeof clock !== "string") return "";
 
@@ -1088,77 +1167,6 @@
       return trimmed;
     },
 
-    _formatNhlTimeRemaining: function (remaining) {
-      if (remaining == null) return "";
-
-      if (typeof remaining === "string") {
-        var normalized = this._formatNhlClockString(remaining);
-        return normalized || remaining.trim();
-      }
-
-      if (typeof remaining === "number") {
-        if (!Number.isFinite(remaining)) return "";
-        var totalSeconds = Math.max(0, Math.round(remaining));
-        var minutes = Math.floor(totalSeconds / 60);
-        var seconds = totalSeconds % 60;
-        return minutes + ":" + (seconds < 10 ? "0" : "") + seconds;
-      }
-
-      if (Array.isArray(remaining)) {
-        for (var idx = 0; idx < remaining.length; idx++) {
-          var formatted = this._formatNhlTimeRemaining(remaining[idx]);
-          if (formatted) return formatted;
-        }
-        return "";
-      }
-
-      if (typeof remaining === "object") {
-        var keys = [
-          "pretty",
-          "displayValue",
-          "display",
-          "value",
-          "text",
-          "timeRemaining",
-          "clock",
-          "remaining",
-          "formatted"
-        ];
-
-        for (var k = 0; k < keys.length; k++) {
-          var key = keys[k];
-          if (Object.prototype.hasOwnProperty.call(remaining, key)) {
-            var candidate = this._formatNhlTimeRemaining(remaining[key]);
-            if (candidate) return candidate;
-          }
-        }
-
-        var minutesVal = this._toNumberOrNull(remaining.minutes);
-        var secondsVal = this._toNumberOrNull(remaining.seconds);
-        if (minutesVal != null || secondsVal != null) {
-          var secondsTotal = 0;
-          if (minutesVal != null) secondsTotal += Math.max(0, minutesVal) * 60;
-          if (secondsVal != null) secondsTotal += Math.max(0, secondsVal);
-          secondsTotal = Math.max(0, Math.round(secondsTotal));
-          var mins = Math.floor(secondsTotal / 60);
-          var secs = secondsTotal % 60;
-          return mins + ":" + (secs < 10 ? "0" : "") + secs;
-        }
-
-        for (var prop in remaining) {
-          if (!Object.prototype.hasOwnProperty.call(remaining, prop)) continue;
-          var val = remaining[prop];
-          if (typeof val === "string") {
-            var clock = this._formatNhlClockString(val);
-            if (clock) return clock;
-          }
-        }
-      }
-
-      return "";
-    },
-
-
     _formatSoccerClockString: function (clock) {
       if (clock == null) return "";
 
@@ -1208,49 +1216,15 @@
       return "";
     },
 
-    _formatSoccerLiveStatus: function (game, competition, ls, detailed) {
-      var compStatus = (competition && competition.status) || {};
-      var statusType = compStatus.type || (game && game.status && game.status.type) || {};
-      var detail = [
-        detailed,
-        compStatus.displayClock,
-        compStatus.shortDetail,
-        compStatus.detail,
-        statusType.shortDetail,
-        statusType.detail,
-        statusType.description
-      ].join(" ");
-
-      var label = this._soccerPeriodLabel(
-        compStatus.period || statusType.period || (game && game.status && game.status.period) || (ls && ls.currentPeriod),
-        detail
-      );
-
-      var clock = this._formatSoccerClockString(
-        compStatus.displayClock ||
-        compStatus.clock ||
-        statusType.displayClock ||
-        statusType.clock ||
-        (ls && (ls.currentPeriodTimeRemaining || ls.clock))
-      );
+    _formatSoccerLiveStatus: function (status) {
+      var detailed = status.detail || "";
+      var label = this._soccerPeriodLabel(status.period, detailed + " " + (status.clock || ""));
+      var clock = this._formatSoccerClockString(status.clock);
 
       if (clock === "HT" || clock === "FT") return clock;
       return [label, clock].filter(Boolean).join(" ") || detailed || "Live";
     },
 
-    _extractSoccerShootoutScore: function (competitor) {
-      if (!competitor) return null;
-      return this._firstNumber(
-        competitor.shootoutScore,
-        competitor.penaltyShootoutScore,
-        competitor.penalties,
-        competitor.penaltyScore,
-        competitor.curatedRank && competitor.curatedRank.shootoutScore,
-        competitor.team && competitor.team.shootoutScore,
-        competitor.team && competitor.team.penaltyShootoutScore
-      );
-    },
-
     _metricsContainValues: function (metrics) {
       if (!Array.isArray(metrics)) return false;
       for (var i = 0; i < metrics.length; i++) {
@@ -1277,7 +1251,18 @@
 
     socketNotificationReceived: function (notification, payload) {
       try {
+        if (notification === "PONG") {
+          if (!payload || payload.identifier !== this.identifier) return;
+          this._lastHelperPayloadAt = Date.now();
+          if (payload.known === false) this._sendInit();
+          return;
+        }
+
         if (notification === "GAMES") {
+          // The helper addresses each payload to one module instance.
+          if (payload && payload.identifier && payload.identifier !== this.identifier) return;
+          this._lastHelperPayloadAt = Date.now();
+
           var league = null;
           var games = [];
 
@@ -1288,7 +1273,7 @@
             if (Array.isArray(payload.games)) games = payload.games;
 
             var extrasPayload = {};
-            var reservedKeys = { league: true, games: true };
+            var reservedKeys = { league: true, games: true, identifier: true, replayed: true };
             Object.keys(payload).forEach(function (key) {
               if (reservedKeys[key]) return;
               extrasPayload[key] = payload[key];
@@ -1305,6 +1290,9 @@
 
           if (!league) league = this._getLeague();
 
+          var gameEvents = this._detectScoringEvents(league, games);
+          this._recordScoringEvents(gameEvents);
+
           if (!this.gamesByLeague) this.gamesByLeague = {};
           this.gamesByLeague[league] = games;
 
@@ -1329,13 +1317,286 @@
           this._rebuildLeagueRotation(activeLeagueBeforeUpdate);
 
           this._applyActiveLeagueState();
-          this.updateDom();
+          // A new active league also changes the header, which only updateDom redraws.
+          if (this._getLeague() !== activeLeagueBeforeUpdate) this.updateDom();
+          else this._refreshScoresDom();
+
+          this._broadcastGameEvents(league, games, gameEvents, extras);
         }
       } catch (e) {
         console.error("MMM-Scores: socket handler error", e);
       }
     },
 
+    // Compares a league payload with the scores last seen for it and returns
+    // one event per change: "start" when a game goes live, a scoring play per
+    // team that scored, a lead change when the leader flips, and "final" when
+    // a game ends. The first payload of a league only records a baseline.
+    _detectScoringEvents: function (league, games) {
+      if (!this._scoreSnapshots) this._scoreSnapshots = {};
+      var previous = this._scoreSnapshots[league] || null;
+      var snapshots = {};
+      var events = [];
+      var list = Array.isArray(games) ? games : [];
+
+      for (var i = 0; i < list.length; i++) {
+        var game = list[i];
+        if (!game || game.id == null || game.id === "") continue;
+        var snapshot = this._scoreSnapshot(game);
+        snapshots[game.id] = snapshot;
+
+        var before = previous && Object.prototype.hasOwnProperty.call(previous, game.id) ? previous[game.id] : null;
+        if (!before) continue;
+
+        if (before.state === "pre" && snapshot.state === "live") {
+          events.push(this._scoringEvent("start", league, game, snapshot, null, 0));
+        }
+
+        var sides = ["away", "home"];
+        for (var si = 0; si < sides.length; si++) {
+          var side = sides[si];
+          if (snapshot[side] == null || before[side] == null) continue;
+          var points = snapshot[side] - before[side];
+          if (points <= 0) continue;
+          events.push(this._scoringEvent(this._scoringPlayType(league, points), league, game, snapshot, side, points));
+        }
+
+        if (before.leader && snapshot.leader && before.leader !== snapshot.leader) {
+          events.push(this._scoringEvent("lead_change", league, game, snapshot, snapshot.leader, 0));
+        }
+        if (before.state !== "final" && snapshot.state === "final") {
+          events.push(this._scoringEvent("final", league, game, snapshot, snapshot.leader, 0));
+        }
+      }
+
+      this._scoreSnapshots[league] = snapshots;
+      return events;
+    },
+
+    _scoreSnapshot: function (game) {
+      var teams = (game && game.teams) || {};
+      var away = this._scoreValue(teams.away && teams.away.score);
+      var home = this._scoreValue(teams.home && teams.home.score);
+      var leader = null;
+      if (away != null && home != null && away !== home) leader = away > home ? "away" : "home";
+      return {
+        state: (game.status && game.status.state) || "pre",
+        away: away,
+        home: home,
+        leader: leader
+      };
+    },
+
+    _scoreValue: function (value) {
+      if (value == null || value === "") return null;
+      var num = Number(value);
+      return isFinite(num) ? num : null;
+    },
+
+    // Names a score change from the league's registry `scoring` style. Football
+    // deltas are read as a single play; a touchdown and its conversion landing
+    // in one poll still count as a touchdown.
+    _scoringPlayType: function (league, points) {
+      var definition = this._leagueDefinition(league);
+      var scoring = definition && definition.scoring;
+      if (!scoring) scoring = (league === "mlb" || league === "wbc") ? "runs" : "points";
+
+      if (scoring === "runs") return "run";
+      if (scoring === "goals") return "goal";
+      if (scoring === "football") {
+        if (points >= 6) return "touchdown";
+        if (points === 3) return "field_goal";
+        if (points === 2) return "two_points";
+        if (points === 1) return "extra_point";
+      }
+      return "score";
+    },
+
+    _scoringEvent: function (type, league, game, snapshot, side, points) {
+      var teams = (game && game.teams) || {};
+      var away = this._scoringEventTeam(teams.away, league, snapshot.away);
+      var home = this._scoringEventTeam(teams.home, league, snapshot.home);
+      var sideTeam = side === "away" ? away : (side === "home" ? home : null);
+      return {
+        type: type,
+        league: league,
+        gameId: game.id,
+        side: side || null,
+        team: sideTeam ? sideTeam.abbreviation : null,
+        points: points,
+        score: { away: snapshot.away, home: snapshot.home },
+        state: snapshot.state,
+        detail: (game.status && game.status.detail) || "",
+        away: away,
+        home: home,
+        highlighted: away.highlighted || home.highlighted
+      };
+    },
+
+    _scoringEventTeam: function (entry, league, score) {
+      var team = (entry && entry.team) || {};
+      var abbr = this._abbrForTeam(team, league) || team.abbreviation || null;
+      return {
+        abbreviation: abbr,
+        name: team.displayName || team.name || null,
+        score: score,
+        highlighted: abbr ? this._isHighlighted(abbr, league) : false
+      };
+    },
+
+    // Marks the cards behind fresh events for `scoreAnimationMs`; scoring plays
+    // also accent the total of the team that scored.
+    _recordScoringEvents: function (events) {
+      if (!Array.isArray(events) || events.length === 0) return;
+      if (!this._scoringHighlights) this._scoringHighlights = {};
+
+      var duration = this._asPositiveInt(this.config.scoreAnimationMs, 10 * 1000);
+      var until = Date.now() + duration;
+      for (var i = 0; i < events.length; i++) {
+        var event = events[i];
+        if (event.type === "start") continue;
+        var key = event.league + ":" + event.gameId;
+        var highlight = this._scoringHighlights[key];
+        if (!highlight || highlight.until < Date.now()) highlight = { type: null, side: null, until: 0 };
+        highlight.type = event.type;
+        highlight.until = until;
+        if (event.points > 0) highlight.side = event.side;
+        this._scoringHighlights[key] = highlight;
+      }
+      this._scheduleScoringExpiry();
+    },
+
+    _scoreAnimationClass: function () {
+      var style = String(this.config.scoreAnimation == null ? "" : this.config.scoreAnimation).trim().toLowerCase();
+      if (style === "flash" || style === "pulse") return "score-" + style;
+      return null;
+    },
+
+    _scoringHighlightFor: function (league, game) {
+      if (!this._scoringHighlights || !game || game.id == null) return null;
+      var highlight = this._scoringHighlights[league + ":" + game.id];
+      return (highlight && highlight.until > Date.now()) ? highlight : null;
+    },
+
+    // Drops expired highlights and repaints once the earliest one runs out.
+    _scheduleScoringExpiry: function () {
+      if (this._scoringExpiryTimer) clearTimeout(this._scoringExpiryTimer);
+      this._scoringExpiryTimer = null;
+
+      var now = Date.now();
+      var next = null;
+      var expired = false;
+      var keys = Object.keys(this._scoringHighlights || {});
+      for (var i = 0; i < keys.length; i++) {
+        var until = this._scoringHighlights[keys[i]].until;
+        if (until <= now) {
+          delete this._scoringHighlights[keys[i]];
+          expired = true;
+        } else if (next == null || until < next) {
+          next = until;
+        }
+      }
+
+      var self = this;
+      if (next != null) {
+        this._scoringExpiryTimer = setTimeout(function () {
+          if (self._scheduleScoringExpiry()) self._refreshScoresDom();
+        }, next - now);
+      }
+      return expired;
+    },
+
+    // Tells other modules what changed. Game events become SCORES_GAME_START,
+    // SCORES_SCORE_CHANGE (with `leadChange` when the play flipped the lead)
+    // and SCORES_GAME_FINAL; every payload ends with SCORES_UPDATED for the
+    // league. `notificationTeams` and `notificationEvents` narrow the set.
+    _broadcastGameEvents: function (league, games, events, extras) {
+      if (this.config.broadcastNotifications === false) return;
+
+      var outgoing = [];
+      var list = Array.isArray(events) ? events : [];
+      for (var i = 0; i < list.length; i++) {
+        var event = list[i];
+        if (event.type === "lead_change") {
+          for (var j = outgoing.length - 1; j >= 0; j--) {
+            var previous = outgoing[j];
+            if (previous.notification !== "SCORES_SCORE_CHANGE" || previous.payload.gameId !== event.gameId) continue;
+            if (previous.payload.side === event.side) previous.payload.leadChange = true;
+            break;
+          }
+          continue;
+        }
+
+        var notification = "SCORES_SCORE_CHANGE";
+        if (event.type === "start") notification = "SCORES_GAME_START";
+        else if (event.type === "final") notification = "SCORES_GAME_FINAL";
+
+        var payload = Object.assign({}, event);
+        if (notification === "SCORES_SCORE_CHANGE") {
+          payload.play = event.type;
+          payload.leadChange = false;
+        }
+        outgoing.push({ notification: notification, payload: payload });
+      }
+
+      for (var k = 0; k < outgoing.length; k++) {
+        var entry = outgoing[k];
+        if (!this._notificationWanted(entry.notification, entry.payload)) continue;
+        this.sendNotification(entry.notification, entry.payload);
+      }
+
+      if (!this._notificationWanted("SCORES_UPDATED", null)) return;
+      var counts = { pre: 0, live: 0, final: 0 };
+      var gameList = Array.isArray(games) ? games : [];
+      for (var g = 0; g < gameList.length; g++) {
+        var state = (gameList[g] && gameList[g].status && gameList[g].status.state) || "pre";
+        if (Object.prototype.hasOwnProperty.call(counts, state)) counts[state] += 1;
+      }
+      this.sendNotification("SCORES_UPDATED", {
+        league: league,
+        games: gameList.length,
+        live: counts.live,
+        final: counts.final,
+        upcoming: counts.pre,
+        events: outgoing.length,
+        stale: !!(extras && extras.isStale),
+        updatedAt: (extras && (extras.lastUpdatedAt || extras.fetchedAtUTC)) || new Date().toISOString()
+      });
+    },
+
+    // `notificationEvents` lists the notifications to send (all by default);
+    // `notificationTeams` is "all", "highlighted" or a list of abbreviations
+    // and applies to game notifications only.
+    _notificationWanted: function (notification, payload) {
+      var names = this.config.notificationEvents;
+      if (typeof names === "string") names = names.split(",");
+      if (Array.isArray(names) && names.length > 0) {
+        var wanted = false;
+        for (var i = 0; i < names.length; i++) {
+          var name = String(names[i] || "").trim().toUpperCase();
+          if (name === notification || "SCORES_" + name === notification) wanted = true;
+        }
+        if (!wanted) return false;
+      }
+      if (!payload) return true;
+
+      var teams = this.config.notificationTeams;
+      if (teams == null || teams === "all") return true;
+      if (teams === "highlighted") return !!payload.highlighted;
+      if (typeof teams === "string") teams = teams.split(",");
+      if (!Array.isArray(teams)) return true;
+
+      var abbrs = [payload.away && payload.away.abbreviation, payload.home && payload.home.abbreviation];
+      for (var t = 0; t < teams.length; t++) {
+        var wantedTeam = String(teams[t] || "").trim().toUpperCase();
+        if (!wantedTeam) continue;
+        for (var a = 0; a < abbrs.length; a++) {
+          if (abbrs[a] && String(abbrs[a]).toUpperCase() === wantedTeam) return true;
+        }
+      }
+      return false;
+    },
+
     _noData: function (msg) {
       var div = document.createElement("div");
       div.className = "small dimmed";
@@ -1344,6 +1605,17 @@
     },
 
     getDom: function () {
+      var rendered = this._renderScoresDom();
+      if (rendered.scoreboard) {
+        this._lastRenderedDom = rendered.dom;
+        this._scheduleActiveWidthSync();
+      }
+      return rendered.dom;
+    },
+
+    // Builds the module content. `scoreboard` is false for the loading,
+    // empty and error placeholders.
+    _renderScoresDom: function () {
       this._injectHeaderWidthStyle();
 
       var wrapper = document.createElement("div");
@@ -1367,7 +1639,7 @@
 
       if (!this.loadedGames) {
         this._setModuleContentWidth(null);
-        return this._noData("Loading games...");
+        return { dom: this._noData("Loading games..."), scoreboard: false };
       }
       var activeLeagueForData = this._getLeague();
       var activeScheduleGames = (this.scheduleGamesByLeague && Array.isArray(this.scheduleGamesByLeague[activeLeagueForData]))
@@ -1375,7 +1647,7 @@
         : [];
       if (this.games.length === 0 && activeScheduleGames.length === 0) {
         this._setModuleContentWidth(null);
-        return this._noData("No games to display.");
+        return { dom: this._noData("No games to display."), scoreboard: false };
       }
 
       try {
@@ -1383,16 +1655,119 @@
       } catch (e) {
         console.error("MMM-Scores: getDom build error", e);
         this._setModuleContentWidth(null);
-        return this._noData("Error building view.");
+        return { dom: this._noData("Error building view."), scoreboard: false };
+      }
+      return { dom: wrapper, scoreboard: true };
+    },
+
+    // New data patches the scoreboard already on screen: a fresh render is
+    // morphed into it, so unchanged cards, logos and text nodes stay put.
+    // Anything else (placeholders, a detached module) falls back to updateDom.
+    _refreshScoresDom: function () {
+      var current = this._lastRenderedDom;
+      if (!current || !current.isConnected) {
+        this.updateDom();
+        return;
+      }
+
+      var previousSignature = this._layoutSignature;
+      var rendered = this._renderScoresDom();
+      if (!rendered.scoreboard) {
+        this._lastRenderedDom = null;
+        this.updateDom();
+        return;
+      }
+
+      this._morphNode(current, rendered.dom);
+      if (this._layoutSignature !== previousSignature || !this._measuredContentWidthPx) {
+        this._scheduleActiveWidthSync();
+      } else {
+        // Keep the measured width instead of the estimate the fresh render used.
+        this._applyMeasuredContentWidth(current, this._measuredContentWidthPx);
+      }
+    },
+
+    _morphNode: function (target, source) {
+      if (target.nodeType !== source.nodeType || target.nodeName !== source.nodeName) {
+        target.parentNode.replaceChild(source, target);
+        return source;
+      }
+      if (target.nodeType !== 1) {
+        if (target.nodeValue !== source.nodeValue) target.nodeValue = source.nodeValue;
+        return target;
+      }
+
+      this._morphAttributes(target, source);
+      // Logo fallbacks use `this`, so the fresh render's handler works on the kept node.
+      if (target.nodeName === "IMG") target.onerror = source.onerror || null;
+      this._morphChildren(target, source);
+      return target;
+    },
+
+    _morphAttributes: function (target, source) {
+      // A logo that already failed keeps its fallback state while its src is unchanged.
+      var keepLogoState = target.nodeName === "IMG" && target.getAttribute("src") === source.getAttribute("src");
+      var i;
+      var name;
+      for (i = target.attributes.length - 1; i >= 0; i--) {
+        name = target.attributes[i].name;
+        if (keepLogoState && (name === "style" || name === "class")) continue;
+        if (!source.hasAttribute(name)) target.removeAttribute(name);
+      }
+      for (i = 0; i < source.attributes.length; i++) {
+        name = source.attributes[i].name;
+        var value = source.attributes[i].value;
+        if (keepLogoState && name === "style") continue;
+        if (keepLogoState && name === "class" && target.classList.contains("logo-missing") && !/(^|\s)logo-missing(\s|$)/.test(value)) {
+          value += " logo-missing";
+        }
+        if (target.getAttribute(name) !== value) target.setAttribute(name, value);
+      }
+    },
+
+    // Children carrying data-game-key are matched by key, so a card that moves
+    // to another slot keeps its DOM nodes; the rest are matched by position.
+    _morphChildren: function (target, source) {
+      var keyed = {};
+      var child;
+      for (child = target.firstChild; child; child = child.nextSibling) {
+        var existingKey = child.nodeType === 1 ? child.getAttribute("data-game-key") : null;
+        if (existingKey) keyed[existingKey] = child;
+      }
+
+      var cursor = target.firstChild;
+      var incoming = Array.prototype.slice.call(source.childNodes);
+      for (var i = 0; i < incoming.length; i++) {
+        var next = incoming[i];
+        var key = next.nodeType === 1 ? next.getAttribute("data-game-key") : null;
+        var match = null;
+        if (key && keyed[key]) {
+          match = keyed[key];
+          delete keyed[key];
+        } else if (!key && cursor && !(cursor.nodeType === 1 && cursor.getAttribute("data-game-key"))) {
+          match = cursor;
+        }
+
+        if (!match) {
+          target.insertBefore(next, cursor);
+          continue;
+        }
+        if (match !== cursor) target.insertBefore(match, cursor);
+        cursor = match.nextSibling;
+        this._morphNode(match, next);
+      }
+
+      while (cursor) {
+        var stale = cursor;
+        cursor = cursor.nextSibling;
+        target.removeChild(stale);
       }
-      this._lastRenderedDom = wrapper;
-      this._scheduleActiveWidthSync();
-      return wrapper;
     },
 
     _buildProviderStatus: function () {
       var extras = this.currentExtras || {};
-      var shouldShow = this.config.showProviderStatus === true || extras.isStale || extras.fallbackUsed;
+      var breakers = Array.isArray(extras.circuitBreakers) ? extras.circuitBreakers : [];
+      var shouldShow = this.config.showProviderStatus === true || extras.isStale || extras.fallbackUsed || breakers.length > 0;
       if (!shouldShow) return null;
       var parts = [];
       if (extras.isStale) parts.push("Showing cached data");
@@ -1401,6 +1776,14 @@
       var stamp = extras.lastUpdatedAt || extras.fetchedAt || extras.fetchedAtUTC;
       if (stamp) parts.push("Updated " + new Date(stamp).toLocaleTimeString([], { hour: "numeric", minute: "2-digit" }));
       if (extras.staleReason && extras.isStale) parts.push(extras.staleReason);
+      for (var i = 0; i < breakers.length; i += 1) {
+        var host = String(breakers[i].endpoint || "").split("/")[0];
+        if (breakers[i].state === "open" && breakers[i].retryAt) {
+          parts.push("Paused " + host + " until " + new Date(breakers[i].retryAt).toLocaleTimeString([], { hour: "numeric", minute: "2-digit" }));
+        } else {
+          parts.push("Retrying " + host);
+        }
+      }
       if (parts.length === 0) return null;
       var div = document.createElement("div");
       div.className = "scoreboard-provider-status small dimmed";
@@ -1416,7 +1799,7 @@
       container.className = "games-layout";
 
       var activeLeague = this._getLeague();
-      if (activeLeague) container.classList.add("league-" + activeLeague);
+      if (activeLeague) this._applyLeagueClasses(container, activeLeague);
 
       var estimatedWidth = this._estimateContentWidth();
       var widthPx = null;
@@ -1464,6 +1847,12 @@
         isSchedulePage = true;
       }
 
+      // Patching keeps the measured width only while this stays the same.
+      this._layoutSignature = [
+        activeLeague, this._scoreboardColumns, this._scoreboardRows, widthPx,
+        this.currentScreen, isSchedulePage, pageGames ? pageGames.length : 0
+      ].join("|");
+
       if (pageGames && pageGames.length > 0) {
         if (isSchedulePage) {
           var scheduleTitle = document.createElement("div");
@@ -1475,7 +1864,7 @@
         var matrix = document.createElement("div");
         matrix.className = "games-matrix";
         matrix.style.setProperty("--games-matrix-columns", this._scoreboardColumns);
-        if (activeLeague) matrix.classList.add("league-" + activeLeague);
+        if (activeLeague) this._applyLeagueClasses(matrix, activeLeague);
 
         var totalSlots = this._scoreboardColumns * this._scoreboardRows;
         var orderedGames = new Array(totalSlots);
@@ -1498,6 +1887,7 @@
 
             var game = orderedGames[index];
             if (game) {
+              if (game.id != null && game.id !== "") cell.setAttribute("data-game-key", activeLeague + ":" + game.id);
               var card = this.createGameBox(game);
               if (card) {
                 cell.appendChild(card);
@@ -1565,6 +1955,11 @@
       var widthPx = this._formatPixelValue(measured);
       if (!widthPx) return;
 
+      this._measuredContentWidthPx = widthPx;
+      this._applyMeasuredContentWidth(wrapper, widthPx);
+    },
+
+    _applyMeasuredContentWidth: function (wrapper, widthPx) {
       var layout = wrapper.querySelector(".games-layout");
       if (layout) {
         layout.style.maxWidth = widthPx;
@@ -1639,7 +2034,7 @@
         logo.className = "bye-week-team-logo";
         logo.src = this.getLogoUrl(team.abbr);
         logo.alt = team.abbr;
-        logo.onerror = (function (imgEl) { return function () { imgEl.style.display = "none"; }; })(logo);
+        logo.onerror = function () { this.style.display = "none"; };
         item.appendChild(logo);
 
         var textWrap = document.createElement("div");
@@ -1666,11 +2061,18 @@
 
     createGameBox: function (game) {
       var league = this._getLeague();
-      if (league === "nhl") return this._createNhlGameCard(game);
-      if (league === "nfl") return this._createNflGameCard(game);
-      if (league === "nba") return this._createNbaGameCard(game);
-      if (league === "olympic_mhockey" || league === "olympic_whockey" || league === "worldcup") return this._createNhlGameCard(game, league);
-      return this._createMlbGameCard(game);
+      var definition = this._leagueDefinition(league);
+      var renderer = definition && definition.renderer;
+      // Renderers build their card through _createScoreboardCard, which reads
+      // the game's scoring highlight from here.
+      this._cardScoringHighlight = this._scoringHighlightFor(league, game);
+      try {
+        if (typeof renderer === "function") return renderer.call(this, game, league);
+        if (typeof renderer === "string" && typeof this[renderer] === "function") return this[renderer](game, league);
+        return this._createMlbGameCard(game);
+      } finally {
+        this._cardScoringHighlight = null;
+      }
     },
 
     _createScoreboardCard: function (config) {
@@ -1678,7 +2080,7 @@
       card.className = "scoreboard-card";
 
       var league = config && config.league ? config.league : this._getLeague();
-      if (league) card.classList.add("league-" + league);
+      if (league) this._applyLeagueClasses(card, league);
 
       var classes = config && config.cardClasses;
       if (Array.isArray(classes)) {
@@ -1687,6 +2089,13 @@
         }
       }
 
+      var scoring = (config && config.scoring) || this._cardScoringHighlight || null;
+      if (scoring) {
+        card.classList.add("score-changed");
+        var animation = this._scoreAnimationClass();
+        if (animation) card.classList.add(animation);
+      }
+
       var metricLabels = (config && Array.isArray(config.metricLabels)) ? config.metricLabels : [];
       var metricLabelClasses = (config && Array.isArray(config.metricLabelClasses)) ? config.metricLabelClasses : [];
       var metricValueClasses = (config && Array.isArray(config.metricValueClasses)) ? config.metricValueClasses : [];
@@ -1745,6 +2154,8 @@
         if (rowData.type) row.classList.add(rowData.type);
         if (rowData.className) row.classList.add(rowData.className);
         if (rowData.isLoser) row.classList.add("loser");
+        var scored = !!(scoring && scoring.side && scoring.side === rowData.type);
+        if (scored) row.classList.add("scoring-team");
 
         var team = document.createElement("div");
         team.className = "scoreboard-team";
@@ -1760,9 +2171,16 @@
           logo.classList.add("logo-missing");
         }
         logo.alt = abbr;
-        logo.onerror = (function (imgEl) { return function () { imgEl.classList.add("logo-missing"); }; })(logo);
+        logo.onerror = function () { this.classList.add("logo-missing"); };
         team.appendChild(logo);
 
+        if (rowData.rank != null) {
+          var rankEl = document.createElement("span");
+          rankEl.className = "scoreboard-team-rank";
+          rankEl.textContent = String(rowData.rank);
+          team.appendChild(rankEl);
+        }
+
         var abbrEl = document.createElement("span");
         abbrEl.className = "scoreboard-team-abbr";
         if (league === "mlb" && abbr === "CUBS") {
@@ -1787,10 +2205,12 @@
 
         if (rowData.highlight) team.classList.add("team-highlight");
 
-        if (Object.prototype.hasOwnProperty.call(rowData, "total") || Object.prototype.hasOwnProperty.call(rowData, "totalPlaceholder")) {
+        var hasTotal = Object.prototype.hasOwnProperty.call(rowData, "total") || Object.prototype.hasOwnProperty.call(rowData, "totalPlaceholder");
+        if (hasTotal) {
           var totalEl = document.createElement("span");
           var totalClass = "scoreboard-team-total";
           if (live) totalClass += " live";
+          if (scored) totalClass += " scoring-team-total";
           totalEl.className = totalClass;
           var totalPlaceholder = (rowData.totalPlaceholder != null) ? rowData.totalPlaceholder : "—";
           if (showVals) {
@@ -1821,6 +2241,8 @@
               valueClass += " " + valueClassEntry;
             }
           }
+          // Cards without a total (MLB runs, NHL goals) lead with the score.
+          if (scored && !hasTotal && mi === 0) valueClass += " scoring-team-total";
           valueEl.className = valueClass;
 
           var placeholder = "—";
@@ -1882,6 +2304,13 @@
         body.appendChild(row);
       }
 
+      if (config && config.noteText) {
+        var noteEl = document.createElement("div");
+        noteEl.className = "scoreboard-note";
+        noteEl.textContent = config.noteText;
+        card.appendChild(noteEl);
+      }
+
       return card;
     },
 
@@ -1893,15 +2322,14 @@
       return label;
     },
 
-    _createMlbInningIndicator: function (linescore) {
-      var ls = linescore || {};
-      var offense = (ls && ls.offense) || {};
+    _createMlbInningIndicator: function (extras) {
+      var runners = (extras && extras.runners) || {};
 
-      var hasRunnerOnFirst = !!offense.first;
-      var hasRunnerOnSecond = !!offense.second;
-      var hasRunnerOnThird = !!offense.third;
+      var hasRunnerOnFirst = !!runners.first;
+      var hasRunnerOnSecond = !!runners.second;
+      var hasRunnerOnThird = !!runners.third;
 
-      var outsRaw = this._firstNumber(ls && ls.outs, 0);
+      var outsRaw = this._firstNumber(extras && extras.outs, 0);
       var outs = Math.max(0, Math.min(2, outsRaw == null ? 0 : outsRaw));
 
       var indicator = document.createElement("div");
@@ -1942,21 +2370,24 @@
 
     _createMlbGameCard: function (game) {
       var league = "mlb";
-      var ls      = (game && game.linescore) || {};
-      var state   = (game && game.status && game.status.abstractGameState) || "";
-      var det     = (game && game.status && game.status.detailedState) || "";
-      var innings = (ls && ls.innings) || [];
+      var status  = (game && game.status) || {};
+      var extras  = (game && game.extras) || {};
+      var state   = status.state || "pre";
+      var det     = status.detail || "";
 
-      var isSuspended = /Suspended/i.test(det) || state === "Suspended";
-      var isCanceled  = /Cancel(?:ed|led)/i.test(det) || /cancel(?:ed|led)/i.test(state);
+      var isSuspended = /Suspended/i.test(det);
+      var isCanceled  = /Cancel(?:ed|led)/i.test(det);
       var isPost      = /Postponed/i.test(det);
-      var isDelayed   = /\bdelay(?:ed)?\b/i.test(det) || /\bdelay(?:ed)?\b/i.test(state);
+      var isDelayed   = /\bdelay(?:ed)?\b/i.test(det);
       var isWarmup    = det === "Warmup";
-      var isPrev      = state === "Preview";
-      var isFin       = state === "Final";
+      var isPrev      = state === "pre";
+      var isFin       = state === "final";
       var live        = !isPrev && !isFin && !isPost && !isDelayed && !isWarmup && !isSuspended && !isCanceled;
       var showVals    = !isPrev && !isPost && !isSuspended && !isCanceled;
 
+      var away = game && game.teams && game.teams.away;
+      var home = game && game.teams && game.teams.home;
+
       var statusText;
       if (isSuspended)       statusText = "Suspended";
       else if (isCanceled)   statusText = "Canceled";
@@ -1964,20 +2395,22 @@
       else if (isDelayed)    statusText = "Delayed";
       else if (isWarmup)     statusText = "Warmup";
       else if (isPrev) {
-        statusText = this._formatStartTime(game && game.gameDate);
+        statusText = this._formatStartTime(game && game.startTimeUTC);
       } else if (isFin) {
+        var playedInnings = Math.max(
+          (away && Array.isArray(away.periods)) ? away.periods.length : 0,
+          (home && Array.isArray(home.periods)) ? home.periods.length : 0
+        );
         var finalInnings = this._firstNumber(
-          ls && ls.currentInning,
-          ls && ls.scheduledInnings,
-          innings.length
+          extras.currentInning,
+          extras.scheduledInnings,
+          playedInnings
         );
         statusText = (finalInnings == null || finalInnings === 9)
           ? "Final"
           : ("Final/" + finalInnings);
       } else {
-        var st = (ls && ls.inningState) || "";
-        var io = (ls && ls.currentInningOrdinal) || "";
-        var tmp = (st + " " + io).replace(/\s+/g, " ").trim();
+        var tmp = ((extras.inningState || "") + " " + (extras.currentInningOrdinal || "")).replace(/\s+/g, " ").trim();
         tmp = tmp
           .replace(/\bBottom\b/g, "Bot")
           .replace(/\bMiddle\b/g, "Mid");
@@ -1993,14 +2426,6 @@
       else if (isSuspended) cardClasses.push("is-suspended");
       else if (isWarmup) cardClasses.push("is-warmup");
 
-      var away = game && game.teams && game.teams.away;
-      var home = game && game.teams && game.teams.home;
-      var awayScore = (away && typeof away.score !== "undefined") ? away.score : null;
-      var homeScore = (home && typeof home.score !== "undefined") ? home.score : null;
-      var lines = (ls && ls.teams) || {};
-      var linesAway = lines.away || {};
-      var linesHome = lines.home || {};
-
       var rows = [];
       var teams = [away, home];
       for (var i = 0; i < teams.length; i++) {
@@ -2008,34 +2433,19 @@
         if (!t || !t.team) continue;
 
         var abbr = this._abbrForTeam(t.team, league);
-        var highlight = this._isHighlighted(abbr);
-        var isLoser = false;
-        if (isFin && awayScore != null && homeScore != null && awayScore !== homeScore) {
-          var isAway = (i === 0);
-          var isWinner = isAway ? (awayScore > homeScore) : (homeScore > awayScore);
-          isLoser = !isWinner;
-        }
-
-        var hitVal = (i === 0 ? linesAway.hits : linesHome.hits);
-        if (typeof hitVal === "undefined") hitVal = null;
-        var errVal;
-        if (typeof t.errors !== "undefined") errVal = t.errors;
-        else errVal = (i === 0 ? linesAway.errors : linesHome.errors);
-        if (typeof errVal === "undefined") errVal = null;
-
-        var row = {
+        var stats = t.stats || {};
+        rows.push({
           type: (i === 0) ? "away" : "home",
           abbr: abbr,
           logoAbbr: this._mlbLogoAbbrForTeam(t.team, abbr),
-          highlight: highlight,
-          isLoser: isLoser,
+          highlight: this._isHighlighted(abbr),
+          isLoser: isFin && t.winner === false,
           metrics: [
-            (typeof t.score !== "undefined") ? t.score : null,
-            hitVal,
-            errVal
+            (t.score != null) ? t.score : null,
+            (stats.hits != null) ? stats.hits : null,
+            (stats.errors != null) ? stats.errors : null
           ]
-        };
-        rows.push(row);
+        });
       }
 
       return this._createScoreboardCard({
@@ -2043,7 +2453,7 @@
         live: live,
         showValues: showVals,
         statusText: statusText,
-        statusIndicator: live ? this._createMlbInningIndicator(ls) : null,
+        statusIndicator: live ? this._createMlbInningIndicator(extras) : null,
         metricLabels: ["R", "H", "E"],
         rows: rows,
         cardClasses: cardClasses
@@ -2052,28 +2462,16 @@
 
     _createNhlGameCard: function (game, forcedLeague) {
       var league = forcedLeague || this._getLeague() || "nhl";
-      var ls = (game && game.linescore) || {};
-      var competition = game && game.competitions && game.competitions[0];
-      if (!competition) competition = {};
-      var competitionStatus = competition.status || {};
+      var isSoccer = this._isSoccerLeague(league);
       var status = (game && game.status) || {};
-      var statusType = (status && status.type) || {};
-      var competitionStatusType = competitionStatus.type || {};
-      var state = ((
-        status.abstractGameState ||
-        statusType.state ||
-        competitionStatusType.state ||
-        competitionStatus.state ||
-        status.detailedState ||
-        ""
-      ) + "").toLowerCase();
-      var detailed = status.detailedState || competitionStatusType.shortDetail || competitionStatusType.detail || competitionStatusType.description || "";
+      var state = status.state || "pre";
+      var detailed = status.detail || "";
 
       var isPostponed = /postponed/i.test(detailed);
       var isSuspended = /suspended/i.test(detailed);
-      var isWarmup = /warm\s*up/i.test(detailed) || /warm\s*up/i.test(state);
-      var isPreview = !isWarmup && (state === "preview" || state === "pre" || state === "scheduled");
-      var isFinal = state === "final" || state === "post" || !!statusType.completed || !!competitionStatusType.completed;
+      var isWarmup = /warm\s*up/i.test(detailed);
+      var isPreview = !isWarmup && state === "pre";
+      var isFinal = state === "final";
       var isLive = !isFinal && !isPreview && !isPostponed && !isSuspended;
 
       var showVals = !(isPreview || isPostponed || isSuspended);
@@ -2084,18 +2482,17 @@
       } else if (isSuspended) {
         statusText = "Suspended";
       } else if (isPreview) {
-        var competitionDate = game && game.competitions && game.competitions[0] && game.competitions[0].date;
-        var startDate = game && (game.gameDate || game.startTimeUTC || game.date || competitionDate);
-        statusText = league === "worldcup" ? this._formatWorldCupStartTime(startDate) : this._formatStartTime(startDate);
+        var startDate = game && game.startTimeUTC;
+        statusText = isSoccer ? this._formatWorldCupStartTime(startDate) : this._formatStartTime(startDate);
       } else if (isFinal) {
         statusText = detailed || "Final";
       } else if (isLive) {
-        if (league === "worldcup") {
-          statusText = this._formatSoccerLiveStatus(game, competition, ls, detailed);
+        if (isSoccer) {
+          statusText = this._formatSoccerLiveStatus(status);
         } else {
-          var period = ls.currentPeriodOrdinal || (ls.currentPeriod ? (ls.currentPeriod + "") : "");
-          var remaining = this._formatNhlTimeRemaining(ls.currentPeriodTimeRemaining).trim();
-          if (remaining && remaining.toUpperCase && remaining.toUpperCase() === "END") {
+          var period = status.periodLabel || (status.period ? (status.period + "") : "");
+          var remaining = this._formatNhlClockString(status.clock);
+          if (remaining && remaining.toUpperCase() === "END") {
             statusText = (period ? period + " " : "") + "End";
           } else if (remaining) {
             statusText = ((period ? period + " " : "") + remaining).trim();
@@ -2117,88 +2514,20 @@
       else if (isWarmup) cardClasses.push("is-warmup");
 
       var teams = (game && game.teams) || {};
-      var away = teams.away || null;
-      var home = teams.home || null;
-
-      if ((!away || !away.team || !home || !home.team) && competition) {
-        var competitors = Array.isArray(competition.competitors) ? competition.competitors : [];
-        var compAway = null;
-        var compHome = null;
-
-        for (var ci = 0; ci < competitors.length; ci++) {
-          var competitor = competitors[ci];
-          if (!competitor) continue;
-          var side = (competitor.homeAway || "").toString().toLowerCase();
-          if (side === "away") compAway = competitor;
-          else if (side === "home") compHome = competitor;
-        }
-
-        if (!compAway && competitors.length > 0) compAway = competitors[0];
-        if (!compHome && competitors.length > 1) compHome = competitors[1];
-
-        var toLegacyTeam = function (competitor) {
-          if (!competitor) return {};
-          return {
-            score: competitor.score,
-            shootoutScore: competitor.shootoutScore,
-            penaltyShootoutScore: competitor.penaltyShootoutScore,
-            penalties: competitor.penalties,
-            penaltyScore: competitor.penaltyScore,
-            team: competitor.team || {}
-          };
-        };
-
-        if ((!away || !away.team) && compAway) away = toLegacyTeam(compAway);
-        if ((!home || !home.team) && compHome) home = toLegacyTeam(compHome);
-      }
-
-      away = away || {};
-      home = home || {};
-
-      var awayScore = (typeof away.score !== "undefined") ? away.score : null;
-      var homeScore = (typeof home.score !== "undefined") ? home.score : null;
-
-      var lsTeams = (ls && ls.teams) || {};
-      var awayShots = this._resolveNhlShotsOnGoal(
-        lsTeams.away,
-        away,
-        game && game.shotsOnGoal && game.shotsOnGoal.away,
-        game && game.awayShotsOnGoal,
-        game && game.linescore && game.linescore.away,
-        game && game.linescore && game.linescore.teams && game.linescore.teams.away
-      );
-      var homeShots = this._resolveNhlShotsOnGoal(
-        lsTeams.home,
-        home,
-        game && game.shotsOnGoal && game.shotsOnGoal.home,
-        game && game.homeShotsOnGoal,
-        game && game.linescore && game.linescore.home,
-        game && game.linescore && game.linescore.teams && game.linescore.teams.home
-      );
-
       var rows = [];
-      var pair = [away, home];
+      var pair = [teams.away, teams.home];
       for (var i = 0; i < pair.length; i++) {
         var entry = pair[i] || {};
         if (!entry.team) continue;
 
         var abbr = this._abbrForTeam(entry.team, league);
-        var highlight = this._isHighlighted(abbr);
-
-        var isLoser = false;
-        if (isFinal && awayScore != null && homeScore != null && awayScore !== homeScore) {
-          var isAway = (i === 0);
-          var isWinner = isAway ? (awayScore > homeScore) : (homeScore > awayScore);
-          isLoser = !isWinner;
-        }
-
-        var goals = this._firstNumber(entry.score, entry.goals, entry.team && entry.team.score);
-        var shootoutScore = (league === "worldcup") ? this._extractSoccerShootoutScore(entry) : null;
+        var stats = entry.stats || {};
+        var shootoutScore = isSoccer ? entry.shootoutScore : null;
         var metrics = [
           {
-            value: goals,
+            value: (entry.score != null) ? entry.score : null,
             placeholder: "—",
-            superscript: (shootoutScore != null) ? shootoutScore : (i === 0 ? awayShots : homeShots),
+            superscript: (shootoutScore != null) ? shootoutScore : stats.shotsOnGoal,
             superscriptClass: (shootoutScore != null) ? "shootout-superscript" : "shots-on-goal-superscript"
           }
         ];
@@ -2207,13 +2536,13 @@
           type: (i === 0) ? "away" : "home",
           abbr: abbr,
           logoAbbr: abbr,
-          highlight: highlight,
-          isLoser: isLoser,
+          highlight: this._isHighlighted(abbr),
+          isLoser: isFinal && entry.winner === false,
           metrics: metrics
         });
       }
 
-      if (!showVals && league !== "worldcup" && this._rowsContainValues(rows)) showVals = true;
+      if (!showVals && !isSoccer && this._rowsContainValues(rows)) showVals = true;
 
       return this._createScoreboardCard({
         league: league,
@@ -2227,30 +2556,26 @@
       });
     },
 
-    _createNflGameCard: function (game) {
-      var league = "nfl";
-      var competition = game && game.competitions && game.competitions[0];
-      if (!competition) competition = {};
-
-      var status = (competition.status && competition.status.type) || game.status && game.status.type || {};
-      var state = (status.state || "").toLowerCase();
-      var detailed = status.shortDetail || status.detail || status.description || "";
+    _createNflGameCard: function (game, league) {
+      if (!league) league = "nfl";
+      var status = (game && game.status) || {};
+      var state = status.state || "pre";
+      var detailed = status.detail || "";
 
-      var isPreview = state === "pre" || state === "preview" || state === "scheduled";
-      var isFinal = state === "post" || state === "final" || !!status.completed;
-      var isLive = state === "in" || state === "live";
+      var isPreview = state === "pre";
+      var isFinal = state === "final";
+      var isLive = state === "live";
 
       var showVals = !(isPreview);
 
       var statusText = "";
       if (isPreview) {
-        statusText = this._formatNflStartTime(competition.date || game.date);
+        statusText = this._formatNflStartTime(game && game.startTimeUTC);
       } else if (isFinal) {
         statusText = detailed || "Final";
-      } else if (isLive) {
-        var period = competition.status && competition.status.period;
-        var ord = this._ordinal(period);
-        var clock = competition.status && (competition.status.displayClock || competition.status.clock);
+      } else {
+        var ord = this._ordinal(status.period);
+        var clock = status.clock;
         var specialStatus = this._resolveNflSpecialLiveStatus({
           detailed: detailed,
           clock: clock
@@ -2263,8 +2588,6 @@
           if (clock) parts.push(clock);
           statusText = parts.join(" ") || detailed || "Live";
         }
-      } else {
-        statusText = detailed || "";
       }
 
       var cardClasses = [];
@@ -2272,277 +2595,33 @@
       else if (isLive) cardClasses.push("is-live");
       else if (isPreview) cardClasses.push("is-preview");
 
-      var competitors = competition.competitors || [];
-      var away = null, home = null;
-      for (var i = 0; i < competitors.length; i++) {
-        var comp = competitors[i];
-        if (!comp) continue;
-        var side = (comp.homeAway || comp.homeAway === 0) ? String(comp.homeAway).toLowerCase() : "";
-        if (side === "home") home = comp;
-        else if (side === "away") away = comp;
-      }
-
-      // Ensure away/home order fallback
-      if (!away && competitors.length > 0) away = competitors[0];
-      if (!home && competitors.length > 1) home = competitors[1];
-
-      var collectTokens = function (value) {
-        var tokens = [];
-        var visited = [];
-
-        var visit = function (input) {
-          if (input == null) return;
-          var type = typeof input;
-          if (type === "string" || type === "number" || type === "boolean") {
-            var str = String(input).trim();
-            if (!str) return;
-            var lower = str.toLowerCase();
-            tokens.push(lower);
-            var matches = str.match(/\b[A-Z]{2,4}\b/g);
-            if (matches) {
-              for (var m = 0; m < matches.length; m++) {
-                var matchLower = matches[m].toLowerCase();
-                tokens.push(matchLower);
-              }
-            }
-            return;
-          }
-          if (Array.isArray(input)) {
-            for (var ai = 0; ai < input.length; ai++) {
-              visit(input[ai]);
-            }
-            return;
-          }
-          if (type === "object") {
-            if (visited.indexOf(input) !== -1) return;
-            visited.push(input);
-            var keys = [
-              "id",
-              "uid",
-              "abbreviation",
-              "abbrev",
-              "displayName",
-              "shortDisplayName",
-              "name",
-              "location",
-              "teamAbbreviation",
-              "teamId",
-              "slug",
-              "alternateId"
-            ];
-            for (var ki = 0; ki < keys.length; ki++) {
-              if (Object.prototype.hasOwnProperty.call(input, keys[ki])) {
-                visit(input[keys[ki]]);
-              }
-            }
-            if (Object.prototype.hasOwnProperty.call(input, "team")) {
-              visit(input.team);
-            }
-          }
-        };
-
-        visit(value);
-
-        var deduped = [];
-        var seen = Object.create(null);
-        for (var ti = 0; ti < tokens.length; ti++) {
-          var token = tokens[ti];
-          if (!token) continue;
-          if (!Object.prototype.hasOwnProperty.call(seen, token)) {
-            seen[token] = true;
-            deduped.push(token);
-          }
-        }
-        return deduped;
-      };
-
-      var possessionLookup = null;
-      var markPossessionTokens = function (value) {
-        var tokens = collectTokens(value);
-        if (!tokens || tokens.length === 0) return;
-        if (!possessionLookup) possessionLookup = Object.create(null);
-        for (var pi = 0; pi < tokens.length; pi++) {
-          possessionLookup[tokens[pi]] = true;
-        }
-      };
-
-      if (isLive) {
-        var situation = competition.situation || {};
-        markPossessionTokens(situation.possession);
-        markPossessionTokens(situation.possessionId);
-        markPossessionTokens(situation.team);
-        if (situation.lastPlay && situation.lastPlay.team) {
-          markPossessionTokens(situation.lastPlay.team);
-        }
-        markPossessionTokens(situation.possessionText);
-      } else if (isFinal) {
-        var winnerEntry = null;
-        if (away && away.winner) winnerEntry = away;
-        else if (home && home.winner) winnerEntry = home;
-        else if (Array.isArray(competitors)) {
-          for (var wi = 0; wi < competitors.length; wi++) {
-            var compEntry = competitors[wi];
-            if (compEntry && compEntry.winner) {
-              winnerEntry = compEntry;
-              break;
-            }
-          }
-        }
-
-        if (!winnerEntry) {
-          var awayFinal = this._firstNumber(
-            away && away.score,
-            away && away.points,
-            away && away.team && away.team.score
-          );
-          var homeFinal = this._firstNumber(
-            home && home.score,
-            home && home.points,
-            home && home.team && home.team.score
-          );
-          if (awayFinal != null && homeFinal != null) {
-            if (awayFinal > homeFinal) winnerEntry = away;
-            else if (homeFinal > awayFinal) winnerEntry = home;
-          }
-        }
-
-        if (winnerEntry) {
-          markPossessionTokens(winnerEntry);
-          if (winnerEntry.team) markPossessionTokens(winnerEntry.team);
-        }
-      }
-
+      var teams = (game && game.teams) || {};
+      var ranks = (game && game.extras && game.extras.ranks) || {};
       var rows = [];
-      var pair = [away, home];
-
-      // First pass: determine possession for each team
-      var possessionCandidates = [];
+      var pair = [teams.away, teams.home];
       for (var idx = 0; idx < pair.length; idx++) {
         var entry = pair[idx] || {};
-        var team = entry.team || {};
-
-        var hasPossession = false;
-        var matchCount = 0;
-        var hasIdMatch = false;
-
-        if (possessionLookup) {
-          var entryTokens = collectTokens(entry);
-          var teamTokens = collectTokens(team);
-          var combined = entryTokens.concat(teamTokens);
-
-          // Count matches and check for ID matches (more reliable)
-          for (var ct = 0; ct < combined.length; ct++) {
-            if (possessionLookup[combined[ct]]) {
-              matchCount++;
-              // Check if this is an ID match (IDs are more reliable)
-              if (team.id && String(team.id).toLowerCase() === combined[ct]) {
-                hasIdMatch = true;
-              }
-            }
-          }
-
-          hasPossession = matchCount > 0;
-        }
-
-        possessionCandidates.push({
-          idx: idx,
-          hasPossession: hasPossession,
-          matchCount: matchCount,
-          hasIdMatch: hasIdMatch
-        });
-      }
-
-      // Ensure only ONE team has possession
-      if (possessionCandidates[0].hasPossession && possessionCandidates[1].hasPossession) {
-        // Both teams matched - pick the one with more matches or ID match
-        if (possessionCandidates[0].hasIdMatch && !possessionCandidates[1].hasIdMatch) {
-          possessionCandidates[1].hasPossession = false;
-        } else if (possessionCandidates[1].hasIdMatch && !possessionCandidates[0].hasIdMatch) {
-          possessionCandidates[0].hasPossession = false;
-        } else if (possessionCandidates[0].matchCount > possessionCandidates[1].matchCount) {
-          possessionCandidates[1].hasPossession = false;
-        } else if (possessionCandidates[1].matchCount > possessionCandidates[0].matchCount) {
-          possessionCandidates[0].hasPossession = false;
-        } else {
-          // Still tied - don't show possession on either to avoid incorrect display
-          possessionCandidates[0].hasPossession = false;
-          possessionCandidates[1].hasPossession = false;
-        }
-      }
-
-      // Second pass: build rows with corrected possession
-      for (var idx = 0; idx < pair.length; idx++) {
-        var entry = pair[idx] || {};
-        var team = entry.team || {};
-        var abbr = this._abbrForTeam(team, league);
-        var highlight = this._isHighlighted(abbr);
-
-        var record = null;
-        if (isPreview) record = this._formatNflRecord(entry);
-
-        var scoreNum = this._firstNumber(entry.score, entry.points, entry.team && entry.team.score);
-
-        var lineScores = Array.isArray(entry.linescores) ? entry.linescores : [];
-        var quarters = [null, null, null, null];
-        for (var lsIdx = 0; lsIdx < lineScores.length; lsIdx++) {
-          var ls = lineScores[lsIdx];
-          var period = ls && ls.period;
-          if (period >= 1 && period <= 4) {
-            quarters[period - 1] = this._firstNumber(
-              ls.value,
-              ls.displayValue,
-              ls.score,
-              ls.points
-            );
-          }
-        }
-
-        var totalScore = scoreNum;
-        if (totalScore == null) {
-          var runningTotal = 0;
-          var haveQuarterScore = false;
-          for (var qIdx = 0; qIdx < quarters.length; qIdx++) {
-            var quarterVal = quarters[qIdx];
-            if (quarterVal == null || quarterVal === "") continue;
-            var numericQuarter = Number(quarterVal);
-            if (!isNaN(numericQuarter)) {
-              runningTotal += numericQuarter;
-              haveQuarterScore = true;
-            }
-          }
-          if (haveQuarterScore) {
-            totalScore = runningTotal;
-          }
-        }
+        var side = (idx === 0) ? "away" : "home";
+        var abbr = this._abbrForTeam(entry.team || {}, league);
 
-        var otherScore = null;
-        if (idx === 0 && home) {
-          otherScore = this._firstNumber(home.score, home.points, home.team && home.team.score);
-        } else if (idx === 1 && away) {
-          otherScore = this._firstNumber(away.score, away.points, away.team && away.team.score);
-        }
-
-        var isLoser = false;
-        if (isFinal && scoreNum != null && otherScore != null && scoreNum !== otherScore) {
-          isLoser = scoreNum < otherScore;
-        }
+        // The football marks the team in possession while live and the winner once final.
+        var showBall = isLive ? entry.possession === true : (isFinal && entry.winner === true);
 
         rows.push({
-          type: (idx === 0) ? "away" : "home",
+          type: side,
           abbr: abbr,
           logoAbbr: abbr,
-          highlight: highlight,
-          isLoser: isLoser,
-          record: record,
+          rank: ranks[side] != null ? ranks[side] : null,
+          highlight: this._isHighlighted(abbr, league),
+          isLoser: isFinal && entry.winner === false,
+          record: isPreview ? this._formatNflRecord(entry.record) : null,
           metrics: [],
-          total: totalScore,
+          total: (entry.score != null) ? entry.score : null,
           totalPlaceholder: isPreview ? "" : "—",
-          possessionIcon: possessionCandidates[idx].hasPossession ? "🏈" : null
+          possessionIcon: showBall ? "🏈" : null
         });
       }
 
-      if (!showVals && this._rowsContainValues(rows)) showVals = true;
-
       return this._createScoreboardCard({
         league: league,
         live: isLive,
@@ -2554,35 +2633,26 @@
       });
     },
 
-    _createNbaGameCard: function (game) {
-      var league = "nba";
-      var competition = game && game.competitions && game.competitions[0];
-      if (!competition) competition = {};
-
-      var status = (competition.status && competition.status.type) || game.status && game.status.type || {};
-      var state = (status.state || "").toLowerCase();
-      var detailed = status.shortDetail || status.detail || status.description || "";
+    _createNbaGameCard: function (game, league) {
+      if (!league) league = "nba";
+      var status = (game && game.status) || {};
+      var state = status.state || "pre";
+      var detailed = status.detail || "";
 
-      var isPreview = state === "pre" || state === "preview" || state === "scheduled";
-      var isFinal = state === "post" || state === "final" || !!status.completed;
-      var isLive = state === "in" || state === "live";
+      var isPreview = state === "pre";
+      var isFinal = state === "final";
+      var isLive = state === "live";
 
       var showVals = !isPreview;
 
       var statusText = "";
       if (isPreview) {
-        statusText = this._formatStartTime(competition.date || game.date);
+        statusText = this._formatStartTime(game && game.startTimeUTC);
       } else if (isFinal) {
         statusText = detailed || "Final";
-      } else if (isLive) {
-        var period = this._firstNumber(
-          competition.status && competition.status.period,
-          status.period,
-          game.status && game.status.period
-        );
-        var ord = this._ordinal(period);
-        var clock = competition.status && (competition.status.displayClock || competition.status.clock);
-        if (!clock && status) clock = status.displayClock || status.clock;
+      } else {
+        var ord = this._basketballPeriodLabel(status.period, league);
+        var clock = status.clock;
         var specialStatus = this._resolveNbaSpecialLiveStatus({
           clock: clock,
           detailed: detailed
@@ -2595,8 +2665,6 @@
           if (clock) parts.push(clock);
           statusText = parts.join(" ") || detailed || "Live";
         }
-      } else {
-        statusText = detailed || "";
       }
 
       var cardClasses = [];
@@ -2604,86 +2672,33 @@
       else if (isLive) cardClasses.push("is-live");
       else if (isPreview) cardClasses.push("is-preview");
 
-      var competitors = competition.competitors || [];
-      var away = null, home = null;
-      for (var i = 0; i < competitors.length; i++) {
-        var comp = competitors[i];
-        if (!comp) continue;
-        var side = (comp.homeAway || comp.homeAway === 0) ? String(comp.homeAway).toLowerCase() : "";
-        if (side === "home") home = comp;
-        else if (side === "away") away = comp;
-      }
-
-      if (!away && competitors.length > 0) away = competitors[0];
-      if (!home && competitors.length > 1) home = competitors[1];
+      // NCAA tournament games show seeds and their round and region; other
+      // college games show poll ranks.
+      var extras = (game && game.extras) || {};
+      var tournament = extras.tournament || null;
+      var ranks = (tournament && extras.seeds) || extras.ranks || {};
 
+      var teams = (game && game.teams) || {};
       var rows = [];
-      var pair = [away, home];
+      var pair = [teams.away, teams.home];
       for (var idx = 0; idx < pair.length; idx++) {
         var entry = pair[idx] || {};
-        var team = entry.team || {};
-        var abbr = this._abbrForTeam(team, league);
-        var highlight = this._isHighlighted(abbr);
-
-        var scoreNum = this._firstNumber(entry.score, entry.points, team && team.score);
-
-        var lineScores = Array.isArray(entry.linescores) ? entry.linescores : [];
-        var quarters = [];
-        for (var lsIdx = 0; lsIdx < lineScores.length; lsIdx++) {
-          var ls = lineScores[lsIdx];
-          var period = this._firstNumber(ls && ls.period, ls && ls.sequenceNumber);
-          if (!Number.isFinite(period)) continue;
-          var periodIndex = Math.max(0, parseInt(period, 10) - 1);
-          quarters[periodIndex] = this._firstNumber(
-            ls.value,
-            ls.displayValue,
-            ls.score,
-            ls.points
-          );
-        }
-
-        var totalScore = scoreNum;
-        if (totalScore == null) {
-          var running = 0;
-          var haveQuarter = false;
-          for (var qIdx = 0; qIdx < quarters.length; qIdx++) {
-            var qVal = quarters[qIdx];
-            if (qVal == null || qVal === "") continue;
-            var numeric = Number(qVal);
-            if (!isNaN(numeric)) {
-              running += numeric;
-              haveQuarter = true;
-            }
-          }
-          if (haveQuarter) totalScore = running;
-        }
-
-        var otherScore = null;
-        if (idx === 0 && home) {
-          otherScore = this._firstNumber(home.score, home.points, home.team && home.team.score);
-        } else if (idx === 1 && away) {
-          otherScore = this._firstNumber(away.score, away.points, away.team && away.team.score);
-        }
-
-        var isLoser = false;
-        if (isFinal && totalScore != null && otherScore != null && totalScore !== otherScore) {
-          isLoser = totalScore < otherScore;
-        }
+        var side = (idx === 0) ? "away" : "home";
+        var abbr = this._abbrForTeam(entry.team || {}, league);
 
         rows.push({
-          type: (idx === 0) ? "away" : "home",
+          type: side,
           abbr: abbr,
           logoAbbr: abbr,
-          highlight: highlight,
-          isLoser: isLoser,
+          rank: ranks[side] != null ? ranks[side] : null,
+          highlight: this._isHighlighted(abbr, league),
+          isLoser: isFinal && entry.winner === false,
           metrics: [],
-          total: totalScore,
+          total: (entry.score != null) ? entry.score : null,
           totalPlaceholder: isPreview ? "" : "—"
         });
       }
 
-      if (!showVals && league !== "worldcup" && this._rowsContainValues(rows)) showVals = true;
-
       return this._createScoreboardCard({
         league: league,
         live: isLive,
@@ -2691,10 +2706,24 @@
         statusText: statusText,
         metricLabels: [],
         rows: rows,
-        cardClasses: cardClasses
+        cardClasses: cardClasses,
+        noteText: tournament ? [tournament.region, tournament.round].filter(Boolean).join(" · ") : null
       });
     },
 
+    // Men's college basketball plays halves (registry `periods: 2`); every
+    // other basketball league plays quarters.
+    _basketballPeriodLabel: function (period, league) {
+      var definition = this._leagueDefinition(league);
+      if (!definition || definition.periods !== 2) return this._ordinal(period);
+      var n = parseInt(period, 10);
+      if (!Number.isFinite(n) || n <= 0) return "";
+      if (n === 1) return "H1";
+      if (n === 2) return "H2";
+      if (n === 3) return "OT";
+      return (n - 2) + "OT";
+    },
+
     _compactMeridiem: function (timeText) {
       return (timeText || "").replace(/\s+([AP]M)$/i, "$1");
     },
@@ -2831,29 +2860,7 @@
       }
     },
 
-    _formatNflRecord: function (competitor) {
-      if (!competitor) return null;
-
-      var summary = null;
-      var records = competitor.records;
-
-      if (Array.isArray(records)) {
-        for (var i = 0; i < records.length; i++) {
-          var record = records[i] || {};
-          var candidate = record.summary || record.displayValue || record.overall || null;
-          var recordType = (record.type || record.name || "").toLowerCase();
-          var isOverall = recordType === "total" || recordType === "overall";
-
-          if (candidate && (isOverall || summary == null)) {
-            summary = candidate;
-            if (isOverall) break;
-          }
-        }
-      }
-
-      if (!summary && competitor.record) summary = competitor.record;
-      if (!summary && competitor.team && competitor.team.record) summary = competitor.team.record;
-
+    _formatNflRecord: function (summary) {
       if (!summary) return null;
 
       var match = String(summary).match(/(\d+)\s*-\s*(\d+)(?:\s*-\s*(\d+))?/);
@@ -2930,8 +2937,9 @@
       var abbr = "";
       var name = team.name || team.teamName || "";
       league = (league || this._getLeague() || "").toLowerCase();
+      var style = this._abbreviationStyleForLeague(league);
 
-      if (league === "mlb") {
+      if (style === "mlb") {
         var teamId = parseInt(team.id, 10);
         var mlbCountryName = String(
           team.shortDisplayName
@@ -2959,9 +2967,9 @@
           || team.teamCode
           || this._deriveMlbFallbackAbbreviation(team)
           || "";
-      } else if (league === "nhl") {
+      } else if (style === "nhl") {
         abbr = team.teamAbbreviation || team.abbreviation || team.triCode || team.shortName || name;
-      } else if (league === "olympic_mhockey" || league === "olympic_whockey" || league === "worldcup") {
+      } else if (style === "country") {
         var olympicName = String(
           team.shortDisplayName ||
           team.displayName ||
@@ -2975,9 +2983,9 @@
           || team.triCode
           || team.shortName
           || name;
-      } else if (league === "nfl") {
+      } else if (style === "nfl" || style === "espn") {
         abbr = team.abbreviation || team.teamAbbreviation || team.shortDisplayName || team.nickname || name;
-      } else if (league === "nba") {
+      } else if (style === "nba") {
         abbr = NBA_ABBREVIATION_OVERRIDES[name] || team.abbreviation || team.teamAbbreviation || team.shortDisplayName || team.nickname || name;
         // Check if the abbreviation itself needs to be overridden (e.g., UTAH -> UTA)
         if (abbr && NBA_ABBREVIATION_OVERRIDES[abbr]) {
@@ -2989,6 +2997,21 @@
       return (abbr || "").toString().toUpperCase();
     },
 
+    // World Cup and every club soccer league are fetched from ESPN's soccer
+    // scoreboards and share the soccer clock and shootout rendering.
+    _isSoccerLeague: function (league) {
+      var definition = this._leagueDefinition(league);
+      if (definition) return /^soccer\//.test(definition.espnPath || "");
+      return league === "worldcup";
+    },
+
+    _abbreviationStyleForLeague: function (league) {
+      var definition = this._leagueDefinition(league);
+      if (definition) return definition.abbreviationStyle;
+      if (league === "olympic_mhockey" || league === "olympic_whockey" || league === "worldcup") return "country";
+      return league;
+    },
+
     _deriveMlbFallbackAbbreviation: function (team) {
       if (!team) return "";
 
@@ -3052,8 +3075,8 @@
       return words[0].substring(0, 4).toUpperCase();
     },
 
-    _isHighlighted: function (abbr) {
-      var h = this._getHighlightedTeamsConfig();
+    _isHighlighted: function (abbr, league) {
+      var h = this._getHighlightedTeamsConfig(league);
 
       // Backwards compatibility for legacy `highlightedTeams`
       if ((h == null || (Array.isArray(h) && h.length === 0)) && this.config.highlightedTeams != null) {
@@ -3077,25 +3100,14 @@
 
     getLogoUrl: function (abbr) {
       var league = this._getLeague();
-      var path;
-      if (league === "nhl") {
-        path = "images/nhl/" + String(abbr || "").toUpperCase() + ".png";
-      } else if (league === "olympic_mhockey") {
-        path = "images/oly/" + String(abbr || "").toUpperCase() + ".png";
-      } else if (league === "worldcup") {
-        path = "images/oly/" + String(abbr || "").toUpperCase() + ".png";
-      } else if (league === "olympic_whockey") {
-        path = "images/oly/" + String(abbr || "").toUpperCase() + ".png";
-      } else if (league === "nfl") {
-        path = "images/nfl/" + String(abbr || "").toLowerCase() + ".png";
-      } else if (league === "nba") {
-        path = "images/nba/" + String(abbr || "").toUpperCase() + ".png";
-      } else {
-        var mlbLogoRaw = String(abbr || "").trim();
-        var mlbAbbr = mlbLogoRaw.toUpperCase();
-        var mlbLogoFile = MLB_LOGO_FILE_ALIASES[mlbAbbr] || mlbLogoRaw || mlbAbbr;
-        path = "images/mlb/" + mlbLogoFile + ".png";
-      }
+      var definition = this._leagueDefinition(league);
+      var logo = (definition && definition.logo) || { folder: league, caseStyle: "upper" };
+      var raw = String(abbr || "").trim();
+      var file = raw.toUpperCase();
+      if (logo.caseStyle === "lower") file = raw.toLowerCase();
+      else if (logo.caseStyle === "preserve") file = raw || file;
+      if (logo.aliases && logo.aliases[raw.toUpperCase()]) file = logo.aliases[raw.toUpperCase()];
+      var path = "images/" + logo.folder + "/" + file + ".png";
       return this.file(path);
     }
   });
@@ -1,11 +1,16 @@
 // node_helper.js
 const NodeHelper = require("node_helper");
+const crypto     = require("crypto");
 const dns        = require("dns");
+const fs         = require("fs");
+const path       = require("path");
 const cheerio    = require("cheerio");
 const http       = require("http");
 const https      = require("https");
+const tls        = require("tls");
 const { URL }    = require("url");
 const LeagueConfig = require("./shared-league-config");
+const LeagueRegistry = require("./shared-league-registry");
 
 function createHttpFetchFallback(maxRedirects = 5) {
   const createAbortError = () => {
@@ -29,7 +34,22 @@ function createHttpFetchFallback(maxRedirects = 5) {
       return;
     }
 
+    // proxyForUrl is asked again on every redirect so NO_PROXY still applies.
+    const proxyUrl = options && typeof options.proxyForUrl === "function"
+      ? options.proxyForUrl(parsed.toString())
+      : options && options.proxy;
+    let proxy = null;
+    if (proxyUrl) {
+      try {
+        proxy = new URL(proxyUrl);
+      } catch (error) {
+        reject(new Error(`Invalid proxy URL ${proxyUrl}`));
+        return;
+      }
+    }
+
     const transport = parsed.protocol === "https:" ? https : http;
+    let req = null;
     let resRef = null;
     let settled = false;
     let abortHandler = null;
@@ -48,10 +68,7 @@ function createHttpFetchFallback(maxRedirects = 5) {
       callback(value);
     };
 
-    const req = transport.request(parsed, {
-      method: (options && options.method) || "GET",
-      headers: (options && options.headers) || {}
-    }, (res) => {
+    const onResponse = (res) => {
       resRef = res;
       const status = Number(res.statusCode) || 0;
       const location = res.headers && res.headers.location;
@@ -78,12 +95,35 @@ function createHttpFetchFallback(maxRedirects = 5) {
         };
         settle(resolve, response);
       });
-    });
+    };
+
+    const headers = Object.assign({}, (options && options.headers) || {});
+    const method = (options && options.method) || "GET";
+    const requestTimeout = Number(options && options.timeout);
+
+    const send = (requestArgs) => {
+      if (settled) return;
+      req = requestArgs.transport.request(requestArgs.target, requestArgs.options, onResponse);
+      if (Number.isFinite(requestTimeout) && requestTimeout > 0) {
+        req.setTimeout(requestTimeout, () => {
+          const error = new Error(`Request timed out after ${requestTimeout}ms`);
+          error.name = "AbortError";
+          req.destroy(error);
+          settle(reject, error);
+        });
+      }
+
+      req.on("error", (error) => settle(reject, error));
+
+      const body = options && options.body;
+      if (typeof body !== "undefined" && body !== null) req.write(body);
+      req.end();
+    };
 
     abortHandler = () => {
       const error = createAbortError();
       if (resRef && typeof resRef.destroy === "function") resRef.destroy(error);
-      req.destroy(error);
+      if (req) req.destroy(error);
       settle(reject, error);
     };
 
@@ -91,31 +131,78 @@ function createHttpFetchFallback(maxRedirects = 5) {
       signal.addEventListener("abort", abortHandler, { once: true });
     }
 
-    const requestTimeout = Number(options && options.timeout);
+    if (!proxy) {
+      send({ transport, target: parsed, options: { method, headers } });
+      return;
+    }
+
+    const proxyTransport = proxy.protocol === "https:" ? https : http;
+    const proxyHeaders = {};
+    if (proxy.username || proxy.password) {
+      const credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+      proxyHeaders["Proxy-Authorization"] = `Basic ${Buffer.from(credentials).toString("base64")}`;
+    }
+    const proxyTarget = new URL(`${proxy.protocol}//${proxy.host}`);
+
+    // Plain HTTP goes to the proxy with the absolute URL as the request path.
+    if (parsed.protocol !== "https:") {
+      send({
+        transport: proxyTransport,
+        target: proxyTarget,
+        options: { method, path: parsed.toString(), headers: Object.assign({ Host: parsed.host }, headers, proxyHeaders) }
+      });
+      return;
+    }
+
+    // HTTPS opens a CONNECT tunnel through the proxy and speaks TLS inside it.
+    const targetPort = parsed.port || 443;
+    const connectReq = proxyTransport.request(proxyTarget, {
+      method: "CONNECT",
+      path: `${parsed.hostname}:${targetPort}`,
+      headers: Object.assign({ Host: `${parsed.hostname}:${targetPort}` }, proxyHeaders)
+    });
+    req = connectReq;
     if (Number.isFinite(requestTimeout) && requestTimeout > 0) {
-      req.setTimeout(requestTimeout, () => {
-        const error = new Error(`Request timed out after ${requestTimeout}ms`);
+      connectReq.setTimeout(requestTimeout, () => {
+        const error = new Error(`Proxy CONNECT timed out after ${requestTimeout}ms`);
         error.name = "AbortError";
-        req.destroy(error);
+        connectReq.destroy(error);
         settle(reject, error);
       });
     }
-
-    req.on("error", (error) => settle(reject, error));
-
-    const body = options && options.body;
-    if (typeof body !== "undefined" && body !== null) req.write(body);
-    req.end();
+    connectReq.on("error", (error) => settle(reject, error));
+    connectReq.on("connect", (connectRes, socket) => {
+      connectReq.setTimeout(0);
+      if (connectRes.statusCode !== 200) {
+        socket.destroy();
+        const error = new Error(`Proxy CONNECT to ${parsed.host} failed with HTTP ${connectRes.statusCode}`);
+        error.status = connectRes.statusCode;
+        settle(reject, error);
+        return;
+      }
+      const isIpHost = /^[\d.]+$/.test(parsed.hostname) || parsed.hostname.indexOf(":") !== -1;
+      const tlsSocket = tls.connect({ socket, servername: isIpHost ? undefined : parsed.hostname });
+      send({
+        transport: https,
+        target: parsed,
+        options: { method, headers, createConnection: () => tlsSocket }
+      });
+    });
+    connectReq.end();
   });
 
   return (url, options) => requestOnce(url, options, maxRedirects);
 }
 
+// Global fetch ignores proxy settings, so proxied requests always use the
+// http/https fallback, which understands `options.proxy`.
+const proxyFetch = createHttpFetchFallback();
 const fetch = (typeof global.fetch === "function")
   ? global.fetch.bind(global)
-  : createHttpFetchFallback();
+  : proxyFetch;
 
-const { SUPPORTED_LEAGUES } = LeagueConfig;
+const HTTP_CACHE_MAX_ENTRIES = 64;
+const REQUEST_TRACE_MAX_ENTRIES = 25;
 const MLB_SCOREBOARD_SPORT_IDS = [1, 51]; // MLB plus explicit international/WBC feeds, split before display
 const MLB_INTERNATIONAL_WBC_TEAM_IDS = new Set([
   776, // Brazil
@@ -176,133 +263,1943 @@ const DNS_LOOKUP = (dns && dns.promises && typeof dns.promises.lookup === "funct
     });
   });
 
+const NHL_REQUEST_HEADERS = {
+  "User-Agent": "Mozilla/5.0 (MMM-Scores)",
+  Accept: "application/json",
+  "Accept-Language": "en-US,en;q=0.9",
+  Referer: "https://www.nhl.com/",
+  Origin: "https://www.nhl.com",
+  Pragma: "no-cache",
+  "Cache-Control": "no-cache"
+};
+
+const NHL_STATS_ORIGIN_HEADERS = Object.assign({}, NHL_REQUEST_HEADERS, {
+  "x-nhl-stats-origin": "https://www.nhl.com",
+  "x-nhl-stats-referer": "https://www.nhl.com"
+});
+
+// Options that change how leagues are fetched. Modules in one time zone share
+// a fetch only when these match too; polling intervals and jitter are merged
+// across the group instead (see _pollIntervals and _pollJitterMs).
+const FETCH_CONFIG_KEYS = [
+  "providers",
+  "providerChains",
+  "providerCacheMs",
+  "apiBaseUrl",
+  "proxy",
+  "noProxy",
+  "requestTimeoutMs",
+  "lastGoodCacheMs",
+  "conditionalRequests",
+  "circuitBreakerThreshold",
+  "circuitBreakerBaseMs",
+  "circuitBreakerMaxMs",
+  "maxConcurrentRequests",
+  "maxRequestsPerHost",
+  "fixtureMode",
+  "fixturesDir",
+  "fixtureReplayFrom",
+  "fixtureReplaySpeed",
+  "logPayloadSize"
+];
+
+// Default origin and headers of every HTTP endpoint the helper calls. The
+// `providers` config option overrides baseUrl, query, userAgent and headers
+// per key; Olympic ESPN scoreboards also read their provider name as a key.
+const PROVIDER_ENDPOINTS = {
+  mlb_statsapi: { baseUrl: "https://statsapi.mlb.com", headers: {} },
+  nhl_stats_api: { baseUrl: "https://statsapi.web.nhl.com", headers: NHL_REQUEST_HEADERS },
+  nhl_scoreboard: { baseUrl: "https://api-web.nhle.com", headers: NHL_STATS_ORIGIN_HEADERS },
+  nhl_stats_rest: { baseUrl: "https://api.nhle.com", headers: NHL_STATS_ORIGIN_HEADERS },
+  hockeytech: { baseUrl: "https://lscluster.hockeytech.com", headers: {} },
+  espn: { baseUrl: "https://site.api.espn.com", headers: {} },
+  espn_results_page: {
+    baseUrl: "https://www.espn.com",
+    headers: {
+      "User-Agent": "Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
+      Accept: "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
+      "Accept-Language": "en-US,en;q=0.9"
+    }
+  }
+};
+
 module.exports = NodeHelper.create({
   start() {
     console.log("🛰️ MMM-Scores helper started");
-    this.fetchTimer = null;
+    this._pollSchedules = new Map();
     this._nhlStatsDnsStatus = { available: null, checkedAt: 0 };
     this._nhlStatsRestStatus = { available: null, checkedAt: 0, warnedAt: 0 };
     this._providerCache = new Map();
+    this._circuitBreakers = new Map();
+    this._httpCache = new Map();
+    this._httpCacheStats = { hits: 0, revalidated: 0, misses: 0 };
+    this._requestQueue = { active: 0, activeByHost: new Map(), waiting: [], inFlight: new Map() };
+    this._fixtureState = { files: new Map(), writing: Promise.resolve(), replayWallStart: 0 };
     this._olympicLastGoodByLeague = {};
     this._lastGoodByLeague = {};
+    this._instances = new Map();
+    this._fetchGroups = new Map();
+    // Loaded by _configurePersistentCache once an instance enables persistCache.
+    this._persistentCache = { enabled: false, file: null, loadedFiles: [], timer: null, writing: null };
+    this._startedAt = Date.now();
+    this._registerApiRoutes();
   },
 
   socketNotificationReceived(notification, payload) {
     if (notification === "INIT") {
-      this.config = payload || {};
-      this.leagues = this._resolveConfiguredLeagues();
-      if (!Array.isArray(this.leagues) || this.leagues.length === 0) {
-        this.leagues = [this._getLeague()];
+      // INIT is a registration handshake: it may arrive again from a reloaded
+      // browser or a reconnecting client, so it never restarts polling. Known
+      // payloads are replayed at once and only leagues with nothing cached
+      // are fetched immediately.
+      const instance = this._registerInstance(payload);
+      this._configurePersistentCache(instance.config);
+      const missing = this._replayCachedPayloads(instance);
+      const started = this._syncPollSchedules();
+      const pending = missing.filter((league) => !started.has(this._pollScheduleKey(instance.groupKey, this._fetchKeyForLeague(league))));
+      if (pending.length > 0) this._fetchInstanceLeagues(instance, pending);
+    } else if (notification === "PING") {
+      // Keepalive: tells a module whether this helper still knows it, so only
+      // a restarted helper costs a full INIT and replay.
+      const identifier = this._firstString(payload && payload.identifier) || "default";
+      this.sendSocketNotification("PONG", { identifier, known: this._instances.has(identifier) });
+    }
+  },
+
+  stop() {
+    if (this._persistentCache && this._persistentCache.timer) {
+      clearTimeout(this._persistentCache.timer);
+      this._persistentCache.timer = null;
+      this._writePersistentCache();
+    }
+    if (!this._pollSchedules) return;
+    this._pollSchedules.forEach((entry) => clearTimeout(entry.timer));
+    this._pollSchedules.clear();
+  },
+
+  _pollScheduleKey(groupKey, fetchKey) {
+    return `${groupKey}|${fetchKey}`;
+  },
+
+  // Every fetch key (a league, or the MLB feed shared with WBC) in every time
+  // zone group gets its own timer. Returns the keys of schedules created by
+  // this call; those run immediately.
+  _syncPollSchedules() {
+    const wanted = new Map();
+    this._instances.forEach((instance) => {
+      instance.leagues.forEach((league) => {
+        const fetchKey = this._fetchKeyForLeague(league);
+        wanted.set(this._pollScheduleKey(instance.groupKey, fetchKey), { groupKey: instance.groupKey, fetchKey });
+      });
+    });
+
+    this._pollSchedules.forEach((entry, key) => {
+      if (wanted.has(key)) return;
+      clearTimeout(entry.timer);
+      this._pollSchedules.delete(key);
+    });
+
+    const started = new Set();
+    wanted.forEach((target, key) => {
+      if (this._pollSchedules.has(key)) return;
+      const entry = Object.assign({ timer: null, delayMs: 0, reason: "" }, target);
+      this._pollSchedules.set(key, entry);
+      entry.timer = setTimeout(() => this._runPollSchedule(key), 0);
+      started.add(key);
+    });
+    return started;
+  },
+
+  async _runPollSchedule(key) {
+    const entry = this._pollSchedules.get(key);
+    if (!entry) return;
+    entry.timer = null;
+
+    this._instances.forEach((instance) => {
+      instance.leagues = this._resolveInstanceLeagues(instance.config);
+    });
+    this._syncPollSchedules();
+    if (this._pollSchedules.get(key) !== entry) return;
+
+    const instances = [];
+    const leagues = [];
+    this._instances.forEach((instance) => {
+      if (instance.groupKey !== entry.groupKey) return;
+      instances.push(instance);
+      instance.leagues.forEach((league) => {
+        if (this._fetchKeyForLeague(league) === entry.fetchKey && leagues.indexOf(league) === -1) leagues.push(league);
+      });
+    });
+
+    const scope = this._createFetchScope(entry.groupKey, instances);
+    scope.leagues = leagues;
+    try {
+      await scope._fetchGames();
+    } catch (error) {
+      console.error(`🚨 ${entry.fetchKey} scheduled fetch failed:`, error);
+    }
+
+    if (this._pollSchedules.get(key) !== entry) return;
+    const plan = this._nextPollDelay(entry.groupKey, leagues, instances);
+    if (plan.reason !== entry.reason) {
+      console.info(`ℹ️ ${entry.fetchKey} polling every ${Math.round(plan.delayMs / 1000)}s (${plan.reason}).`);
+    }
+    entry.delayMs = plan.delayMs;
+    entry.reason = plan.reason;
+    // Random jitter keeps schedules with equal intervals from firing together.
+    const jitterMs = Math.round(Math.random() * this._pollJitterMs(instances));
+    entry.nextRunAt = Date.now() + plan.delayMs + jitterMs;
+    entry.timer = setTimeout(() => this._runPollSchedule(key), plan.delayMs + jitterMs);
+  },
+
+  _pollJitterMs(instances) {
+    let jitter = null;
+    instances.forEach((instance) => {
+      const raw = Number(instance.config && instance.config.pollJitterMs);
+      if (Number.isFinite(raw) && raw >= 0 && (jitter == null || raw < jitter)) jitter = raw;
+    });
+    return jitter != null ? jitter : 5000;
+  },
+
+  _pollIntervals(instances) {
+    const pick = (key, fallback) => {
+      let value = null;
+      instances.forEach((instance) => {
+        const raw = Number(instance.config && instance.config[key]);
+        if (Number.isFinite(raw) && raw > 0 && (value == null || raw < value)) value = raw;
+      });
+      return Math.max(10 * 1000, value != null ? value : fallback);
+    };
+    const base = pick("updateIntervalScores", 60 * 1000);
+    return {
+      adaptive: instances.every((instance) => !instance.config || instance.config.adaptivePolling !== false),
+      base,
+      live: pick("livePollIntervalMs", base),
+      pregame: pick("pregamePollIntervalMs", 10 * 60 * 1000),
+      idle: pick("idlePollIntervalMs", 30 * 60 * 1000)
+    };
+  },
+
+  // Polls fast while anything is live, backs off while the next start is far
+  // away, and idles once every game on the scoreboard date is final. Failed
+  // fetches and empty boards keep the regular interval so recovery is quick.
+  _nextPollDelay(groupKey, leagues, instances) {
+    const intervals = this._pollIntervals(instances);
+    if (!intervals.adaptive) return { delayMs: intervals.base, reason: "fixed interval" };
+
+    const groupState = this._fetchGroupState(groupKey);
+    const games = [];
+    let failed = false;
+    leagues.forEach((league) => {
+      const payload = groupState.lastPayloadByLeague[league];
+      if (!payload) return;
+      if (payload.errorMessage || payload.isStale) failed = true;
+      if (Array.isArray(payload.games)) games.push(...payload.games);
+      if (Array.isArray(payload.scheduleGames)) games.push(...payload.scheduleGames);
+    });
+
+    if (failed) return { delayMs: intervals.base, reason: "retrying after provider error" };
+    if (games.length === 0) return { delayMs: intervals.base, reason: "no games" };
+
+    const states = games.map((game) => (game && game.status && game.status.state) || "pre");
+    if (states.indexOf("live") !== -1) return { delayMs: intervals.live, reason: "games live" };
+
+    const now = this._now();
+    let nextStart = null;
+    games.forEach((game, index) => {
+      if (states[index] !== "pre") return;
+      const start = Date.parse((game && game.startTimeUTC) || "");
+      if (Number.isFinite(start) && (nextStart == null || start < nextStart)) nextStart = start;
+    });
+
+    if (nextStart == null) {
+      if (states.every((state) => state === "final")) return { delayMs: intervals.idle, reason: "all games final" };
+      return { delayMs: intervals.base, reason: "awaiting start times" };
+    }
+
+    const leadMs = 15 * 60 * 1000;
+    const untilStart = nextStart - now;
+    if (untilStart <= leadMs) return { delayMs: intervals.base, reason: "games starting soon" };
+    const delayMs = Math.max(intervals.base, Math.min(intervals.pregame, untilStart - leadMs));
+    return { delayMs, reason: "next game later" };
+  },
+
+  _replayCachedPayloads(instance) {
+    const groupState = this._fetchGroupState(instance.groupKey);
+    const missing = [];
+    instance.leagues.forEach((league) => {
+      const payload = groupState.lastPayloadByLeague[league];
+      if (payload) {
+        this.sendSocketNotification("GAMES", this._instancePayload(instance, payload, { replayed: true }));
+      } else {
+        missing.push(league);
+      }
+    });
+    return missing;
+  },
+
+  _fetchInstanceLeagues(instance, leagues) {
+    const scope = this._createFetchScope(instance.groupKey, [instance]);
+    scope.leagues = leagues.slice();
+    return scope._fetchGames();
+  },
+
+  // Each MMM-Scores module on the mirror registers under its module identifier
+  // with its own config. Instances that share a time zone share one scoreboard
+  // date, so their leagues are fetched once per cycle and fanned out.
+  _registerInstance(config) {
+    const instanceConfig = config || {};
+    const identifier = this._firstString(instanceConfig.identifier) || "default";
+    const leagues = this._resolveInstanceLeagues(instanceConfig);
+    const known = this._instances.has(identifier);
+
+    const instance = {
+      identifier,
+      config: instanceConfig,
+      leagues,
+      groupKey: this._fetchGroupKey(instanceConfig)
+    };
+    this._instances.set(identifier, instance);
+    console.log(`🛰️ MMM-Scores instance ${identifier} ${known ? "updated" : "registered"} for ${leagues.join(", ")}.`);
+    return instance;
+  },
+
+  // Seasonal filters depend on the date, so leagues are re-resolved every cycle.
+  _resolveInstanceLeagues(config) {
+    const scope = Object.assign(Object.create(this), { config });
+    const leagues = scope._resolveConfiguredLeagues();
+    return Array.isArray(leagues) && leagues.length > 0 ? leagues : [scope._getLeague()];
+  },
+
+  // The time zone, plus a short hash of the fetch options when any are set,
+  // e.g. "America/Chicago#3f9a1c2e".
+  _fetchGroupKey(config) {
+    const timeZone = (config && config.timeZone) ? String(config.timeZone) : "America/Chicago";
+    const settings = {};
+    FETCH_CONFIG_KEYS.forEach((key) => {
+      if (config && config[key] != null) settings[key] = config[key];
+    });
+    if (Object.keys(settings).length === 0) return timeZone;
+    const hash = crypto.createHash("sha1").update(this._stableStringify(settings)).digest("hex").slice(0, 8);
+    return `${timeZone}#${hash}`;
+  },
+
+  _groupTimeZone(groupKey) {
+    return String(groupKey).split("#")[0];
+  },
+
+  _stableStringify(value) {
+    if (Array.isArray(value)) return `[${value.map((entry) => this._stableStringify(entry)).join(",")}]`;
+    if (value && typeof value === "object") {
+      return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${this._stableStringify(value[key])}`).join(",")}}`;
+    }
+    const json = JSON.stringify(value);
+    return json === undefined ? "null" : json;
+  },
+
+  _fetchAllInstances() {
+    const groups = new Map();
+    this._instances.forEach((instance) => {
+      instance.leagues = this._resolveInstanceLeagues(instance.config);
+      if (!groups.has(instance.groupKey)) groups.set(instance.groupKey, []);
+      groups.get(instance.groupKey).push(instance);
+    });
+
+    const tasks = [];
+    groups.forEach((instances, groupKey) => {
+      tasks.push(this._createFetchScope(groupKey, instances)._fetchGames());
+    });
+    return Promise.all(tasks);
+  },
+
+  // A fetch scope behaves like the helper for one group of instances: it sees
+  // the config of the group's first instance (the fetch options are the same
+  // for the whole group) and the merged league list, keeps its own last-good cache
+  // and only delivers payloads to the instances in that group.
+  _createFetchScope(groupKey, instances) {
+    const groupState = this._fetchGroupState(groupKey);
+    const leagues = [];
+    instances.forEach((instance) => {
+      instance.leagues.forEach((league) => {
+        if (leagues.indexOf(league) === -1) leagues.push(league);
+      });
+    });
+
+    return Object.assign(Object.create(this), {
+      config: instances[0].config,
+      leagues,
+      _scopeGroupKey: groupKey,
+      _lastGoodByLeague: groupState.lastGoodByLeague,
+      _olympicLastGoodByLeague: groupState.olympicLastGoodByLeague,
+      _lastPayloadByLeague: groupState.lastPayloadByLeague,
+      _diagnosticsByLeague: groupState.diagnosticsByLeague
+    });
+  },
+
+  _fetchGroupState(groupKey) {
+    if (!this._fetchGroups.has(groupKey)) {
+      this._fetchGroups.set(groupKey, { lastGoodByLeague: {}, olympicLastGoodByLeague: {}, lastPayloadByLeague: {}, diagnosticsByLeague: {} });
+    }
+    return this._fetchGroups.get(groupKey);
+  },
+
+  // Request diagnostics stay in the helper for the status API. The socket
+  // payload only keeps what the provider status line shows: the endpoint,
+  // state and retry time of each open circuit.
+  _deliverGames(payload) {
+    const breakers = this._tracedCircuitBreakers();
+    if (this._diagnosticsByLeague) {
+      this._diagnosticsByLeague[payload.league] = {
+        circuitBreakers: breakers,
+        httpCacheStats: this._httpCacheTrace ? Object.assign({}, this._httpCacheTrace) : null,
+        requestDiagnostics: this._requestTrace ? this._requestTrace.slice() : []
+      };
+    }
+    delete payload.httpCacheStats;
+    delete payload.requestDiagnostics;
+    if (breakers.length > 0) {
+      payload.circuitBreakers = breakers.map(({ endpoint, state, retryAt }) => ({ endpoint, state, retryAt }));
+    } else {
+      delete payload.circuitBreakers;
+    }
+    this._logPayloadSize(payload);
+
+    const instances = this._instances;
+    if (!instances || instances.size === 0) {
+      this.sendSocketNotification("GAMES", this._instancePayload({ config: this.config }, payload));
+      return;
+    }
+
+    const groupKey = this._scopeGroupKey || null;
+    if (this._lastPayloadByLeague) this._lastPayloadByLeague[payload.league] = payload;
+    instances.forEach((instance) => {
+      if (groupKey && instance.groupKey !== groupKey) return;
+      if (instance.leagues.indexOf(payload.league) === -1) return;
+      this.sendSocketNotification("GAMES", this._instancePayload(instance, payload));
+    });
+  },
+
+  // Modules sharing a fetch can still filter college boards differently, so
+  // the cached payload keeps every game and each module is sent only the
+  // games its conference, Top 25 and tournament options keep.
+  _instancePayload(instance, payload, fields) {
+    const games = LeagueConfig.filterLeagueGames(payload.league, payload.games, instance.config);
+    return Object.assign({}, payload, games === payload.games ? null : { games }, instance.identifier ? { identifier: instance.identifier } : null, fields);
+  },
+
+  // Opt-in through `logPayloadSize`, so a mirror's log stays quiet by default.
+  _logPayloadSize(payload) {
+    if (!this.config || this.config.logPayloadSize !== true) return;
+    let bytes = 0;
+    try {
+      bytes = Buffer.byteLength(JSON.stringify(payload), "utf8");
+    } catch (err) {
+      return;
+    }
+    const games = Array.isArray(payload.games) ? payload.games.length : 0;
+    const schedule = Array.isArray(payload.scheduleGames) ? payload.scheduleGames.length : 0;
+    const scheduleNote = schedule > 0 ? ` + ${schedule} scheduled` : "";
+    console.log(`📦 ${payload.league} payload ${(bytes / 1024).toFixed(1)} KB (${games} game${games === 1 ? "" : "s"}${scheduleNote}).`);
+  },
+
+  // ---------- HTTP API ----------
+  // Read-only JSON routes on MagicMirror's express app, so dashboards and
+  // scripts can reuse what the helper already fetched instead of calling the
+  // upstream providers again:
+  //   GET /MMM-Scores/api/leagues         registered leagues and their cached feeds
+  //   GET /MMM-Scores/api/games/:league   latest payload (?timeZone= picks a group)
+  //   GET /MMM-Scores/api/status          instances, polls, staleness and breakers
+  _registerApiRoutes() {
+    const app = this.expressApp;
+    if (!app || typeof app.get !== "function") return;
+    const base = `/${this.name || "MMM-Scores"}/api`;
+    const route = (pathname, handler) => {
+      app.get(`${base}${pathname}`, (req, res) => {
+        let result;
+        try {
+          result = handler.call(this, req.params || {}, req.query || {});
+        } catch (error) {
+          console.error(`🚨 API ${pathname} failed:`, error);
+          result = { status: 500, body: { error: "Internal error" } };
+        }
+        res.set("Cache-Control", "no-store");
+        res.status(result.status).json(result.body);
+      });
+    };
+    route("/leagues", this._apiLeagues);
+    route("/games/:league", this._apiGames);
+    route("/status", this._apiStatus);
+  },
+
+  _apiLeagues() {
+    const active = new Set();
+    this._instances.forEach((instance) => instance.leagues.forEach((league) => active.add(league)));
+    const leagues = LeagueRegistry.listLeagues().map((league) => ({
+      league,
+      header: LeagueRegistry.getLeague(league).header,
+      active: active.has(league),
+      feeds: this._apiCachedPayloads(league).map(({ timeZone, payload }) => Object.assign({ timeZone }, this._apiPayloadSummary(payload)))
+    }));
+    return { status: 200, body: { leagues } };
+  },
+
+  _apiGames(params, query) {
+    const league = this._normalizeLeagueKey(params.league);
+    if (!league || !LeagueRegistry.hasLeague(league)) {
+      return { status: 404, body: { error: `Unknown league: ${params.league}` } };
+    }
+    const timeZone = typeof query.timeZone === "string" && query.timeZone ? query.timeZone : null;
+    const match = this._apiCachedPayloads(league).find((entry) => !timeZone || entry.timeZone === timeZone);
+    if (!match) {
+      return { status: 404, body: { error: `No ${league} games fetched yet${timeZone ? ` for ${timeZone}` : ""}.` } };
+    }
+    return { status: 200, body: Object.assign({ timeZone: match.timeZone }, match.payload, match.diagnostics) };
+  },
+
+  _apiStatus() {
+    const instances = [];
+    this._instances.forEach((instance) => {
+      instances.push({ identifier: instance.identifier, leagues: instance.leagues.slice(), timeZone: this._groupTimeZone(instance.groupKey) });
+    });
+    const polls = [];
+    this._pollSchedules.forEach((entry) => {
+      polls.push({
+        timeZone: this._groupTimeZone(entry.groupKey),
+        fetchKey: entry.fetchKey,
+        intervalMs: entry.delayMs,
+        reason: entry.reason || null,
+        nextRunAt: entry.nextRunAt ? new Date(entry.nextRunAt).toISOString() : null
+      });
+    });
+    const leagues = [];
+    this._fetchGroups.forEach((groupState, group) => {
+      const timeZone = this._groupTimeZone(group);
+      Object.keys(groupState.lastPayloadByLeague).forEach((league) => {
+        const diagnostics = groupState.diagnosticsByLeague[league];
+        leagues.push(Object.assign({ league, timeZone }, this._apiPayloadSummary(groupState.lastPayloadByLeague[league]), {
+          httpCacheStats: diagnostics ? diagnostics.httpCacheStats : null
+        }));
+      });
+    });
+    const circuitBreakers = [];
+    this._circuitBreakers.forEach((breaker) => {
+      if (breaker.state !== "closed") circuitBreakers.push(this._describeCircuitBreaker(breaker));
+    });
+    return {
+      status: 200,
+      body: {
+        startedAt: new Date(this._startedAt).toISOString(),
+        uptimeSec: Math.round((Date.now() - this._startedAt) / 1000),
+        instances,
+        polls,
+        leagues,
+        circuitBreakers,
+        httpCacheStats: Object.assign({}, this._httpCacheStats),
+        requestQueue: { active: this._requestQueue.active, waiting: this._requestQueue.waiting.length }
       }
+    };
+  },
+
+  _apiCachedPayloads(league) {
+    const entries = [];
+    this._fetchGroups.forEach((groupState, group) => {
+      const payload = groupState.lastPayloadByLeague[league];
+      if (payload) entries.push({ timeZone: this._groupTimeZone(group), payload, diagnostics: groupState.diagnosticsByLeague[league] || {} });
+    });
+    return entries;
+  },
+
+  _apiPayloadSummary(payload) {
+    return {
+      games: Array.isArray(payload.games) ? payload.games.length : 0,
+      scheduledGames: Array.isArray(payload.scheduleGames) ? payload.scheduleGames.length : 0,
+      providerUsed: payload.providerUsed || null,
+      stale: !!payload.isStale,
+      fallbackUsed: !!payload.fallbackUsed,
+      fetchedAt: payload.fetchedAt || null,
+      lastUpdatedAt: payload.lastUpdatedAt || payload.fetchedAt || null,
+      errorMessage: payload.errorMessage || null
+    };
+  },
+
+  // ---------- persistent last-good cache ----------
+  // Optional JSON snapshot of the last-good and provider caches so a restart
+  // during an outage can still show the most recent scores, flagged stale.
+  _persistentCacheFile(config) {
+    const base = this.path || __dirname;
+    const configured = config && typeof config.cacheFile === "string" ? config.cacheFile.trim() : "";
+    if (!configured) return path.join(base, "cache", "last-good.json");
+    return path.isAbsolute(configured) ? configured : path.join(base, configured);
+  },
+
+  _configurePersistentCache(config) {
+    const state = this._persistentCache;
+    if (!config || config.persistCache !== true) return;
+    const file = this._persistentCacheFile(config);
+    state.enabled = true;
+    if (state.file === file) return;
+    state.file = file;
+    const ttlMs = Object.assign(Object.create(this), { config })._lastGoodTtlMs();
+    this._loadPersistentCache(file, ttlMs);
+  },
+
+  _loadPersistentCache(file, ttlMs) {
+    const state = this._persistentCache;
+    if (state.loadedFiles.indexOf(file) !== -1) return;
+    state.loadedFiles.push(file);
+
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") console.warn(`⚠️ Ignoring unreadable scoreboard cache ${file}:`, error.message || error);
+      return;
+    }
+    if (!data || data.version !== 1 || !data.groups || typeof data.groups !== "object") return;
+
+    const now = Date.now();
+    let restored = 0;
+    Object.keys(data.groups).forEach((groupKey) => {
+      const saved = data.groups[groupKey] || {};
+      const groupState = this._fetchGroupState(groupKey);
+      const lastGood = saved.lastGoodByLeague || {};
+      Object.keys(lastGood).forEach((league) => {
+        const entry = lastGood[league];
+        const updatedAt = entry && Date.parse(entry.lastUpdatedAt);
+        if (!Number.isFinite(updatedAt) || (now - updatedAt) > ttlMs) return;
+        if (groupState.lastGoodByLeague[league]) return;
+        groupState.lastGoodByLeague[league] = entry;
+        restored += 1;
+
+        // Olympic provider results are saved alongside the league payload
+        // that carried them, so they expire with it.
+        const olympicGames = saved.olympicLastGoodByLeague && saved.olympicLastGoodByLeague[league];
+        if (Array.isArray(olympicGames) && !groupState.olympicLastGoodByLeague[league]) {
+          groupState.olympicLastGoodByLeague[league] = olympicGames;
+        }
+      });
+    });
+
+    if (restored > 0) console.info(`ℹ️ Restored ${restored} cached scoreboard(s) from ${file}.`);
+  },
+
+  _schedulePersistentCacheWrite() {
+    const state = this._persistentCache;
+    if (!state || !state.enabled || state.timer) return;
+    // Coalesce the burst of leagues finishing in one poll into a single write.
+    state.timer = setTimeout(() => {
+      state.timer = null;
+      this._writePersistentCache();
+    }, 1000);
+  },
+
+  async _writePersistentCache() {
+    const state = this._persistentCache;
+    if (!state.enabled || !state.file) return;
+    if (state.writing) await state.writing.catch(() => {});
+
+    const groups = {};
+    this._fetchGroups.forEach((groupState, groupKey) => {
+      groups[groupKey] = {
+        lastGoodByLeague: groupState.lastGoodByLeague,
+        olympicLastGoodByLeague: groupState.olympicLastGoodByLeague
+      };
+    });
+    const body = JSON.stringify({ version: 1, savedAt: new Date().toISOString(), groups });
+
+    // Write to a sibling temp file and rename so a crash mid-write never
+    // leaves a truncated cache behind.
+    const file = state.file;
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    state.writing = fs.promises.mkdir(path.dirname(file), { recursive: true })
+      .then(() => fs.promises.writeFile(tmpFile, body, "utf8"))
+      .then(() => fs.promises.rename(tmpFile, file))
+      .catch((error) => {
+        console.warn(`⚠️ Failed to write scoreboard cache ${file}:`, error.message || error);
+        return fs.promises.unlink(tmpFile).catch(() => {});
+      });
+    await state.writing;
+    state.writing = null;
+  },
+
+  // ---------- provider endpoints ----------
+  // Builds the URL and fetch options for one of PROVIDER_ENDPOINTS. Settings
+  // come from config.providers[name], then config.providers[variant] for a
+  // more specific provider (e.g. espn_mens_olympics), then apiBaseUrl, which
+  // is either one origin for everything (such as scripts/mock-sports-api.js)
+  // or a map of default host to replacement base URL.
+  _providerSettings(name, variant) {
+    const configured = this.config && this.config.providers && typeof this.config.providers === "object"
+      ? this.config.providers
+      : {};
+    const settings = { query: {}, headers: {} };
+    [name, variant].forEach((key) => {
+      const entry = key ? configured[key] : null;
+      if (!entry || typeof entry !== "object") return;
+      if (typeof entry.baseUrl === "string" && entry.baseUrl.trim()) settings.baseUrl = entry.baseUrl.trim();
+      if (typeof entry.userAgent === "string" && entry.userAgent.trim()) settings.userAgent = entry.userAgent.trim();
+      if (entry.query && typeof entry.query === "object") Object.assign(settings.query, entry.query);
+      if (entry.headers && typeof entry.headers === "object") Object.assign(settings.headers, entry.headers);
+    });
+    return settings;
+  },
+
+  _providerBaseUrl(name, settings) {
+    const endpoint = PROVIDER_ENDPOINTS[name];
+    if (settings && settings.baseUrl) return settings.baseUrl.replace(/\/+$/, "");
+    const override = this.config && this.config.apiBaseUrl;
+    const base = typeof override === "string"
+      ? override
+      : (override && typeof override === "object" ? override[new URL(endpoint.baseUrl).host] : null);
+    return typeof base === "string" && base.trim() ? base.trim().replace(/\/+$/, "") : endpoint.baseUrl;
+  },
+
+  _providerFetch(name, pathname, query, variant) {
+    const endpoint = PROVIDER_ENDPOINTS[name];
+    if (!endpoint) throw new Error(`Unknown provider endpoint ${name}`);
+    const settings = this._providerSettings(name, variant);
+    const url = new URL(`${this._providerBaseUrl(name, settings)}${pathname}`);
+
+    // null or undefined removes a default parameter.
+    const params = Object.assign({}, query || {}, settings.query);
+    Object.keys(params).forEach((key) => {
+      if (params[key] === null || typeof params[key] === "undefined") url.searchParams.delete(key);
+      else url.searchParams.set(key, String(params[key]));
+    });
+
+    // Header names are case-insensitive, so an override replaces the default
+    // whatever its capitalisation.
+    const headers = {};
+    const assignHeader = (key, value) => {
+      Object.keys(headers).forEach((existing) => {
+        if (existing.toLowerCase() === key.toLowerCase()) delete headers[existing];
+      });
+      if (value !== null && typeof value !== "undefined") headers[key] = String(value);
+    };
+    Object.keys(endpoint.headers).forEach((key) => assignHeader(key, endpoint.headers[key]));
+    if (settings.userAgent) assignHeader("User-Agent", settings.userAgent);
+    Object.keys(settings.headers).forEach((key) => assignHeader(key, settings.headers[key]));
+
+    const options = Object.keys(headers).length > 0 ? { headers } : {};
+    return { url: url.toString(), options };
+  },
+
+  // ---------- proxy ----------
+  // The `proxy` option (a URL, or false to ignore the environment) wins over
+  // HTTPS_PROXY / HTTP_PROXY. NO_PROXY, or the `noProxy` option, lists hosts
+  // reached directly: "*", exact hosts, domain suffixes ("example.com" also
+  // matches "api.example.com") and optional ":port".
+  _proxyForUrl(url) {
+    const config = this.config || {};
+    if (config.proxy === false) return null;
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (err) {
+      return null;
+    }
+    const env = process.env;
+    const configured = typeof config.proxy === "string" && config.proxy.trim() ? config.proxy.trim() : null;
+    const proxy = configured || (parsed.protocol === "https:"
+      ? (env.HTTPS_PROXY || env.https_proxy)
+      : (env.HTTP_PROXY || env.http_proxy));
+    if (!proxy) return null;
+
+    const noProxy = Array.isArray(config.noProxy)
+      ? config.noProxy.join(",")
+      : (typeof config.noProxy === "string" ? config.noProxy : (env.NO_PROXY || env.no_proxy || ""));
+    return this._matchesNoProxy(parsed, noProxy) ? null : proxy;
+  },
 
-      if (this.fetchTimer) {
-        clearInterval(this.fetchTimer);
-        this.fetchTimer = null;
+  _matchesNoProxy(parsed, noProxy) {
+    const hostname = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, "");
+    const port = parsed.port || (parsed.protocol === "https:" ? "443" : "80");
+    return String(noProxy || "").split(/[\s,]+/).some((raw) => {
+      let entry = raw.trim().toLowerCase();
+      if (!entry) return false;
+      if (entry === "*") return true;
+      let entryPort = null;
+      const bracketed = entry.match(/^\[([^\]]+)\](?::(\d+))?$/);
+      if (bracketed) {
+        entry = bracketed[1];
+        entryPort = bracketed[2] || null;
+      } else if ((entry.match(/:/g) || []).length === 1) {
+        [entry, entryPort] = entry.split(":");
       }
+      entry = entry.replace(/^\*?\./, "");
+      if (entryPort && entryPort !== port) return false;
+      return hostname === entry || hostname.endsWith(`.${entry}`);
+    });
+  },
+
+  _redactProxyUrl(proxy) {
+    try {
+      const parsed = new URL(proxy);
+      return `${parsed.protocol}//${parsed.host}`;
+    } catch (err) {
+      return "invalid proxy";
+    }
+  },
+
+  _requestTimeoutMs() {
+    const raw = Number(this.config && this.config.requestTimeoutMs);
+    return Number.isFinite(raw) && raw > 0 ? raw : 15000;
+  },
+
+  // ---------- circuit breakers ----------
+  // One breaker per endpoint (host + path). Consecutive failures open it and
+  // requests are refused locally until a jittered, exponentially growing
+  // backoff passes; then a single half-open probe decides whether it closes
+  // again. HTTP 429 opens it straight away and honours Retry-After.
+  _circuitBreakerOptions() {
+    const config = this.config || {};
+    const positive = (value, fallback) => {
+      const num = Number(value);
+      return Number.isFinite(num) && num > 0 ? num : fallback;
+    };
+    return {
+      threshold: Math.max(1, Math.floor(positive(config.circuitBreakerThreshold, 3))),
+      baseMs: positive(config.circuitBreakerBaseMs, 60 * 1000),
+      maxMs: positive(config.circuitBreakerMaxMs, 30 * 60 * 1000)
+    };
+  },
+
+  _circuitBreakerFor(url) {
+    if (!this._circuitBreakers) return null;
+    let endpoint;
+    try {
+      const parsed = new URL(url);
+      endpoint = `${parsed.host}${parsed.pathname}`;
+    } catch (err) {
+      endpoint = String(url);
+    }
+
+    let breaker = this._circuitBreakers.get(endpoint);
+    if (!breaker) {
+      breaker = { endpoint, state: "closed", failures: 0, opens: 0, openUntil: 0, probing: false, lastError: null };
+      this._circuitBreakers.set(endpoint, breaker);
+    }
+    if (this._circuitTrace) this._circuitTrace.set(endpoint, breaker);
+    return breaker;
+  },
+
+  _enterCircuit(breaker, label) {
+    if (!breaker || breaker.state === "closed") return;
+    if (breaker.state === "open" && Date.now() >= breaker.openUntil) {
+      breaker.state = "half_open";
+      breaker.probing = false;
+    }
+    if (breaker.state === "half_open" && !breaker.probing) {
+      breaker.probing = true;
+      return;
+    }
+
+    const retryIn = Math.max(0, Math.round((breaker.openUntil - Date.now()) / 1000));
+    const error = new Error(`${label} skipped: circuit ${breaker.state === "half_open" ? "probing" : `open for ${retryIn}s`}`);
+    error.code = "ECIRCUITOPEN";
+    throw error;
+  },
+
+  _recordCircuitSuccess(breaker) {
+    if (!breaker) return;
+    if (breaker.state !== "closed") console.info(`ℹ️ ${breaker.endpoint} recovered; circuit closed.`);
+    Object.assign(breaker, { state: "closed", failures: 0, opens: 0, openUntil: 0, probing: false, lastError: null });
+  },
+
+  _recordCircuitFailure(breaker, error) {
+    if (!breaker) return;
+    breaker.failures += 1;
+    breaker.lastError = (error && error.message) || String(error);
+    const rateLimited = error && error.status === 429;
+    const tripped = breaker.state === "half_open" || rateLimited || breaker.failures >= this._circuitBreakerOptions().threshold;
+    if (!tripped) return;
+
+    const { baseMs, maxMs } = this._circuitBreakerOptions();
+    breaker.opens += 1;
+    const backoffMs = Math.min(maxMs, baseMs * Math.pow(2, breaker.opens - 1));
+    const jitteredMs = Math.round(backoffMs * (0.75 + Math.random() * 0.5));
+    const retryAfterMs = error && Number.isFinite(error.retryAfterMs) ? error.retryAfterMs : 0;
+    const delayMs = Math.min(maxMs, Math.max(jitteredMs, retryAfterMs));
+    Object.assign(breaker, { state: "open", openUntil: Date.now() + delayMs, probing: false });
+    console.warn(`⚠️ ${breaker.endpoint} circuit open after ${breaker.failures} failure(s); retrying in ${Math.round(delayMs / 1000)}s.`);
+  },
 
-      this._fetchGames();
+  // Open circuits already logged when they tripped, so skipped fetches stay quiet.
+  _logFetchFailure(label, error) {
+    if (error && error.code === "ECIRCUITOPEN") console.info(`ℹ️ ${label} fetch skipped while its providers back off.`);
+    else console.error(`🚨 ${label} fetchGames failed:`, error);
+  },
+
+  _responseHeader(res, name) {
+    const headers = res && res.headers;
+    if (!headers) return null;
+    if (typeof headers.get === "function") return headers.get(name);
+    const value = headers[name.toLowerCase()];
+    return Array.isArray(value) ? value.join(", ") : (value == null ? null : String(value));
+  },
+
+  _retryAfterMs(res) {
+    const header = this._responseHeader(res, "retry-after");
+    if (!header) return null;
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(header);
+    return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+  },
+
+  // Breakers touched by the current league fetch that are not closed.
+  _tracedCircuitBreakers() {
+    if (!this._circuitTrace) return [];
+    const breakers = [];
+    this._circuitTrace.forEach((breaker) => {
+      if (breaker.state !== "closed") breakers.push(this._describeCircuitBreaker(breaker));
+    });
+    return breakers;
+  },
+
+  _describeCircuitBreaker(breaker) {
+    return {
+      endpoint: breaker.endpoint,
+      state: breaker.state,
+      failures: breaker.failures,
+      retryAt: breaker.state === "open" ? new Date(breaker.openUntil).toISOString() : null,
+      lastError: breaker.lastError
+    };
+  },
+
+  // ---------- HTTP cache ----------
+  // GET responses are kept per URL with their ETag/Last-Modified validators.
+  // Fresh entries (Cache-Control max-age) are served without a request, stale
+  // ones are revalidated and a 304 reuses the stored body.
+  _isCacheableRequest(options) {
+    if (!this._httpCache || (this.config && this.config.conditionalRequests === false)) return false;
+    const method = String((options && options.method) || "GET").toUpperCase();
+    return method === "GET" && !(options && options.body);
+  },
+
+  _countHttpCache(kind) {
+    if (this._httpCacheStats) this._httpCacheStats[kind] += 1;
+    if (this._httpCacheTrace) this._httpCacheTrace[kind] += 1;
+  },
+
+  _cacheControlMaxAgeMs(res) {
+    const header = String(this._responseHeader(res, "cache-control") || "").toLowerCase();
+    if (/no-store/.test(header)) return null;
+    if (/no-cache/.test(header)) return 0;
+    const match = header.match(/max-age=(\d+)/);
+    if (!match) return 0;
+    const age = Number(this._responseHeader(res, "age")) || 0;
+    return Math.max(0, (Number(match[1]) - age) * 1000);
+  },
+
+  _cachedResponse(entry) {
+    return {
+      ok: true,
+      status: 200,
+      statusText: "OK",
+      fromCache: true,
+      headers: entry.headers,
+      text: async () => entry.body,
+      json: async () => JSON.parse(entry.body)
+    };
+  },
+
+  async _storeHttpResponse(url, res) {
+    const body = await res.text();
+    const maxAgeMs = this._cacheControlMaxAgeMs(res);
+    const etag = this._responseHeader(res, "etag");
+    const lastModified = this._responseHeader(res, "last-modified");
+    const entry = {
+      body,
+      etag,
+      lastModified,
+      headers: res.headers,
+      expiresAt: Date.now() + (maxAgeMs || 0)
+    };
+
+    this._httpCache.delete(url);
+    if (maxAgeMs !== null && (etag || lastModified || maxAgeMs > 0)) {
+      this._httpCache.set(url, entry);
+      // Bodies can be large, so only the most recently used URLs are kept.
+      while (this._httpCache.size > HTTP_CACHE_MAX_ENTRIES) {
+        this._httpCache.delete(this._httpCache.keys().next().value);
+      }
+    }
+    return Object.assign(this._cachedResponse(entry), { fromCache: false, status: res.status, statusText: res.statusText });
+  },
+
+  // ---------- fixtures ----------
+  // fixtureMode "record" saves every provider response under
+  // <fixturesDir>/<scoreboard-clock date>/ with one file per URL holding each
+  // distinct response in order. "replay" serves those files instead of the
+  // network; with fixtureReplayFrom the helper clock restarts at that moment
+  // (sped up by fixtureReplaySpeed) so dates, cutoffs and live frames line up.
+  _fixtureMode() {
+    const mode = this.config && typeof this.config.fixtureMode === "string" ? this.config.fixtureMode.trim().toLowerCase() : "";
+    return mode === "record" || mode === "replay" ? mode : null;
+  },
+
+  _now() {
+    const config = this.config || {};
+    const from = Date.parse(config.fixtureReplayFrom || "");
+    if (this._fixtureMode() !== "replay" || !Number.isFinite(from)) return Date.now();
+    const state = this._fixtureState;
+    if (!state) return from;
+    if (!state.replayWallStart) state.replayWallStart = Date.now();
+    const speedRaw = Number(config.fixtureReplaySpeed);
+    const speed = Number.isFinite(speedRaw) && speedRaw > 0 ? speedRaw : 1;
+    return from + (Date.now() - state.replayWallStart) * speed;
+  },
+
+  _fixturePath(url) {
+    const configured = this.config && typeof this.config.fixturesDir === "string" ? this.config.fixturesDir.trim() : "";
+    const base = this.path || __dirname;
+    const dir = configured ? (path.isAbsolute(configured) ? configured : path.join(base, configured)) : path.join(base, "fixtures");
+    let slug = String(url);
+    try {
+      const parsed = new URL(url);
+      slug = `${parsed.host}${parsed.pathname}`;
+    } catch (err) {
+      // keep the raw string
+    }
+    slug = slug.replace(/[^a-zA-Z0-9]+/g, "_").replace(/^_+|_+$/g, "").slice(0, 80);
+    const hash = crypto.createHash("sha1").update(String(url)).digest("hex").slice(0, 10);
+    return path.join(dir, this._todayIsoInTimeZone(), `${slug}-${hash}.json`);
+  },
+
+  _loadFixture(file) {
+    const files = this._fixtureState.files;
+    if (files.has(file)) return files.get(file);
+    let data = null;
+    try {
+      data = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") console.warn(`⚠️ Ignoring unreadable fixture ${file}:`, error.message || error);
+    }
+    if (data && !Array.isArray(data.frames)) data = null;
+    files.set(file, data);
+    return data;
+  },
+
+  _recordFixture(url, frame) {
+    const state = this._fixtureState;
+    const file = this._fixturePath(url);
+    const data = this._loadFixture(file) || { url, frames: [] };
+    const last = data.frames[data.frames.length - 1];
+    if (last && last.status === frame.status && last.body === frame.body && last.error === frame.error) return state.writing;
+
+    data.frames.push(Object.assign({ recordedAt: new Date(this._now()).toISOString() }, frame));
+    state.files.set(file, data);
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    state.writing = state.writing
+      .then(() => fs.promises.mkdir(path.dirname(file), { recursive: true }))
+      .then(() => fs.promises.writeFile(tmpFile, JSON.stringify(data), "utf8"))
+      .then(() => fs.promises.rename(tmpFile, file))
+      .catch((error) => console.warn(`⚠️ Failed to record fixture ${file}:`, error.message || error));
+    return state.writing;
+  },
+
+  _replayFixture(url, label) {
+    const data = this._loadFixture(this._fixturePath(url));
+    if (!data || data.frames.length === 0) {
+      throw new Error(`${label} has no recorded fixture for ${this._todayIsoInTimeZone()}`);
+    }
+
+    // The latest frame recorded at or before the replay clock, or the first.
+    const now = this._now();
+    let frame = data.frames[0];
+    data.frames.forEach((candidate) => {
+      if (Date.parse(candidate.recordedAt) <= now) frame = candidate;
+    });
+
+    if (frame.error) {
+      const error = new Error(frame.error);
+      if (frame.status) error.status = frame.status;
+      throw error;
+    }
+    if (!(frame.status >= 200 && frame.status < 300)) {
+      const error = new Error(`${label} failed with HTTP ${frame.status} (fixture)`);
+      error.status = frame.status;
+      throw error;
+    }
+    return {
+      ok: true,
+      status: frame.status,
+      statusText: "OK",
+      fromFixture: true,
+      headers: {},
+      text: async () => frame.body,
+      json: async () => JSON.parse(frame.body)
+    };
+  },
+
+  async _fetchResponse(url, options = {}, label = url) {
+    const mode = this._fixtureMode();
+    if (mode === "replay") return this._replayFixture(url, label);
+    if (mode !== "record") return this._fetchNetworkResponse(url, options, label);
+
+    let res;
+    try {
+      res = await this._fetchNetworkResponse(url, options, label);
+    } catch (error) {
+      await this._recordFixture(url, { status: error && error.status ? error.status : null, error: (error && error.message) || String(error) });
+      throw error;
+    }
+    const body = await res.text();
+    await this._recordFixture(url, { status: res.status, body });
+    return {
+      ok: true,
+      status: res.status,
+      statusText: res.statusText,
+      headers: res.headers,
+      text: async () => body,
+      json: async () => JSON.parse(body)
+    };
+  },
+
+  // Identical GETs already in flight share one request. Responses leave
+  // _requestNetwork fully read, so every caller can read the body again.
+  async _fetchNetworkResponse(url, options = {}, label = url) {
+    const queue = this._requestQueue;
+    const key = queue ? this._inFlightKey(url, options) : null;
+    if (!key) return this._requestNetwork(url, options, label);
+    if (queue.inFlight.has(key)) return queue.inFlight.get(key);
+
+    const pending = this._requestNetwork(url, options, label);
+    queue.inFlight.set(key, pending);
+    const clear = () => {
+      if (queue.inFlight.get(key) === pending) queue.inFlight.delete(key);
+    };
+    pending.then(clear, clear);
+    return pending;
+  },
+
+  _inFlightKey(url, options) {
+    const method = String((options && options.method) || "GET").toUpperCase();
+    if (method !== "GET" || (options && options.body != null)) return null;
+    return `${url} ${JSON.stringify((options && options.headers) || {})}`;
+  },
+
+  async _shareableResponse(res) {
+    if (!res || typeof res.fromCache === "boolean") return res;
+    const body = await res.text();
+    return {
+      ok: res.ok,
+      status: res.status,
+      statusText: res.statusText,
+      headers: res.headers,
+      text: async () => body,
+      json: async () => JSON.parse(body)
+    };
+  },
+
+  // ---------- request queue ----------
+  // Every network request waits for a slot: at most maxConcurrentRequests in
+  // total and maxRequestsPerHost against one host. Waiters are served in
+  // arrival order, skipping those whose host is still at its limit.
+  _requestQueueLimits() {
+    const config = this.config || {};
+    const positive = (value, fallback) => {
+      const num = Math.floor(Number(value));
+      return Number.isFinite(num) && num > 0 ? num : fallback;
+    };
+    return {
+      total: positive(config.maxConcurrentRequests, 4),
+      perHost: positive(config.maxRequestsPerHost, 2)
+    };
+  },
+
+  _acquireRequestSlot(url) {
+    const queue = this._requestQueue;
+    if (!queue) return Promise.resolve(() => {});
+    let host = String(url);
+    try {
+      host = new URL(url).host;
+    } catch (err) {
+      // fall back to the raw URL as the host key
+    }
+    return new Promise((resolve) => {
+      queue.waiting.push({ host, limits: this._requestQueueLimits(), resolve });
+      this._drainRequestQueue();
+    });
+  },
+
+  _drainRequestQueue() {
+    const queue = this._requestQueue;
+    for (let i = 0; i < queue.waiting.length; i += 1) {
+      const waiter = queue.waiting[i];
+      const hostActive = queue.activeByHost.get(waiter.host) || 0;
+      if (queue.active >= waiter.limits.total) return;
+      if (hostActive >= waiter.limits.perHost) continue;
+
+      queue.waiting.splice(i, 1);
+      i -= 1;
+      queue.active += 1;
+      queue.activeByHost.set(waiter.host, hostActive + 1);
+      let released = false;
+      waiter.resolve(() => {
+        if (released) return;
+        released = true;
+        queue.active -= 1;
+        const remaining = (queue.activeByHost.get(waiter.host) || 1) - 1;
+        if (remaining > 0) queue.activeByHost.set(waiter.host, remaining);
+        else queue.activeByHost.delete(waiter.host);
+        this._drainRequestQueue();
+      });
+    }
+  },
+
+  async _requestNetwork(url, options = {}, label = url) {
+    const cacheable = this._isCacheableRequest(options);
+    const cached = cacheable ? this._httpCache.get(url) : null;
+    if (cached && cached.expiresAt > Date.now()) {
+      this._countHttpCache("hits");
+      return this._cachedResponse(cached);
+    }
+
+    const breaker = this._circuitBreakerFor(url);
+    this._enterCircuit(breaker, label);
+    const queuedAt = Date.now();
+    const release = await this._acquireRequestSlot(url);
+    const timeoutMs = this._requestTimeoutMs();
+    const started = Date.now();
+    let timer = null;
+    let controller = null;
+    const requestOptions = Object.assign({}, options || {});
+    if (typeof requestOptions.timeout === "undefined") {
+      requestOptions.timeout = timeoutMs;
+    }
+    if (cached) {
+      const validators = {};
+      if (cached.etag) validators["if-none-match"] = cached.etag;
+      if (cached.lastModified) validators["if-modified-since"] = cached.lastModified;
+      requestOptions.headers = Object.assign({}, requestOptions.headers || {}, validators);
+    }
+
+    const proxy = this._proxyForUrl(url);
+    if (proxy) requestOptions.proxyForUrl = (target) => this._proxyForUrl(target);
+
+    if (typeof AbortController !== "undefined") {
+      controller = new AbortController();
+      requestOptions.signal = controller.signal;
+      timer = setTimeout(() => controller.abort(), timeoutMs);
+    }
+
+    let status = null;
+    let failure = null;
+    try {
+      const res = await (proxy ? proxyFetch : fetch)(url, requestOptions);
+      const elapsedMs = Date.now() - started;
+      status = res && typeof res.status !== "undefined" ? res.status : null;
+      if (cached && res && res.status === 304) {
+        this._recordCircuitSuccess(breaker);
+        const maxAgeMs = this._cacheControlMaxAgeMs(res);
+        cached.expiresAt = Date.now() + (maxAgeMs || 0);
+        this._httpCache.delete(url);
+        this._httpCache.set(url, cached);
+        this._countHttpCache("revalidated");
+        return this._cachedResponse(cached);
+      }
+      if (!res || !res.ok) {
+        const status = res && typeof res.status !== "undefined" ? res.status : "?";
+        const statusText = res && res.statusText ? res.statusText : "";
+        const httpError = new Error(`${label} failed with HTTP ${status} ${statusText} (${elapsedMs}ms)`);
+        httpError.status = status;
+        httpError.retryAfterMs = this._retryAfterMs(res);
+        throw httpError;
+      }
+      this._recordCircuitSuccess(breaker);
+      // Bodies are read while the slot is held so the limits cover downloads.
+      if (!cacheable) return await this._shareableResponse(res);
+      this._countHttpCache("misses");
+      return await this._storeHttpResponse(url, res);
+    } catch (err) {
+      const viaProxy = proxy ? ` via proxy ${this._redactProxyUrl(proxy)}` : "";
+      failure = (err && err.name === "AbortError") ? new Error(`${label} timed out after ${timeoutMs}ms${viaProxy}`) : err;
+      if (viaProxy && failure === err && failure && typeof failure.message === "string" && !/HTTP \d/.test(failure.message)) {
+        failure.message = `${failure.message}${viaProxy}`;
+      }
+      this._recordCircuitFailure(breaker, failure);
+      throw failure;
+    } finally {
+      if (timer) clearTimeout(timer);
+      release();
+      this._traceRequest(url, proxy, status, Date.now() - started, failure, started - queuedAt);
+    }
+  },
+
+  // Per-league record of the network requests behind a payload, including
+  // whether each one went through a proxy.
+  _traceRequest(url, proxy, status, elapsedMs, error, queuedMs = 0) {
+    const trace = this._requestTrace;
+    if (!trace || trace.length >= REQUEST_TRACE_MAX_ENTRIES) return;
+    let endpoint = String(url);
+    try {
+      const parsed = new URL(url);
+      endpoint = `${parsed.host}${parsed.pathname}`;
+    } catch (err) {
+      // keep the raw URL
+    }
+    const entry = { endpoint, proxied: Boolean(proxy), status, elapsedMs, queuedMs };
+    if (proxy) entry.proxy = this._redactProxyUrl(proxy);
+    if (error) entry.error = error.message || String(error);
+    trace.push(entry);
+  },
+
+  async _fetchJson(url, options = {}, label = url) {
+    const res = await this._fetchResponse(url, options, label);
+    return res.json();
+  },
+
+  async _fetchText(url, options = {}, label = url) {
+    const res = await this._fetchResponse(url, options, label);
+    return res.text();
+  },
+  async _fetchGames() {
+    const leagues = Array.isArray(this.leagues) && this.leagues.length > 0
+      ? this.leagues
+      : [this._getLeague()];
+
+    // League fetches are intentionally independent so one slow provider does not
+    // block the entire MagicMirror rotation.
+    // Each league gets its own scope so the payload can report the circuit
+    // breakers, HTTP cache activity and requests (direct or proxied) behind it.
+    const unique = Array.from(new Set(leagues.map((league) => this._fetchKeyForLeague(league))));
+    const scopes = unique.map(() => Object.assign(Object.create(this), {
+      _circuitTrace: new Map(),
+      _httpCacheTrace: { hits: 0, revalidated: 0, misses: 0 },
+      _requestTrace: []
+    }));
+    const tasks = unique.map((league, index) => scopes[index]._fetchLeagueGames(league));
+    const results = await Promise.allSettled(tasks);
+
+    results.forEach((result, index) => {
+      if (result.status === "rejected") {
+        const league = unique[index];
+        console.error(`🚨 ${league} fetch loop failed:`, result.reason);
+        scopes[index]._notifyGamesWithFallback(league, [], { errorMessage: result.reason && result.reason.message });
+      }
+    });
+  },
+
+  _leagueDefinition(league) {
+    return LeagueRegistry.getLeague(league);
+  },
+
+  _fetchKeyForLeague(league) {
+    const definition = this._leagueDefinition(league);
+    return definition ? definition.fetchAs : league;
+  },
+
+  async _fetchLeagueGames(league) {
+    const definition = this._leagueDefinition(league);
+    const fetcher = definition && definition.fetcher;
+    if (typeof fetcher === "function") return fetcher.call(this, league);
+    if (typeof fetcher === "string" && typeof this[fetcher] === "function") return this[fetcher](league);
+    throw new Error(`No fetcher registered for league ${league}`);
+  },
+
+  _normalizeLeagueGames(league, games) {
+    if (!Array.isArray(games)) return [];
+    const definition = this._leagueDefinition(league);
+    const normalizer = definition && definition.normalizer;
+    let normalize = null;
+    if (typeof normalizer === "function") normalize = normalizer;
+    else if (typeof normalizer === "string" && typeof this[normalizer] === "function") normalize = this[normalizer];
+    if (!normalize) return games;
+
+    const normalized = [];
+    for (let i = 0; i < games.length; i += 1) {
+      const game = normalize.call(this, games[i], league);
+      if (game) normalized.push(game);
+    }
+    return normalized;
+  },
+
+  _notifyLeagueGames(league, games, extras = null) {
+    const payloadExtras = extras && typeof extras === "object" ? Object.assign({}, extras) : null;
+    if (payloadExtras && Array.isArray(payloadExtras.scheduleGames)) {
+      payloadExtras.scheduleGames = this._normalizeLeagueGames(league, payloadExtras.scheduleGames);
+    }
+    this._notifyGames(league, this._normalizeLeagueGames(league, games), payloadExtras);
+  },
+
+  // ---------- provider failover ----------
+  // Each league lists its providers in the registry; `providerChains` in the
+  // config may reorder them, drop some, or override a provider's timeoutMs or
+  // cacheMs. Providers are tried in order until one returns games. A provider
+  // fetcher receives { league, dateIso, dateCompact, context } and returns an
+  // array of raw games or { games, extras }.
+  _providerChain(league) {
+    const definition = this._leagueDefinition(league);
+    const declared = definition && Array.isArray(definition.providers) ? definition.providers : [];
+    const configured = this.config && this.config.providerChains && this.config.providerChains[league];
+    if (!Array.isArray(configured) || configured.length === 0) return declared.slice();
+
+    const chain = [];
+    configured.forEach((item) => {
+      const override = typeof item === "string" ? { name: item } : (item || {});
+      const base = declared.find((provider) => provider.name === override.name);
+      if (base) chain.push(Object.assign({}, base, override, { fetcher: base.fetcher }));
+      else console.warn(`⚠️ Ignoring unknown ${league} provider "${override.name}" in providerChains.`);
+    });
+    return chain.length > 0 ? chain : declared.slice();
+  },
+
+  _providerRequest(league, context, dateIso) {
+    const requestDate = dateIso || context.scoreboardDateIso;
+    return { league, dateIso: requestDate, dateCompact: requestDate.replace(/-/g, ""), context };
+  },
+
+  async _runProvider(provider, request) {
+    const timeoutMs = Number(provider.timeoutMs);
+    const scope = Number.isFinite(timeoutMs) && timeoutMs > 0
+      ? Object.assign(Object.create(this), { _requestTimeoutMs: () => timeoutMs })
+      : this;
+    const fetcher = provider.fetcher;
+    let result;
+    if (typeof fetcher === "function") result = await fetcher.call(scope, request);
+    else if (typeof fetcher === "string" && typeof scope[fetcher] === "function") result = await scope[fetcher](request);
+    else throw new Error(`Provider ${provider.name} has no fetcher`);
+
+    if (Array.isArray(result)) return { games: result, extras: null };
+    return {
+      games: Array.isArray(result && result.games) ? result.games : [],
+      extras: result && result.extras && typeof result.extras === "object" ? result.extras : null
+    };
+  },
+
+  // Resolves with the first provider that returned games (or the first that
+  // answered at all when every answer was empty) and rejects only when every
+  // provider failed.
+  async _runProviderChain(league, request) {
+    const chain = this._providerChain(league);
+    const attempts = [];
+    let firstEmpty = null;
+    let winner = null;
+
+    for (let i = 0; i < chain.length && !winner; i += 1) {
+      const provider = chain[i];
+      const cacheTtlMs = Number.isFinite(Number(provider.cacheMs)) ? Number(provider.cacheMs) : this._providerCacheTtlMs();
+      const cached = cacheTtlMs > 0 ? this._getProviderCache(provider.name, league, request.dateIso, cacheTtlMs) : null;
+      if (cached) {
+        attempts.push({ provider: provider.name, outcome: "cache", gameCount: cached.games.length });
+        winner = { index: i, provider, games: cached.games, extras: cached.extras || null, fromCache: true };
+        break;
+      }
+
+      const started = Date.now();
+      try {
+        const result = await this._runProvider(provider, request);
+        const elapsedMs = Date.now() - started;
+        if (result.games.length > 0) {
+          attempts.push({ provider: provider.name, outcome: "ok", gameCount: result.games.length, elapsedMs });
+          if (cacheTtlMs > 0) this._setProviderCache(provider.name, league, request.dateIso, result.games, result.extras);
+          winner = { index: i, provider, games: result.games, extras: result.extras, fromCache: false };
+        } else {
+          attempts.push({ provider: provider.name, outcome: "empty", gameCount: 0, elapsedMs });
+          if (!firstEmpty) firstEmpty = { index: i, provider, games: [], extras: result.extras, fromCache: false };
+          if (i < chain.length - 1) console.info(`ℹ️ ${league} provider ${provider.name} returned 0 games, trying fallback.`);
+        }
+      } catch (error) {
+        const message = (error && error.message) || String(error);
+        const outcome = error && error.code === "ECIRCUITOPEN" ? "circuit_open" : "error";
+        attempts.push({ provider: provider.name, outcome, error: message, elapsedMs: Date.now() - started });
+        if (i < chain.length - 1) console.warn(`⚠️ ${league} provider ${provider.name} failed, trying fallback:`, message);
+      }
+    }
+
+    const chosen = winner || firstEmpty;
+    if (!chosen) {
+      const reasons = attempts.map((attempt) => `${attempt.provider}: ${attempt.error}`).join("; ");
+      const error = new Error(chain.length > 0 ? `All ${league} providers failed (${reasons})` : `No providers configured for ${league}`);
+      if (attempts.length > 0 && attempts.every((attempt) => attempt.outcome === "circuit_open")) error.code = "ECIRCUITOPEN";
+      throw error;
+    }
+
+    const providerUsed = chosen.fromCache ? `${chosen.provider.name} (cache)` : chosen.provider.name;
+    return {
+      games: chosen.games,
+      extras: chosen.extras,
+      providerUsed,
+      diagnostics: {
+        providerUsed,
+        fromCache: chosen.fromCache,
+        fallbackUsed: chosen.index > 0,
+        fetchedAtUTC: new Date().toISOString(),
+        gameCount: chosen.games.length,
+        dateIso: request.dateIso,
+        attempts
+      }
+    };
+  },
+
+  // Extras every league adds to its GAMES payload after a provider chain run.
+  // The top-level fallbackUsed flag stays reserved for stale last-good data.
+  _providerChainExtras(result, extras = null) {
+    return Object.assign({}, result.extras || {}, extras || {}, {
+      providerUsed: result.diagnostics.providerUsed,
+      providerDiagnostics: result.diagnostics
+    });
+  },
+
+  // Every league is delivered to the front-end in one normalized game shape:
+  //
+  //   {
+  //     id, league, startTimeUTC, venue,
+  //     status: { state: "pre" | "live" | "final", detail, period, periodLabel, clock },
+  //     teams: { away: <side>, home: <side> },
+  //     extras: { ...league-specific fields such as MLB outs and runners }
+  //   }
+  //
+  //   <side> = {
+  //     team: { id, abbreviation, name, displayName, shortDisplayName, location },
+  //     score, winner, record, periods: [score per period], stats: {}, shootoutScore, possession
+  //   }
+  //
+  // `status.detail` keeps the provider's own wording (e.g. "Final/OT", "Postponed")
+  // so cards can still recognise delays and suspensions.
+  _buildNormalizedGame(league, fields) {
+    const source = fields || {};
+    const status = source.status || {};
+    const state = status.state === "live" || status.state === "final" ? status.state : "pre";
+    const teams = source.teams || {};
+    const game = {
+      id: source.id != null ? String(source.id) : "",
+      league,
+      startTimeUTC: this._normalizedStartTime(source.startTimeUTC),
+      status: {
+        state,
+        detail: this._firstString(status.detail),
+        period: this._asNumberOrNull(status.period),
+        periodLabel: this._firstString(status.periodLabel),
+        clock: this._formatClockValue(status.clock)
+      },
+      teams: {
+        away: this._buildNormalizedSide(teams.away),
+        home: this._buildNormalizedSide(teams.home)
+      },
+      venue: this._firstString(source.venue),
+      extras: source.extras && typeof source.extras === "object" ? source.extras : {}
+    };
+
+    const away = game.teams.away;
+    const home = game.teams.home;
+    if (state === "final" && away.score != null && home.score != null && away.score !== home.score) {
+      away.winner = away.score > home.score;
+      home.winner = home.score > away.score;
+    }
+
+    return game;
+  },
+
+  _buildNormalizedSide(side) {
+    const entry = side || {};
+    const periods = Array.isArray(entry.periods) ? entry.periods.map((value) => this._asNumberOrNull(value)) : [];
+    let score = this._asNumberOrNull(entry.score);
+    if (score == null && periods.some((value) => value != null)) {
+      score = periods.reduce((sum, value) => sum + (value || 0), 0);
+    }
+
+    return {
+      team: this._normalizedTeamIdentity(entry.team),
+      score,
+      winner: typeof entry.winner === "boolean" ? entry.winner : null,
+      record: this._firstString(entry.record),
+      periods,
+      stats: entry.stats && typeof entry.stats === "object" ? entry.stats : {},
+      shootoutScore: this._asNumberOrNull(entry.shootoutScore),
+      possession: entry.possession === true
+    };
+  },
+
+  _normalizedTeamIdentity(team) {
+    const raw = team || {};
+    return {
+      id: raw.id != null ? String(raw.id) : "",
+      abbreviation: this._firstString(raw.abbreviation, raw.teamAbbreviation, raw.triCode, raw.abbrev).toUpperCase(),
+      name: this._firstString(raw.name, raw.teamName),
+      displayName: this._firstString(raw.displayName, raw.fullName),
+      shortDisplayName: this._firstString(raw.shortDisplayName),
+      location: this._firstString(raw.location, raw.locationName, raw.placeName)
+    };
+  },
+
+  _normalizedStartTime(...values) {
+    const date = this._firstDate(...values);
+    return date ? date.toISOString() : "";
+  },
+
+  _formatClockValue(value) {
+    if (value == null) return "";
+    if (typeof value === "number") {
+      if (!Number.isFinite(value)) return "";
+      const totalSeconds = Math.max(0, Math.round(value));
+      const seconds = totalSeconds % 60;
+      return `${Math.floor(totalSeconds / 60)}:${seconds < 10 ? "0" : ""}${seconds}`;
+    }
+    if (typeof value === "object") {
+      const minutes = this._asNumberOrNull(value.minutes);
+      const seconds = this._asNumberOrNull(value.seconds);
+      if (minutes != null || seconds != null) return this._formatClockValue((minutes || 0) * 60 + (seconds || 0));
+    }
+    return this._nhlScoreboardText(value);
+  },
+
+  _normalizeMlbGame(game, league) {
+    if (!game || typeof game !== "object") return null;
+    const status = game.status || {};
+    const abstract = String(status.abstractGameState || "").toLowerCase();
+    const ls = game.linescore || {};
+    const lsTeams = ls.teams || {};
+    const innings = Array.isArray(ls.innings) ? ls.innings : [];
+    const offense = ls.offense || {};
+
+    const side = (key) => {
+      const entry = (game.teams && game.teams[key]) || {};
+      const lines = lsTeams[key] || {};
+      const record = entry.leagueRecord || {};
+      return {
+        team: entry.team,
+        score: entry.score,
+        winner: entry.isWinner,
+        record: (record.wins != null && record.losses != null) ? `${record.wins}-${record.losses}` : "",
+        periods: innings.map((inning) => inning && inning[key] ? inning[key].runs : null),
+        stats: {
+          hits: this._asNumberOrNull(lines.hits),
+          errors: this._asNumberOrNull(entry.errors != null ? entry.errors : lines.errors)
+        }
+      };
+    };
+
+    return this._buildNormalizedGame(league, {
+      id: game.gamePk,
+      startTimeUTC: game.gameDate,
+      status: {
+        state: abstract === "final" ? "final" : ((abstract === "preview" || !abstract) ? "pre" : "live"),
+        detail: status.detailedState,
+        period: ls.currentInning,
+        periodLabel: ls.currentInningOrdinal
+      },
+      teams: { away: side("away"), home: side("home") },
+      venue: game.venue && game.venue.name,
+      extras: {
+        inningState: this._firstString(ls.inningState),
+        currentInningOrdinal: this._firstString(ls.currentInningOrdinal),
+        currentInning: this._asNumberOrNull(ls.currentInning),
+        scheduledInnings: this._asNumberOrNull(ls.scheduledInnings),
+        outs: this._asNumberOrNull(ls.outs),
+        runners: { first: !!offense.first, second: !!offense.second, third: !!offense.third }
+      }
+    });
+  },
+
+  _normalizeNhlGame(game, league) {
+    const hydrated = this._hydrateNhlGame(game);
+    if (!hydrated) return null;
+    const status = hydrated.status || {};
+    const abstract = String(status.abstractGameState || "").toLowerCase();
+    const ls = hydrated.linescore || {};
+
+    const side = (key) => {
+      const entry = hydrated.teams[key] || {};
+      const lines = (ls.teams && ls.teams[key]) || {};
+      const shots = this._asNumberOrNull(lines.shotsOnGoal);
+      return {
+        team: entry.team,
+        score: entry.score,
+        stats: { shotsOnGoal: shots != null ? shots : this._asNumberOrNull(entry.shotsOnGoal) }
+      };
+    };
+
+    return this._buildNormalizedGame(league, {
+      id: hydrated.gamePk != null ? hydrated.gamePk : hydrated.id,
+      startTimeUTC: hydrated.startTimeUTC,
+      status: {
+        state: abstract === "final" ? "final" : (abstract === "live" ? "live" : "pre"),
+        detail: status.detailedState,
+        period: ls.currentPeriod,
+        periodLabel: ls.currentPeriodOrdinal,
+        clock: ls.currentPeriodTimeRemaining
+      },
+      teams: { away: side("away"), home: side("home") },
+      venue: this._nhlScoreboardText(hydrated.venue)
+    });
+  },
+
+  _normalizeEspnGame(event, league) {
+    if (!event || typeof event !== "object") return null;
+    const competition = (Array.isArray(event.competitions) && event.competitions[0]) || {};
+    const statusObj = competition.status || event.status || {};
+    const statusType = statusObj.type || {};
+    const rawState = String(statusType.state || "").toLowerCase();
+    let state = "pre";
+    if (rawState === "post" || rawState === "final" || statusType.completed === true) state = "final";
+    else if (rawState === "in" || rawState === "live") state = "live";
+
+    const competitors = Array.isArray(competition.competitors) ? competition.competitors : [];
+    let away = competitors.find((entry) => entry && String(entry.homeAway || "").toLowerCase() === "away") || null;
+    let home = competitors.find((entry) => entry && String(entry.homeAway || "").toLowerCase() === "home") || null;
+    if (!away && competitors.length > 0) away = competitors[0];
+    if (!home && competitors.length > 1) home = competitors[1];
+    if (!away || !home) return null;
+
+    const possession = this._espnPossessionSides(competition, away, home, state);
+    const side = (competitor, hasPossession) => {
+      const periods = [];
+      const lineScores = Array.isArray(competitor.linescores) ? competitor.linescores : [];
+      lineScores.forEach((line, index) => {
+        const period = this._asNumberOrNull(line && (line.period != null ? line.period : line.sequenceNumber));
+        const slot = period != null && period >= 1 ? period - 1 : index;
+        periods[slot] = this._asNumberOrNull(line && (line.value != null ? line.value : line.displayValue));
+      });
+      for (let i = 0; i < periods.length; i += 1) {
+        if (periods[i] === undefined) periods[i] = null;
+      }
+
+      return {
+        team: competitor.team,
+        score: competitor.score,
+        winner: competitor.winner,
+        record: this._espnRecordSummary(competitor),
+        periods,
+        shootoutScore: this._firstNumberOrNull(
+          competitor.shootoutScore,
+          competitor.penaltyShootoutScore,
+          competitor.penalties,
+          competitor.penaltyScore,
+          competitor.team && competitor.team.shootoutScore,
+          competitor.team && competitor.team.penaltyShootoutScore
+        ),
+        possession: hasPossession
+      };
+    };
+
+    const extras = {};
+    if (event.worldCupRoundLabel) extras.roundLabel = event.worldCupRoundLabel;
+    if (event.worldCupRoundKey) extras.roundKey = event.worldCupRoundKey;
+
+    const ranks = { away: this._espnCuratedRank(away), home: this._espnCuratedRank(home) };
+    if (ranks.away != null || ranks.home != null) extras.ranks = ranks;
+    const tournament = this._espnTournamentNote(competition, event);
+    if (tournament) {
+      extras.tournament = tournament;
+      const seeds = { away: this._espnTournamentSeed(away), home: this._espnTournamentSeed(home) };
+      if (seeds.away != null || seeds.home != null) extras.seeds = seeds;
+    }
+    const conferences = {
+      away: this._espnConferenceName(league, away, competition),
+      home: this._espnConferenceName(league, home, competition)
+    };
+    if (conferences.away || conferences.home) extras.conferences = conferences;
+
+    return this._buildNormalizedGame(league, {
+      id: event.id || competition.id,
+      startTimeUTC: competition.date || event.date,
+      status: {
+        state,
+        detail: this._firstString(statusType.shortDetail, statusType.detail, statusType.description),
+        period: statusObj.period,
+        clock: statusObj.displayClock != null ? statusObj.displayClock : statusObj.clock
+      },
+      teams: { away: side(away, possession.away), home: side(home, possession.home) },
+      venue: competition.venue && (competition.venue.fullName || competition.venue.name),
+      extras
+    });
+  },
+
+  _normalizeOlympicGame(game, league) {
+    if (!game || typeof game !== "object") return null;
+    const state = game.status === "live" || game.status === "final" ? game.status : "pre";
+    let detail = "Scheduled";
+    if (state === "live") detail = game.period || game.clock || "In Progress";
+    else if (state === "final") detail = "Final";
+
+    const side = (entry) => ({
+      team: { abbreviation: entry && entry.code3, name: entry && entry.name, displayName: entry && entry.name },
+      score: entry && entry.score
+    });
+
+    return this._buildNormalizedGame(league, {
+      id: game.gameId,
+      startTimeUTC: game.startTimeUTC,
+      status: { state, detail, clock: game.clock },
+      teams: { away: side(game.away), home: side(game.home) },
+      venue: game.venue,
+      extras: { provider: game.source && game.source.providerName }
+    });
+  },
 
-      const scoreInterval = Math.max(10 * 1000, this.config.updateIntervalScores || (60 * 1000));
-      this.fetchTimer = setInterval(() => this._fetchGames(), scoreInterval);
+  _firstNumberOrNull(...values) {
+    for (let i = 0; i < values.length; i += 1) {
+      const value = this._asNumberOrNull(values[i]);
+      if (value != null) return value;
     }
+    return null;
   },
 
+  // College polls: ESPN's curated rank is the CFP ranking once it is
+  // published and the AP poll before that; 99 marks an unranked team.
+  _espnCuratedRank(competitor) {
+    const curated = competitor && competitor.curatedRank;
+    const rank = this._asNumberOrNull(curated && typeof curated === "object" ? curated.current : curated);
+    return rank != null && rank >= 1 && rank <= 25 ? rank : null;
+  },
 
-  _requestTimeoutMs() {
-    const raw = Number(this.config && this.config.requestTimeoutMs);
-    return Number.isFinite(raw) && raw > 0 ? raw : 15000;
+  // NCAA tournament games carry a note such as "Men's Basketball Championship -
+  // East Region - Sweet 16"; conference tournaments and the NIT are not matched.
+  _espnTournamentNote(competition, event) {
+    const notes = [].concat((competition && competition.notes) || [], (event && event.notes) || []);
+    const headline = notes.map((note) => this._firstString(note && note.headline, note && note.text)).find((text) => /basketball championship/i.test(text));
+    if (!headline) return null;
+
+    let region = null;
+    let round = null;
+    headline.split(/\s+-\s+/).slice(1).forEach((part) => {
+      const regionMatch = part.match(/^(.+?)\s+Region$/i);
+      if (regionMatch) region = regionMatch[1];
+      else round = this._collegeTournamentRoundLabel(part);
+    });
+    return { round, region };
   },
 
-  async _fetchResponse(url, options = {}, label = url) {
-    const timeoutMs = this._requestTimeoutMs();
-    const started = Date.now();
-    let timer = null;
-    let controller = null;
-    const requestOptions = Object.assign({}, options || {});
-    if (typeof requestOptions.timeout === "undefined") {
-      requestOptions.timeout = timeoutMs;
-    }
+  _collegeTournamentRoundLabel(text) {
+    const value = String(text || "").trim();
+    if (/first four/i.test(value)) return "First Four";
+    if (/^(1st|first) round/i.test(value)) return "1st Round";
+    if (/^(2nd|second) round/i.test(value)) return "2nd Round";
+    if (/sweet\s*(16|sixteen)/i.test(value)) return "Sweet 16";
+    if (/elite\s*(8|eight)/i.test(value)) return "Elite 8";
+    if (/final\s*four/i.test(value)) return "Final Four";
+    if (/championship|final$/i.test(value)) return "Championship";
+    return value || null;
+  },
 
-    if (typeof AbortController !== "undefined") {
-      controller = new AbortController();
-      requestOptions.signal = controller.signal;
-      timer = setTimeout(() => controller.abort(), timeoutMs);
+  _espnTournamentSeed(competitor) {
+    const seed = this._asNumberOrNull(competitor && competitor.seed);
+    return seed != null && seed >= 1 && seed <= 16 ? seed : null;
+  },
+
+  // Only leagues whose registry entry lists `conferences` report them.
+  _espnConferenceName(league, competitor, competition) {
+    const definition = this._leagueDefinition(league);
+    const names = definition && definition.conferences;
+    if (!names) return null;
+    const team = (competitor && competitor.team) || {};
+    const id = team.conferenceId != null ? String(team.conferenceId) : "";
+    if (id && names[id]) return names[id];
+    const group = competition && competition.groups;
+    if (group && group.isConference && (!id || String(group.id) === id)) {
+      return this._firstString(group.shortName, group.abbreviation) || null;
     }
+    return id || null;
+  },
 
-    try {
-      const res = await fetch(url, requestOptions);
-      const elapsedMs = Date.now() - started;
-      if (!res || !res.ok) {
-        const status = res && typeof res.status !== "undefined" ? res.status : "?";
-        const statusText = res && res.statusText ? res.statusText : "";
-        throw new Error(`${label} failed with HTTP ${status} ${statusText} (${elapsedMs}ms)`);
-      }
-      return res;
-    } catch (err) {
-      if (err && err.name === "AbortError") {
-        throw new Error(`${label} timed out after ${timeoutMs}ms`);
+  _espnRecordSummary(competitor) {
+    if (!competitor) return "";
+    let summary = "";
+    const records = Array.isArray(competitor.records) ? competitor.records : [];
+    for (let i = 0; i < records.length; i += 1) {
+      const record = records[i] || {};
+      const candidate = record.summary || record.displayValue || record.overall || "";
+      const recordType = String(record.type || record.name || "").toLowerCase();
+      const isOverall = recordType === "total" || recordType === "overall";
+      if (candidate && (isOverall || !summary)) {
+        summary = candidate;
+        if (isOverall) break;
       }
-      throw err;
-    } finally {
-      if (timer) clearTimeout(timer);
     }
+    if (!summary && typeof competitor.record === "string") summary = competitor.record;
+    if (!summary && competitor.team && typeof competitor.team.record === "string") summary = competitor.team.record;
+    return summary;
   },
 
-  async _fetchJson(url, options = {}, label = url) {
-    const res = await this._fetchResponse(url, options, label);
-    return res.json();
-  },
+  // ESPN describes possession loosely (team id, abbreviation or free text), so
+  // both sides are matched against every identifier we know for them. A tie
+  // between the sides marks neither.
+  _espnPossessionSides(competition, away, home, state) {
+    const none = { away: false, home: false };
+    const lookup = new Set();
+    const mark = (value) => this._collectPossessionTokens(value).forEach((token) => lookup.add(token));
+
+    if (state !== "live") return none;
+    const situation = (competition && competition.situation) || {};
+    mark(situation.possession);
+    mark(situation.possessionId);
+    mark(situation.team);
+    if (situation.lastPlay && situation.lastPlay.team) mark(situation.lastPlay.team);
+    mark(situation.possessionText);
+
+    if (lookup.size === 0) return none;
+
+    const score = (entry) => {
+      const team = entry.team || {};
+      const teamId = team.id != null ? String(team.id).toLowerCase() : "";
+      let matches = 0;
+      let idMatch = false;
+      this._collectPossessionTokens(entry).forEach((token) => {
+        if (!lookup.has(token)) return;
+        matches += 1;
+        if (teamId && token === teamId) idMatch = true;
+      });
+      return { matches, idMatch };
+    };
 
-  async _fetchText(url, options = {}, label = url) {
-    const res = await this._fetchResponse(url, options, label);
-    return res.text();
+    const a = score(away);
+    const h = score(home);
+    if (a.matches === 0 || h.matches === 0) return { away: a.matches > 0, home: h.matches > 0 };
+    if (a.idMatch !== h.idMatch) return { away: a.idMatch, home: h.idMatch };
+    if (a.matches !== h.matches) return { away: a.matches > h.matches, home: h.matches > a.matches };
+    return none;
   },
-  async _fetchGames() {
-    const leagues = Array.isArray(this.leagues) && this.leagues.length > 0
-      ? this.leagues
-      : [this._getLeague()];
 
-    // League fetches are intentionally independent so one slow provider does not
-    // block the entire MagicMirror rotation.
-    const unique = Array.from(new Set(leagues.map((league) => league === "wbc" ? "mlb" : league)));
-    const tasks = unique.map((league) => this._fetchLeagueGames(league));
-    const results = await Promise.allSettled(tasks);
-
-    results.forEach((result, index) => {
-      if (result.status === "rejected") {
-        const league = unique[index];
-        console.error(`🚨 ${league} fetch loop failed:`, result.reason);
-        this._notifyGamesWithFallback(league, [], { errorMessage: result.reason && result.reason.message });
+  _collectPossessionTokens(value) {
+    const tokens = new Set();
+    const visited = new Set();
+    const keys = ["id", "uid", "abbreviation", "abbrev", "displayName", "shortDisplayName", "name", "location", "teamAbbreviation", "teamId", "slug", "alternateId"];
+
+    const visit = (input) => {
+      if (input == null) return;
+      const type = typeof input;
+      if (type === "string" || type === "number" || type === "boolean") {
+        const str = String(input).trim();
+        if (!str) return;
+        tokens.add(str.toLowerCase());
+        (str.match(/\b[A-Z]{2,4}\b/g) || []).forEach((match) => tokens.add(match.toLowerCase()));
+        return;
       }
-    });
-  },
+      if (Array.isArray(input)) {
+        input.forEach(visit);
+        return;
+      }
+      if (type === "object") {
+        if (visited.has(input)) return;
+        visited.add(input);
+        keys.forEach((key) => {
+          if (Object.prototype.hasOwnProperty.call(input, key)) visit(input[key]);
+        });
+        if (Object.prototype.hasOwnProperty.call(input, "team")) visit(input.team);
+      }
+    };
 
-  async _fetchLeagueGames(league) {
-    if (league === "nhl") return this._fetchNhlGames();
-    if (league === "olympic_mhockey") return this._fetchOlympicHockeyGames("olympic_mhockey");
-    if (league === "olympic_whockey") return this._fetchOlympicHockeyGames("olympic_whockey");
-    if (league === "nfl") return this._fetchNflGames();
-    if (league === "nba") return this._fetchNbaGames();
-    if (league === "worldcup") return this._fetchWorldCupGames();
-    return this._fetchMlbGames();
+    visit(value);
+    return tokens;
   },
 
   async _fetchMlbGames() {
     try {
       const context = this._getScoreboardDateContext();
-      const dateIso = context.scoreboardDateIso;
       const gamesByPk = new Map();
       const scheduleByPk = new Map();
 
-      const displayResults = await Promise.all(MLB_SCOREBOARD_SPORT_IDS.map((sportId) => this._fetchMlbGamesBySport(dateIso, sportId)));
-      displayResults.flat().forEach((game) => {
+      const scoreboard = await this._runProviderChain("mlb", this._providerRequest("mlb", context));
+      scoreboard.games.forEach((game) => {
         const gamePk = Number(game && game.gamePk);
         if (Number.isFinite(gamePk)) gamesByPk.set(gamePk, game);
       });
 
       if (context.beforeUpdateCutoff) {
-        const scheduleResults = await Promise.all(MLB_SCOREBOARD_SPORT_IDS.map((sportId) => this._fetchMlbGamesBySport(context.todayIso, sportId)));
-        scheduleResults.flat().forEach((game) => {
+        const scheduleGames = await this._fetchMlbStatsApiProvider(this._providerRequest("mlb", context, context.todayIso));
+        scheduleGames.forEach((game) => {
           const gamePk = Number(game && game.gamePk);
           if (Number.isFinite(gamePk)) scheduleByPk.set(gamePk, game);
         });
@@ -327,11 +2224,11 @@ module.exports = NodeHelper.create({
         }))
         : { mlb: [], wbc: [] };
 
-      console.log(`⚾️ Sending ${separatedGames.mlb.length} MLB games to front-end.`);
-      this._notifyGames("mlb", separatedGames.mlb, { scheduleGames: separatedSchedule.mlb, showingPreviousFinals: context.beforeUpdateCutoff });
-      this._notifyGames("wbc", separatedGames.wbc, { scheduleGames: separatedSchedule.wbc, showingPreviousFinals: context.beforeUpdateCutoff });
+      console.log(`⚾️ Sending ${separatedGames.mlb.length} MLB games to front-end via ${scoreboard.providerUsed}.`);
+      this._notifyLeagueGames("mlb", separatedGames.mlb, this._providerChainExtras(scoreboard, { scheduleGames: separatedSchedule.mlb, showingPreviousFinals: context.beforeUpdateCutoff }));
+      this._notifyLeagueGames("wbc", separatedGames.wbc, this._providerChainExtras(scoreboard, { scheduleGames: separatedSchedule.wbc, showingPreviousFinals: context.beforeUpdateCutoff }));
     } catch (e) {
-      console.error("🚨 MLB fetchGames failed:", e);
+      this._logFetchFailure("MLB", e);
       this._notifyGamesWithFallback("mlb", [], { errorMessage: e.message });
       this._notifyGamesWithFallback("wbc", [], { errorMessage: e.message });
     }
@@ -356,9 +2253,14 @@ module.exports = NodeHelper.create({
     return this._countInternationalWbcTeams(game) > 0;
   },
 
+  async _fetchMlbStatsApiProvider(request) {
+    const results = await Promise.all(MLB_SCOREBOARD_SPORT_IDS.map((sportId) => this._fetchMlbGamesBySport(request.dateIso, sportId)));
+    return results.flat();
+  },
+
   async _fetchMlbGamesBySport(dateIso, sportId) {
-    const url = `https://statsapi.mlb.com/api/v1/schedule/games?sportId=${sportId}&date=${dateIso}&hydrate=linescore`;
-    const json = await this._fetchJson(url, {}, `MLB sportId=${sportId}`);
+    const { url, options } = this._providerFetch("mlb_statsapi", "/api/v1/schedule/games", { sportId, date: dateIso, hydrate: "linescore" });
+    const json = await this._fetchJson(url, options, `MLB sportId=${sportId}`);
     const games = [];
     const dates = Array.isArray(json && json.dates) ? json.dates : [];
 
@@ -410,7 +2312,6 @@ module.exports = NodeHelper.create({
 
   async _fetchNhlGames() {
     const context = this._getScoreboardDateContext();
-    const dateIso = context.dateIso;
     const targetDate = context.scoreboardDateIso;
     let scheduleGames = [];
     if (context.beforeUpdateCutoff) {
@@ -421,80 +2322,168 @@ module.exports = NodeHelper.create({
       }
     }
 
-    let delivered = false;
-    let sent = false;
-
-    let statsApiAvailable = false;
+    let result;
     try {
-      statsApiAvailable = await this._nhlStatsApiAvailable();
-    } catch (availabilityError) {
-      console.warn("⚠️ Unable to verify NHL stats API availability:", availabilityError);
+      result = await this._runProviderChain("nhl", this._providerRequest("nhl", context, targetDate));
+    } catch (error) {
+      console.warn(`⚠️ Unable to fetch NHL games for ${targetDate}:`, error.message || error);
+      this._notifyGamesWithFallback("nhl", [], { errorMessage: "Unable to fetch NHL games" });
+      return;
     }
 
-    if (statsApiAvailable) {
-      try {
-        const statsGames = await this._fetchNhlStatsGames(targetDate);
-        const games = Array.isArray(statsGames) ? statsGames : [];
-        const count = games.length;
+    const games = result.games;
+    console.log(`🏒 Sending ${games.length} NHL games to front-end via ${result.providerUsed}.`);
+    this._notifyLeagueGames("nhl", context.beforeUpdateCutoff ? this._finalGamesOnly(games) : games, this._providerChainExtras(result, { scheduleGames, showingPreviousFinals: context.beforeUpdateCutoff }));
+  },
 
-        this._notifyGames("nhl", context.beforeUpdateCutoff ? this._finalGamesOnly(games) : games, { scheduleGames, showingPreviousFinals: context.beforeUpdateCutoff });
-        sent = true;
+  async _fetchNhlStatsApiProvider(request) {
+    if (this._fixtureMode() !== "replay" && !(await this._nhlStatsApiAvailable())) throw new Error("NHL stats API appears unreachable");
+    return this._fetchNhlStatsGames(request.dateIso);
+  },
 
-        if (count > 0) {
-          console.log(`🏒 Sending ${count} NHL games to front-end (stats API).`);
-          delivered = true;
-        } else {
-          console.info(`ℹ️ NHL stats API returned no games for ${targetDate}; trying scoreboard API.`);
-        }
-      } catch (statsError) {
-        console.error("🚨 NHL stats API fetchGames failed:", statsError);
-        console.info(`ℹ️ Attempting NHL scoreboard API for ${targetDate}`);
+  async _fetchNhlScoreboardProvider(request) {
+    return this._fetchNhlScoreboardGames(request.dateIso);
+  },
+
+  async _fetchNhlStatsRestProvider(request) {
+    return this._fetchNhlStatsRestGames(request.dateIso);
+  },
+
+  // PWHL and AHL come from HockeyTech's scorebar, which lists the days
+  // around today in one response; games are kept for the scoreboard date.
+  // As on the NHL board, before the update cutoff the board shows last
+  // night's finals and today's games go to the schedule page.
+  async _fetchHockeyTechGames(league) {
+    const label = league.toUpperCase();
+    const context = this._getScoreboardDateContext();
+    let scheduleGames = [];
+    if (context.beforeUpdateCutoff) {
+      try {
+        scheduleGames = await this._fetchHockeyTechProvider({ league, dateIso: context.todayIso });
+      } catch (scheduleError) {
+        console.warn(`⚠️ ${label} current-day schedule fetch failed for ${context.todayIso}:`, scheduleError.message || scheduleError);
       }
-    } else {
-      console.info("ℹ️ NHL stats API appears unreachable; using scoreboard fallback.");
     }
 
-    if (!delivered) {
-      try {
-        const scoreboardGames = await this._fetchNhlScoreboardGames(targetDate);
-        const games = Array.isArray(scoreboardGames) ? scoreboardGames : [];
-        const count = games.length;
+    try {
+      const scoreboard = await this._runProviderChain(league, this._providerRequest(league, context));
+      const games = context.beforeUpdateCutoff ? this._finalGamesOnly(scoreboard.games) : scoreboard.games;
+      console.log(`🏒 Sending ${games.length} ${label} games for ${context.scoreboardDateIso} to front-end via ${scoreboard.providerUsed}.`);
+      this._notifyLeagueGames(league, games, this._providerChainExtras(scoreboard, { scheduleGames, showingPreviousFinals: context.beforeUpdateCutoff }));
+    } catch (e) {
+      this._logFetchFailure(label, e);
+      this._notifyGamesWithFallback(league, [], { errorMessage: e.message });
+    }
+  },
 
-        this._notifyGames("nhl", context.beforeUpdateCutoff ? this._finalGamesOnly(games) : games, { scheduleGames, showingPreviousFinals: context.beforeUpdateCutoff });
-        sent = true;
+  // `providers.hockeytech` overrides apply to every HockeyTech league and
+  // `providers.hockeytech_<league>` to one of them.
+  async _fetchHockeyTechProvider(request) {
+    const feed = this._leagueDefinition(request.league).hockeyTech;
+    const { url, options } = this._providerFetch("hockeytech", "/feed/index.php", {
+      feed: "modulekit",
+      view: "scorebar",
+      key: feed.key,
+      client_code: feed.clientCode,
+      numberofdaysback: 1,
+      numberofdaysahead: 1,
+      fmt: "json",
+      lang: "en",
+      site_id: 0
+    }, `hockeytech_${request.league}`);
+    const text = await this._fetchText(url, options, `${request.league.toUpperCase()} HockeyTech scorebar`);
+    // Some HockeyTech feeds wrap their JSON in parentheses even without a callback.
+    const json = JSON.parse(text.trim().replace(/^\(/, "").replace(/\);?$/, ""));
+    const scorebar = (json && json.SiteKit && Array.isArray(json.SiteKit.Scorebar)) ? json.SiteKit.Scorebar : [];
+    const tz = this.config && this.config.timeZone ? this.config.timeZone : "America/Chicago";
+    const games = scorebar
+      .filter((game) => this._hockeyTechGameDate(game, tz) === request.dateIso)
+      .map((game) => this._normalizeHockeyTechGame(game, request.league));
+    return this._hydrateNhlGames(games);
+  },
 
-        if (count > 0) {
-          console.log(`🏒 Sending ${count} NHL games to front-end (scoreboard API).`);
-          delivered = true;
-        } else {
-          console.info(`ℹ️ NHL scoreboard API returned no games for ${targetDate}; trying stats REST fallback.`);
-        }
-      } catch (scoreboardError) {
-        console.error("🚨 NHL scoreboard API fetchGames failed:", scoreboardError);
-        console.info(`ℹ️ Attempting NHL stats REST fallback for ${targetDate}`);
-      }
-    }
+  _hockeyTechGameDate(game, timeZone) {
+    const start = this._firstDate(game && game.GameDateISO8601);
+    if (start) return start.toLocaleDateString("en-CA", { timeZone });
+    return this._nhlScoreboardText(game && game.Date);
+  },
 
-    if (!delivered) {
-      try {
-        const restGames = await this._fetchNhlStatsRestGames(targetDate);
-        if (restGames.length > 0) {
-          console.log(`🏒 Sending ${restGames.length} NHL games to front-end (stats REST fallback).`);
-          this._notifyGames("nhl", context.beforeUpdateCutoff ? this._finalGamesOnly(restGames) : restGames, { scheduleGames, showingPreviousFinals: context.beforeUpdateCutoff });
-          delivered = true;
-          sent = true;
-        } else {
-          console.warn(`⚠️ NHL stats REST fallback returned no games for ${targetDate}.`);
+  // Maps a scorebar game onto the NHL stats API shape, so the NHL normalizer,
+  // status text and OT/SO labels apply unchanged.
+  _normalizeHockeyTechGame(game, league) {
+    if (!game) return null;
+
+    const statusText = this._nhlScoreboardText(game.GameStatusStringLong || game.GameStatusString);
+    const shortPeriod = this._nhlScoreboardText(game.PeriodNameShort).toUpperCase();
+    const number = this._asNumberOrNull(game.Period);
+    let periodType = "REG";
+    if (shortPeriod === "SO" || /\bSO\b|shootout/i.test(statusText)) periodType = "SO";
+    else if ((number != null && number > 3) || /OT/.test(shortPeriod) || /\bOT\b|overtime/i.test(statusText)) periodType = "OT";
+
+    const code = this._nhlScoreboardText(game.GameStatus);
+    let gameState = "FUT";
+    if (/postpone/i.test(statusText)) gameState = "POSTPONED";
+    else if (/cancel/i.test(statusText)) gameState = "CANCELLED";
+    else if (code === "3" || code === "4") gameState = "FINAL";
+    else if (code === "2") gameState = "LIVE";
+
+    const clock = String(game.Intermission) === "1" ? "END" : this._nhlScoreboardText(game.GameClock);
+    const periodDescriptor = { number, periodType, periodTimeRemaining: clock };
+    const status = this._nhlScoreboardStatus({ gameState, clock }, periodDescriptor);
+
+    const started = gameState === "LIVE" || gameState === "FINAL";
+    const abbreviations = this._leagueDefinition(league).abbreviations || {};
+    const away = this._normalizeHockeyTechTeam(game, "Visitor", abbreviations, started);
+    const home = this._normalizeHockeyTechTeam(game, "Home", abbreviations, started);
+    const startTimeUTC = this._firstDate(game.GameDateISO8601);
+
+    return {
+      gamePk: game.ID,
+      gameDate: startTimeUTC ? startTimeUTC.toISOString() : null,
+      startTimeUTC: startTimeUTC ? startTimeUTC.toISOString() : null,
+      season: game.SeasonID || null,
+      status,
+      linescore: {
+        currentPeriod: number,
+        currentPeriodOrdinal: this._nhlScoreboardPeriodOrdinal(periodDescriptor),
+        currentPeriodTimeRemaining: started ? clock : "",
+        teams: {
+          away: { shotsOnGoal: away.shotsOnGoal },
+          home: { shotsOnGoal: home.shotsOnGoal }
         }
-      } catch (restError) {
-        console.error("🚨 NHL stats REST fallback failed:", restError);
-      }
-    }
+      },
+      teams: {
+        away: { team: away.team, score: away.score },
+        home: { team: home.team, score: home.score }
+      },
+      venue: this._nhlScoreboardText(game.venue_name)
+    };
+  },
 
-    if (!delivered && !sent) {
-      console.warn(`⚠️ Unable to fetch NHL games for ${targetDate}; sending empty schedule to front-end.`);
-      this._notifyGamesWithFallback("nhl", [], { errorMessage: "Unable to fetch NHL games" });
-    }
+  // Scorebar fields are prefixed "Home" or "Visitor". Scores read 0 before
+  // the opening faceoff, so they are dropped until the game starts.
+  _normalizeHockeyTechTeam(game, prefix, abbreviations, started) {
+    const text = (field) => this._nhlScoreboardText(game[prefix + field]);
+    const nickname = text("Nickname");
+    const city = text("City");
+    const abbr = abbreviations[nickname] || text("Code").toUpperCase();
+    const shots = [game[`${prefix}Shots`], game[`${prefix}ShotsOnGoal`], game[`${prefix}SOG`]]
+      .map((value) => this._asNumberOrNull(value))
+      .find((value) => value != null);
+
+    return {
+      team: {
+        id: game[`${prefix}ID`],
+        name: text("LongName") || `${city} ${nickname}`.trim(),
+        teamName: nickname || abbr,
+        locationName: city,
+        abbreviation: abbr,
+        teamAbbreviation: abbr,
+        shortName: nickname || abbr
+      },
+      score: started ? this._asNumberOrNull(game[`${prefix}Goals`]) : null,
+      shotsOnGoal: started && shots != null ? shots : null
+    };
   },
 
   async _nhlStatsApiAvailable() {
@@ -505,7 +2494,7 @@ module.exports = NodeHelper.create({
       return status.available;
     }
 
-    const host = "statsapi.web.nhl.com";
+    const host = new URL(this._providerFetch("nhl_stats_api", "/").url).hostname;
     const deadline = now + 4000;
     let available = false;
     let lastError = null;
@@ -524,13 +2513,14 @@ module.exports = NodeHelper.create({
       console.debug(`🔍 DNS lookup for ${host} failed:`, lastError.message || lastError);
     }
 
-    this._nhlStatsDnsStatus = { available, checkedAt: now };
+    // Mutated in place so per-instance fetch scopes share the cached result.
+    this._nhlStatsDnsStatus = Object.assign(this._nhlStatsDnsStatus || {}, { available, checkedAt: now });
     return available;
   },
 
   async _fetchNhlStatsGames(dateIso) {
-    const url = `https://statsapi.web.nhl.com/api/v1/schedule?date=${dateIso}&expand=schedule.linescore,schedule.teams`;
-    const json = await this._fetchJson(url, { headers: this._nhlRequestHeaders() }, "NHL stats API");
+    const { url, options } = this._providerFetch("nhl_stats_api", "/api/v1/schedule", { date: dateIso, expand: "schedule.linescore,schedule.teams" });
+    const json = await this._fetchJson(url, options, "NHL stats API");
     const dates = Array.isArray(json.dates) ? json.dates : [];
     const games = [];
     for (let i = 0; i < dates.length; i += 1) {
@@ -545,20 +2535,15 @@ module.exports = NodeHelper.create({
   },
 
   async _fetchNhlScoreboardGames(dateIso) {
-    const headers = this._nhlRequestHeaders({
-      "x-nhl-stats-origin": "https://www.nhl.com",
-      "x-nhl-stats-referer": "https://www.nhl.com"
-    });
-
-    const urls = [
-      `https://api-web.nhle.com/v1/scoreboard/${dateIso}?site=en_nhl`,
-      `https://api-web.nhle.com/v1/scoreboard/now?site=en_nhl`
+    const requests = [
+      this._providerFetch("nhl_scoreboard", `/v1/scoreboard/${dateIso}`, { site: "en_nhl" }),
+      this._providerFetch("nhl_scoreboard", "/v1/scoreboard/now", { site: "en_nhl" })
     ];
 
-    for (let u = 0; u < urls.length; u += 1) {
-      const fallbackUrl = urls[u];
+    for (let u = 0; u < requests.length; u += 1) {
+      const { url: fallbackUrl, options } = requests[u];
       try {
-        const json = await this._fetchJson(fallbackUrl, { headers }, `NHL scoreboard API ${u + 1}`);
+        const json = await this._fetchJson(fallbackUrl, options, `NHL scoreboard API ${u + 1}`);
         const rawGames = this._collectNhlScoreboardGames(json, dateIso);
         const normalized = [];
 
@@ -568,11 +2553,11 @@ module.exports = NodeHelper.create({
         }
 
         const hydrated = this._hydrateNhlGames(normalized);
-        if (hydrated.length > 0 || u === urls.length - 1) {
+        if (hydrated.length > 0 || u === requests.length - 1) {
           return hydrated;
         }
       } catch (err) {
-        if (u === urls.length - 1) throw err;
+        if (u === requests.length - 1) throw err;
       }
     }
 
@@ -702,33 +2687,15 @@ module.exports = NodeHelper.create({
     return games;
   },
 
-  _nhlRequestHeaders(extra) {
-    const base = {
-      "User-Agent": "Mozilla/5.0 (MMM-Scores)",
-      Accept: "application/json",
-      "Accept-Language": "en-US,en;q=0.9",
-      Referer: "https://www.nhl.com/",
-      Origin: "https://www.nhl.com",
-      Pragma: "no-cache",
-      "Cache-Control": "no-cache"
-    };
-
-    if (!extra) return base;
-    return Object.assign({}, base, extra);
-  },
-
   async _fetchNhlStatsRestGames(dateIso) {
     if (!this._nhlStatsRestAvailable()) {
       return [];
     }
 
-    const restUrl = `https://api.nhle.com/stats/rest/en/schedule?cayenneExp=gameDate=%22${dateIso}%22`;
+    const { url: restUrl, options } = this._providerFetch("nhl_stats_rest", "/stats/rest/en/schedule", { cayenneExp: `gameDate="${dateIso}"` });
     let json;
     try {
-      json = await this._fetchJson(restUrl, { headers: this._nhlRequestHeaders({
-        "x-nhl-stats-origin": "https://www.nhl.com",
-        "x-nhl-stats-referer": "https://www.nhl.com"
-      }) }, "NHL stats REST API");
+      json = await this._fetchJson(restUrl, options, "NHL stats REST API");
     } catch (err) {
       if (/HTTP 404/.test(String(err && err.message))) this._markNhlStatsRestUnavailable();
       throw err;
@@ -760,11 +2727,11 @@ module.exports = NodeHelper.create({
   },
 
   _markNhlStatsRestUnavailable() {
-    this._nhlStatsRestStatus = {
+    this._nhlStatsRestStatus = Object.assign(this._nhlStatsRestStatus || {}, {
       available: false,
       checkedAt: Date.now(),
       warnedAt: Date.now()
-    };
+    });
     console.info("ℹ️ NHL stats REST endpoint returned 404; disabling REST fallback for 24 hours.");
   },
 
@@ -1305,106 +3272,65 @@ module.exports = NodeHelper.create({
 
   async _fetchOlympicHockeyGames(league) {
     const leagueKey = league === "olympic_whockey" ? "olympic_whockey" : "olympic_mhockey";
-    const providerPlans = leagueKey === "olympic_whockey"
-      ? [
-        { name: "espn_womens_olympics", fetcher: (dateIso, dateCompact) => this.fetchOlympicScoreboardWomen(dateIso, dateCompact) },
-        { name: "olympics_com", fetcher: (dateIso) => this._fetchOlympicsComFallback(leagueKey, dateIso) },
-        { name: "iihf", fetcher: (dateIso) => this._fetchIihfFallback(leagueKey, dateIso) },
-        { name: "thesportsdb", fetcher: (dateIso) => this._fetchTheSportsDbFallback(leagueKey, dateIso) },
-        { name: "wikipedia", fetcher: (dateIso) => this._fetchWikipediaFinalsFallback(leagueKey, dateIso) }
-      ]
-      : [
-        { name: "espn_mens_olympics", fetcher: (dateIso, dateCompact) => this.fetchOlympicScoreboardMen(dateIso, dateCompact) },
-        { name: "olympics_com", fetcher: (dateIso) => this._fetchOlympicsComFallback(leagueKey, dateIso) },
-        { name: "iihf", fetcher: (dateIso) => this._fetchIihfFallback(leagueKey, dateIso) },
-        { name: "thesportsdb", fetcher: (dateIso) => this._fetchTheSportsDbFallback(leagueKey, dateIso) },
-        { name: "wikipedia", fetcher: (dateIso) => this._fetchWikipediaFinalsFallback(leagueKey, dateIso) }
-      ];
 
     try {
       const context = this._getScoreboardDateContext({ previousDayCutoffMinutes: 3 * 60 });
-      const { dateIso, dateCompact } = context;
-      let normalizedGames = [];
+      const { dateIso } = context;
       let scheduleGames = [];
       if (context.beforeUpdateCutoff) {
         try {
-          const scheduleCandidate = await providerPlans[0].fetcher(context.todayIso, context.todayCompact);
-          scheduleGames = this._normalizedGamesToLegacyEvents(Array.isArray(scheduleCandidate) ? scheduleCandidate : []);
+          const primary = this._providerChain(leagueKey)[0];
+          const schedule = primary ? await this._runProvider(primary, this._providerRequest(leagueKey, context, context.todayIso)) : null;
+          scheduleGames = schedule ? schedule.games : [];
         } catch (scheduleError) {
           console.warn(`⚠️ ${leagueKey} current-day schedule fetch failed for ${context.todayIso}:`, scheduleError.message || scheduleError);
         }
       }
-      let providerUsed = "none";
-
-      for (let i = 0; i < providerPlans.length; i += 1) {
-        const provider = providerPlans[i];
-        try {
-          const cached = this._getProviderCache(provider.name, leagueKey, dateIso);
-          if (cached) {
-            normalizedGames = cached;
-            providerUsed = `${provider.name} (cache)`;
-            break;
-          }
-
-          const candidate = await provider.fetcher(dateIso, dateCompact);
-          const games = Array.isArray(candidate) ? candidate : [];
-          if (games.length > 0) {
-            normalizedGames = games;
-            providerUsed = provider.name;
-            this._setProviderCache(provider.name, leagueKey, dateIso, games);
-            break;
-          }
-          console.info(`ℹ️ ${leagueKey} provider ${provider.name} returned 0 games, trying fallback.`);
-        } catch (providerError) {
-          console.warn(`⚠️ ${leagueKey} provider ${provider.name} failed, trying fallback:`, providerError.message || providerError);
-        }
-      }
-
-      if (normalizedGames.length === 0) {
-        const resultPageEvents = await this._fetchOlympicResultsPageGames(leagueKey, dateIso);
-        const resultsFallbackGames = this._normalizedOlympicGamesFromEvents(resultPageEvents, leagueKey, "espn_results_page");
-        if (resultsFallbackGames.length > 0) {
-          normalizedGames = resultsFallbackGames;
-          providerUsed = "espn_results_page";
-        }
-      }
 
+      const result = await this._runProviderChain(leagueKey, this._providerRequest(leagueKey, context, dateIso));
+      let normalizedGames = result.games;
       if (normalizedGames.length > 0) {
         this._olympicLastGoodByLeague[leagueKey] = normalizedGames;
       } else if (Array.isArray(this._olympicLastGoodByLeague[leagueKey]) && this._olympicLastGoodByLeague[leagueKey].length > 0) {
         normalizedGames = this._olympicLastGoodByLeague[leagueKey];
-        providerUsed = "last_good_cache";
+        result.providerUsed = "last_good_cache";
+        result.diagnostics.providerUsed = "last_good_cache";
+        result.diagnostics.gameCount = normalizedGames.length;
       }
 
-      const events = this._normalizedGamesToLegacyEvents(normalizedGames);
-      const displayEvents = context.beforeUpdateCutoff ? this._finalGamesOnly(events) : events;
-      console.log(`🥅 Sending ${displayEvents.length} ${leagueKey} games for ${dateIso} to front-end via ${providerUsed}.`);
-      this._notifyGames(leagueKey, displayEvents, {
+      const displayEvents = context.beforeUpdateCutoff ? this._finalGamesOnly(normalizedGames) : normalizedGames;
+      console.log(`🥅 Sending ${displayEvents.length} ${leagueKey} games for ${dateIso} to front-end via ${result.providerUsed}.`);
+      this._notifyLeagueGames(leagueKey, displayEvents, this._providerChainExtras(result, {
         scheduleGames,
-        showingPreviousFinals: context.beforeUpdateCutoff,
-        olympicDiagnostics: {
-          providerUsed,
-          fetchedAtUTC: new Date().toISOString(),
-          gameCount: events.length,
-          dateIso
-        }
-      });
+        showingPreviousFinals: context.beforeUpdateCutoff
+      }));
     } catch (e) {
-      console.error(`🚨 ${leagueKey} fetchGames failed:`, e);
+      this._logFetchFailure(leagueKey, e);
       const fallbackGames = Array.isArray(this._olympicLastGoodByLeague[leagueKey]) ? this._olympicLastGoodByLeague[leagueKey] : [];
-      this._notifyGamesWithFallback(leagueKey, this._normalizedGamesToLegacyEvents(fallbackGames), { errorMessage: e.message });
+      this._notifyGamesWithFallback(leagueKey, this._normalizeLeagueGames(leagueKey, fallbackGames), { errorMessage: e.message });
     }
   },
 
+  async _fetchOlympicEspnProvider(request) {
+    return request.league === "olympic_whockey"
+      ? this.fetchOlympicScoreboardWomen(request.dateIso, request.dateCompact)
+      : this.fetchOlympicScoreboardMen(request.dateIso, request.dateCompact);
+  },
+
+  async _fetchOlympicResultsPageProvider(request) {
+    const events = await this._fetchOlympicResultsPageGames(request.league, request.dateIso);
+    return this._normalizedOlympicGamesFromEvents(events, request.league, "espn_results_page");
+  },
+
   async fetchOlympicScoreboardMen(dateIso, dateCompact) {
-    const url = `https://site.api.espn.com/apis/site/v2/sports/hockey/mens-olympics/scoreboard?dates=${dateCompact || String(dateIso || "").replace(/-/g, "")}`;
-    const json = await this._fetchJson(url, {}, "Olympic men's ESPN scoreboard");
+    const { url, options } = this._providerFetch("espn", "/apis/site/v2/sports/hockey/mens-olympics/scoreboard", { dates: dateCompact || String(dateIso || "").replace(/-/g, "") }, "espn_mens_olympics");
+    const json = await this._fetchJson(url, options, "Olympic men's ESPN scoreboard");
     return this.normalizeEspnOlympicResponse(json, "olympic_mhockey", "espn_mens_olympics");
   },
 
   async fetchOlympicScoreboardWomen(dateIso, dateCompact) {
-    const url = `https://site.api.espn.com/apis/site/v2/sports/hockey/womens-olympics/scoreboard?dates=${dateCompact || String(dateIso || "").replace(/-/g, "")}`;
-    const json = await this._fetchJson(url, {}, "Olympic women's ESPN scoreboard");
+    const { url, options } = this._providerFetch("espn", "/apis/site/v2/sports/hockey/womens-olympics/scoreboard", { dates: dateCompact || String(dateIso || "").replace(/-/g, "") }, "espn_womens_olympics");
+    const json = await this._fetchJson(url, options, "Olympic women's ESPN scoreboard");
     return this.normalizeEspnOlympicResponse(json, "olympic_whockey", "espn_womens_olympics");
   },
 
@@ -1488,102 +3414,66 @@ module.exports = NodeHelper.create({
     };
   },
 
-  _normalizedGamesToLegacyEvents(games) {
-    const list = Array.isArray(games) ? games : [];
-    return list.map((game) => {
-      const statusObj = this._legacyStatusFromNormalized(game);
-      return {
-        id: game.gameId,
-        date: game.startTimeUTC,
-        competitions: [{
-          date: game.startTimeUTC,
-          competitors: [
-            { homeAway: "away", score: game.away && game.away.score, team: { abbreviation: game.away && game.away.code3, displayName: game.away && game.away.name } },
-            { homeAway: "home", score: game.home && game.home.score, team: { abbreviation: game.home && game.home.code3, displayName: game.home && game.home.name } }
-          ],
-          venue: { fullName: game.venue || "" },
-          status: statusObj
-        }],
-        status: statusObj
-      };
-    });
+  _providerCacheTtlMs() {
+    return Math.max(15000, Number(this.config && this.config.providerCacheMs) || 20000);
   },
 
-  _legacyStatusFromNormalized(game) {
-    const state = (game && game.status) || "pre";
-    const isLive = state === "live";
-    const isFinal = state === "final";
-    return {
-      abstractGameState: isLive ? "Live" : (isFinal ? "Final" : "Preview"),
-      detailedState: isLive
-        ? (game.period || game.clock || "In Progress")
-        : (isFinal ? "Final" : "Scheduled"),
-      displayClock: (game && game.clock) || "",
-      period: (game && game.period) || "",
-      type: {
-        state: isLive ? "in" : (isFinal ? "post" : "pre"),
-        description: isLive ? "In Progress" : (isFinal ? "Final" : "Scheduled"),
-        shortDetail: (game && game.period) || (isFinal ? "Final" : "Scheduled")
-      }
-    };
+  // Fetch groups can point the same provider at different endpoints or time
+  // zones, so each group caches its own answers.
+  _providerCacheKey(providerName, leagueKey, dateIso) {
+    return `${this._scopeGroupKey || ""}|${providerName}|${leagueKey}|${dateIso}`;
   },
 
-  _getProviderCache(providerName, leagueKey, dateIso) {
-    const ttlMs = Math.max(15000, Number(this.config && this.config.providerCacheMs) || 20000);
-    const key = `${providerName}|${leagueKey}|${dateIso}`;
+  _getProviderCache(providerName, leagueKey, dateIso, ttlMs = this._providerCacheTtlMs()) {
+    const key = this._providerCacheKey(providerName, leagueKey, dateIso);
     const entry = this._providerCache.get(key);
     if (!entry) return null;
     if ((Date.now() - entry.savedAtMs) > ttlMs) {
       this._providerCache.delete(key);
       return null;
     }
-    return Array.isArray(entry.games) ? entry.games : null;
+    return Array.isArray(entry.games) ? entry : null;
   },
 
-  _setProviderCache(providerName, leagueKey, dateIso, games) {
-    const key = `${providerName}|${leagueKey}|${dateIso}`;
+  _setProviderCache(providerName, leagueKey, dateIso, games, extras = null) {
+    const key = this._providerCacheKey(providerName, leagueKey, dateIso);
     this._providerCache.set(key, {
       savedAtMs: Date.now(),
-      games: Array.isArray(games) ? games : []
+      games: Array.isArray(games) ? games : [],
+      extras
     });
   },
 
-  async _fetchOlympicsComFallback(_leagueKey, _dateIso) {
+  async _fetchOlympicsComFallback(_request) {
     // TODO: olympics.com HTML/JSON discovery provider integration.
     return [];
   },
 
-  async _fetchIihfFallback(_leagueKey, _dateIso) {
+  async _fetchIihfFallback(_request) {
     // TODO: IIHF Olympic schedule/results provider integration.
     return [];
   },
 
-  async _fetchTheSportsDbFallback(_leagueKey, _dateIso) {
+  async _fetchTheSportsDbFallback(_request) {
     // TODO: TheSportsDB free community API provider integration.
     return [];
   },
 
-  async _fetchWikipediaFinalsFallback(_leagueKey, _dateIso) {
+  async _fetchWikipediaFinalsFallback(_request) {
     // TODO: Wikipedia/Wikidata completed-game finals fallback integration.
     return [];
   },
 
   async _fetchOlympicResultsPageGames(league, dateIso) {
-    const urls = [
-      "https://www.espn.com/olympics/winter/2026/results",
-      "https://www.espn.com/olympics/winter/_/year/2026/results"
+    const requests = [
+      this._providerFetch("espn_results_page", "/olympics/winter/2026/results"),
+      this._providerFetch("espn_results_page", "/olympics/winter/_/year/2026/results")
     ];
 
-    for (let i = 0; i < urls.length; i += 1) {
-      const url = urls[i];
+    for (let i = 0; i < requests.length; i += 1) {
+      const { url, options } = requests[i];
       try {
-        const html = await this._fetchText(url, {
-          headers: {
-            "user-agent": "Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
-            "accept": "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
-            "accept-language": "en-US,en;q=0.9"
-          }
-        }, "Olympic ESPN results page");
+        const html = await this._fetchText(url, options, "Olympic ESPN results page");
         const roots = this._extractEspnPageStatePayloads(html);
         const rawGames = [];
 
@@ -1809,52 +3699,74 @@ module.exports = NodeHelper.create({
     return Array.from(map.values());
   },
 
-  async _fetchNbaGames() {
+  // Serves every ESPN basketball league (NBA, WNBA); the registry's espnPath
+  // picks the scoreboard.
+  async _fetchNbaGames(league = "nba") {
+    const label = league.toUpperCase();
     try {
       const context = this._getScoreboardDateContext();
-      const { dateIso, dateCompact } = context;
-      const url = `https://site.api.espn.com/apis/site/v2/sports/basketball/nba/scoreboard?dates=${dateCompact}`;
-      const json = await this._fetchJson(url, {}, "NBA ESPN scoreboard");
-      const events = this._collectEspnScoreboardEvents(json);
-
-      events.sort((a, b) => {
-        const dateA = this._firstDate(
-          a && a.date,
-          a && a.startDate,
-          a && a.startTimeUTC,
-          a && a.competitions && a.competitions[0] && (a.competitions[0].date || a.competitions[0].startDate || a.competitions[0].startTimeUTC)
-        );
-        const dateB = this._firstDate(
-          b && b.date,
-          b && b.startDate,
-          b && b.startTimeUTC,
-          b && b.competitions && b.competitions[0] && (b.competitions[0].date || b.competitions[0].startDate || b.competitions[0].startTimeUTC)
-        );
-
-        if (dateA && dateB) return dateA - dateB;
-        if (dateA) return -1;
-        if (dateB) return 1;
-        return 0;
-      });
+      const { dateIso } = context;
+      const scoreboard = await this._runProviderChain(league, this._providerRequest(league, context));
+      const events = scoreboard.games;
 
       let scheduleGames = [];
       if (context.beforeUpdateCutoff) {
-        const scheduleUrl = `https://site.api.espn.com/apis/site/v2/sports/basketball/nba/scoreboard?dates=${context.todayCompact}`;
+        const schedule = this._providerFetch("espn", this._espnScoreboardPath(league), this._espnScoreboardQuery(league, { dates: context.todayCompact }));
         try {
-          scheduleGames = this._collectEspnScoreboardEvents(await this._fetchJson(scheduleUrl, {}, scheduleUrl));
+          scheduleGames = this._collectEspnScoreboardEvents(await this._fetchJson(schedule.url, schedule.options, schedule.url));
         } catch (scheduleError) {
           console.warn(`⚠️ Schedule fetch failed for ${context.todayIso}:`, scheduleError.message || scheduleError);
         }
       }
       const displayEvents = context.beforeUpdateCutoff ? this._finalGamesOnly(events) : events;
-      console.log(`🏀 Sending ${displayEvents.length} NBA games for ${dateIso} to front-end.`);
-      this._notifyGames("nba", displayEvents, { scheduleGames, showingPreviousFinals: context.beforeUpdateCutoff });
+      console.log(`🏀 Sending ${displayEvents.length} ${label} games for ${dateIso} to front-end via ${scoreboard.providerUsed}.`);
+      this._notifyLeagueGames(league, displayEvents, this._providerChainExtras(scoreboard, { scheduleGames, showingPreviousFinals: context.beforeUpdateCutoff }));
     } catch (e) {
-      console.error("🚨 NBA fetchGames failed:", e);
-      this._notifyGamesWithFallback("nba", [], { errorMessage: e.message });
+      this._logFetchFailure(label, e);
+      this._notifyGamesWithFallback(league, [], { errorMessage: e.message });
     }
   },
 
+  async _fetchNbaEspnProvider(request) {
+    const league = request.league || "nba";
+    const { url, options } = this._providerFetch("espn", this._espnScoreboardPath(league), this._espnScoreboardQuery(league, { dates: request.dateCompact }));
+    const json = await this._fetchJson(url, options, `${league.toUpperCase()} ESPN scoreboard`);
+    return this._sortEspnEventsByStart(this._collectEspnScoreboardEvents(json));
+  },
+
+  _espnScoreboardPath(league) {
+    const definition = this._leagueDefinition(league);
+    const espnPath = (definition && definition.espnPath) || `basketball/${league}`;
+    return `/apis/site/v2/sports/${espnPath}/scoreboard`;
+  },
+
+  _espnScoreboardQuery(league, query) {
+    const definition = this._leagueDefinition(league);
+    return Object.assign({}, query, definition && definition.espnQuery);
+  },
+
+  _sortEspnEventsByStart(events) {
+    return events.sort((a, b) => {
+      const dateA = this._firstDate(
+        a && a.date,
+        a && a.startDate,
+        a && a.startTimeUTC,
+        a && a.competitions && a.competitions[0] && (a.competitions[0].date || a.competitions[0].startDate || a.competitions[0].startTimeUTC)
+      );
+      const dateB = this._firstDate(
+        b && b.date,
+        b && b.startDate,
+        b && b.startTimeUTC,
+        b && b.competitions && b.competitions[0] && (b.competitions[0].date || b.competitions[0].startDate || b.competitions[0].startTimeUTC)
+      );
+
+      if (dateA && dateB) return dateA - dateB;
+      if (dateA) return -1;
+      if (dateB) return 1;
+      return 0;
+    });
+  },
+
   _collectEspnScoreboardEvents(json) {
     if (!json || typeof json !== "object") return [];
     const collected = [];
@@ -1994,35 +3906,14 @@ module.exports = NodeHelper.create({
       const roundWindow = this._worldCupFinalRoundWindow(context.todayIso);
       const { dateIso, dateCompact } = context;
       const worldCupDates = this._worldCupRoundDateCompact(roundWindow) || dateCompact;
-      const url = `https://site.api.espn.com/apis/site/v2/sports/soccer/fifa.world/scoreboard?dates=${worldCupDates}`;
-      const json = await this._fetchJson(url, {}, url);
-      const events = this._annotateWorldCupFinalRoundEvents(this._collectEspnScoreboardEvents(json), roundWindow);
-
-      events.sort((a, b) => {
-        const dateA = this._firstDate(
-          a && a.date,
-          a && a.startDate,
-          a && a.startTimeUTC,
-          a && a.competitions && a.competitions[0] && (a.competitions[0].date || a.competitions[0].startDate || a.competitions[0].startTimeUTC)
-        );
-        const dateB = this._firstDate(
-          b && b.date,
-          b && b.startDate,
-          b && b.startTimeUTC,
-          b && b.competitions && b.competitions[0] && (b.competitions[0].date || b.competitions[0].startDate || b.competitions[0].startTimeUTC)
-        );
-
-        if (dateA && dateB) return dateA - dateB;
-        if (dateA) return -1;
-        if (dateB) return 1;
-        return 0;
-      });
+      const scoreboard = await this._runProviderChain("worldcup", this._providerRequest("worldcup", context));
+      const events = scoreboard.games;
 
       let scheduleGames = [];
       if (!roundWindow && context.beforeUpdateCutoff) {
-        const scheduleUrl = `https://site.api.espn.com/apis/site/v2/sports/soccer/fifa.world/scoreboard?dates=${context.todayCompact}`;
+        const schedule = this._providerFetch("espn", this._espnScoreboardPath("worldcup"), { dates: context.todayCompact });
         try {
-          scheduleGames = this._collectEspnScoreboardEvents(await this._fetchJson(scheduleUrl, {}, scheduleUrl));
+          scheduleGames = this._collectEspnScoreboardEvents(await this._fetchJson(schedule.url, schedule.options, schedule.url));
         } catch (scheduleError) {
           console.warn(`⚠️ Schedule fetch failed for ${context.todayIso}:`, scheduleError.message || scheduleError);
         }
@@ -2034,79 +3925,181 @@ module.exports = NodeHelper.create({
         extras.worldCupRoundKey = roundWindow.key;
         extras.worldCupRoundLabel = roundWindow.label;
       }
-      console.log(`⚽ Sending ${displayEvents.length} World Cup games for ${roundWindow ? worldCupDates : dateIso} to front-end.`);
-      this._notifyGames("worldcup", displayEvents, extras);
+      console.log(`⚽ Sending ${displayEvents.length} World Cup games for ${roundWindow ? worldCupDates : dateIso} to front-end via ${scoreboard.providerUsed}.`);
+      this._notifyLeagueGames("worldcup", displayEvents, this._providerChainExtras(scoreboard, extras));
     } catch (e) {
-      console.error("🚨 World Cup fetchGames failed:", e);
+      this._logFetchFailure("World Cup", e);
       this._notifyGamesWithFallback("worldcup", [], { errorMessage: e.message });
     }
   },
 
+  async _fetchWorldCupEspnProvider(request) {
+    const roundWindow = this._worldCupFinalRoundWindow(request.context.todayIso);
+    const worldCupDates = this._worldCupRoundDateCompact(roundWindow) || request.dateCompact;
+    const { url, options } = this._providerFetch("espn", this._espnScoreboardPath("worldcup"), { dates: worldCupDates });
+    const json = await this._fetchJson(url, options, url);
+    return this._sortEspnEventsByStart(this._annotateWorldCupFinalRoundEvents(this._collectEspnScoreboardEvents(json), roundWindow));
+  },
+
+  // Club soccer (MLS, EPL, UCL, NWSL and any slug from `soccerLeagues`).
+  // Friday through Monday is one matchday board, the way NFL weeks are shown;
+  // midweek rounds show the scoreboard date only.
+  async _fetchSoccerGames(league) {
+    const label = league.toUpperCase();
+    try {
+      const context = this._getScoreboardDateContext();
+      const matchday = this._soccerMatchdayRange(context);
+      const request = Object.assign(this._providerRequest(league, context), { dateIsos: matchday.dateIsos });
+      const scoreboard = await this._runProviderChain(league, request);
+      const range = matchday.startIso === matchday.endIso ? matchday.startIso : `${matchday.startIso} → ${matchday.endIso}`;
+      console.log(`⚽ Sending ${scoreboard.games.length} ${label} games for ${range} to front-end via ${scoreboard.providerUsed}.`);
+      this._notifyLeagueGames(league, scoreboard.games, this._providerChainExtras(scoreboard, {
+        soccerMatchday: { startIso: matchday.startIso, endIso: matchday.endIso }
+      }));
+    } catch (e) {
+      this._logFetchFailure(label, e);
+      this._notifyGamesWithFallback(league, [], { errorMessage: e.message });
+    }
+  },
+
+  // ESPN accepts a date range, so a whole matchday is one request.
+  async _fetchSoccerEspnProvider(request) {
+    const dateIsos = Array.isArray(request.dateIsos) && request.dateIsos.length > 0 ? request.dateIsos : [request.dateIso];
+    const first = dateIsos[0].replace(/-/g, "");
+    const last = dateIsos[dateIsos.length - 1].replace(/-/g, "");
+    const dates = first === last ? first : `${first}-${last}`;
+    const { url, options } = this._providerFetch("espn", this._espnScoreboardPath(request.league), { dates });
+    const json = await this._fetchJson(url, options, `${request.league.toUpperCase()} ESPN scoreboard`);
+    return this._sortEspnEventsByStart(this._collectEspnScoreboardEvents(json));
+  },
+
+  _soccerMatchdayRange(context) {
+    const dayOfWeek = new Date(`${context.todayIso}T00:00:00Z`).getUTCDay();
+    // Days since Friday for Friday, Saturday, Sunday and Monday.
+    const sinceFriday = { 5: 0, 6: 1, 0: 2, 1: 3 }[dayOfWeek];
+    if (sinceFriday == null) {
+      return { startIso: context.scoreboardDateIso, endIso: context.scoreboardDateIso, dateIsos: [context.scoreboardDateIso] };
+    }
+    const startIso = this._addDaysIso(context.todayIso, -sinceFriday);
+    const dateIsos = [0, 1, 2, 3].map((offset) => this._addDaysIso(startIso, offset));
+    return { startIso, endIso: dateIsos[3], dateIsos };
+  },
+
+  // College football weeks run Tuesday through Monday, so the midweek MAC and
+  // Sun Belt games, Saturday and the occasional Monday game share one board.
+  async _fetchNcaafGames() {
+    try {
+      const context = this._getScoreboardDateContext();
+      const week = this._ncaafWeekRange(context);
+      const request = Object.assign(this._providerRequest("ncaaf", context), { dateIsos: week.dateIsos });
+      const scoreboard = await this._runProviderChain("ncaaf", request);
+      console.log(`🏈 Sending ${scoreboard.games.length} NCAAF games (${week.startIso} → ${week.endIso}) to front-end via ${scoreboard.providerUsed}.`);
+      this._notifyLeagueGames("ncaaf", scoreboard.games, this._providerChainExtras(scoreboard, {
+        ncaafWeekRange: { startIso: week.startIso, endIso: week.endIso }
+      }));
+    } catch (e) {
+      this._logFetchFailure("NCAAF", e);
+      this._notifyGamesWithFallback("ncaaf", [], { errorMessage: e.message });
+    }
+  },
+
+  // One ranged request for the whole week per division in the registry's
+  // `espnGroups` (FBS and FCS). A game between an FBS and an FCS team is
+  // listed by both and kept once.
+  async _fetchNcaafEspnProvider(request) {
+    const dateIsos = Array.isArray(request.dateIsos) && request.dateIsos.length > 0 ? request.dateIsos : [request.dateIso];
+    const first = dateIsos[0].replace(/-/g, "");
+    const last = dateIsos[dateIsos.length - 1].replace(/-/g, "");
+    const dates = first === last ? first : `${first}-${last}`;
+    const definition = this._leagueDefinition("ncaaf");
+    const groups = (definition && Array.isArray(definition.espnGroups)) ? definition.espnGroups : [null];
+    const responses = await Promise.all(groups.map((group) => {
+      const query = this._espnScoreboardQuery("ncaaf", group ? { dates, groups: group } : { dates });
+      const { url, options } = this._providerFetch("espn", this._espnScoreboardPath("ncaaf"), query);
+      return this._fetchJson(url, options, group ? `NCAAF ESPN scoreboard (group ${group})` : "NCAAF ESPN scoreboard");
+    }));
+
+    const seen = new Set();
+    const events = [];
+    responses.forEach((json) => {
+      this._collectEspnScoreboardEvents(json).forEach((event) => {
+        const id = event && event.id;
+        if (id != null && seen.has(String(id))) return;
+        if (id != null) seen.add(String(id));
+        events.push(event);
+      });
+    });
+    return this._sortEspnEventsByStart(events);
+  },
+
+  _ncaafWeekRange(context) {
+    const dayOfWeek = new Date(`${context.todayIso}T00:00:00Z`).getUTCDay();
+    const sinceTuesday = (dayOfWeek - 2 + 7) % 7;
+    const startIso = this._addDaysIso(context.todayIso, -sinceTuesday);
+    const dateIsos = [0, 1, 2, 3, 4, 5, 6].map((offset) => this._addDaysIso(startIso, offset));
+    return { startIso, endIso: dateIsos[6], dateIsos };
+  },
+
   async _fetchNflGames() {
     try {
       const context = this._getScoreboardDateContext();
       if (context.beforeUpdateCutoff) {
-        const previousResults = await this._fetchNflWeekGames([context.previousDateIso]);
+        const previousRequest = Object.assign(this._providerRequest("nfl", context, context.previousDateIso), { dateIsos: [context.previousDateIso] });
+        const previousResults = await this._runProviderChain("nfl", previousRequest);
         const todayResults = await this._fetchNflWeekGames([context.todayIso]);
         const games = this._finalGamesOnly(previousResults.games);
         console.log(`🏈 Sending ${games.length} NFL final games for ${context.previousDateIso} plus ${todayResults.games.length} scheduled games for ${context.todayIso}.`);
-        this._notifyGames("nfl", games, {
-          teamsOnBye: previousResults.byes,
+        this._notifyLeagueGames("nfl", games, this._providerChainExtras(previousResults, {
           scheduleGames: todayResults.games,
           showingPreviousFinals: true
-        });
+        }));
         return;
       }
 
-      const weekRange = this._getNflWeekDateRange();
-      let results = await this._fetchNflWeekGames(weekRange.dateIsos);
-
-      if (results.games.length === 0) {
-        const fallbackResults = await this._fetchNflDefaultWeekGames();
-        if (fallbackResults.games.length > 0) {
-          console.info("ℹ️ NFL date-range fetch returned no games; using default scoreboard feed.");
-          results = fallbackResults;
-        }
-      }
-
-      if (this._shouldAdvanceNflPlayoffWeek(results.games)) {
-        const nextWeekRange = this._getNflWeekDateRange(1);
-        results = await this._fetchNflWeekGames(nextWeekRange.dateIsos);
-        results.range = nextWeekRange;
-      }
-
+      const results = await this._runProviderChain("nfl", this._providerRequest("nfl", context));
       const games = results.games;
-      games.sort((a, b) => {
-        const dateA = this._firstDate(
-          a && a.date,
-          a && a.startDate,
-          a && a.startTimeUTC,
-          a && a.competitions && a.competitions[0] && (a.competitions[0].date || a.competitions[0].startDate || a.competitions[0].startTimeUTC)
-        );
-        const dateB = this._firstDate(
-          b && b.date,
-          b && b.startDate,
-          b && b.startTimeUTC,
-          b && b.competitions && b.competitions[0] && (b.competitions[0].date || b.competitions[0].startDate || b.competitions[0].startTimeUTC)
-        );
+      const byeList = results.extras && Array.isArray(results.extras.teamsOnBye) ? results.extras.teamsOnBye : [];
+      const range = (results.extras && results.extras.nflWeekRange) || this._getNflWeekDateRange();
 
-        if (dateA && dateB) return dateA - dateB;
-        if (dateA) return -1;
-        if (dateB) return 1;
-        return 0;
-      });
+      console.log(`🏈 Sending ${games.length} NFL games (${range.startIso} → ${range.endIso}) to front-end via ${results.providerUsed}.${byeList.length ? ` ${byeList.length} teams on bye.` : ""}`);
+      this._notifyLeagueGames("nfl", games, this._providerChainExtras(results, { teamsOnBye: byeList }));
+    } catch (e) {
+      this._logFetchFailure("NFL", e);
+      this._notifyGamesWithFallback("nfl", [], { teamsOnBye: [], errorMessage: e.message });
+    }
+  },
 
-      const byeList = results.byes;
-      const range = results.range || weekRange;
+  // Resolves the current NFL week (or the explicit request.dateIsos) from the
+  // ESPN scoreboard, falling back to its default feed and advancing past a
+  // completed playoff round.
+  async _fetchNflEspnProvider(request) {
+    if (Array.isArray(request.dateIsos)) {
+      const dated = await this._fetchNflWeekGames(request.dateIsos);
+      return { games: dated.games, extras: { teamsOnBye: dated.byes } };
+    }
 
-      const extras = { teamsOnBye: byeList };
+    const weekRange = this._getNflWeekDateRange();
+    let results = await this._fetchNflWeekGames(weekRange.dateIsos);
 
-      console.log(`🏈 Sending ${games.length} NFL games (${range.startIso} → ${range.endIso}) to front-end.${byeList.length ? ` ${byeList.length} teams on bye.` : ""}`);
-      this._notifyGames("nfl", games, extras);
-    } catch (e) {
-      console.error("🚨 NFL fetchGames failed:", e);
-      this._notifyGamesWithFallback("nfl", [], { teamsOnBye: [], errorMessage: e.message });
+    if (results.games.length === 0) {
+      const fallbackResults = await this._fetchNflDefaultWeekGames();
+      if (fallbackResults.games.length > 0) {
+        console.info("ℹ️ NFL date-range fetch returned no games; using default scoreboard feed.");
+        results = fallbackResults;
+      }
+    }
+
+    if (this._shouldAdvanceNflPlayoffWeek(results.games)) {
+      const nextWeekRange = this._getNflWeekDateRange(1);
+      results = await this._fetchNflWeekGames(nextWeekRange.dateIsos);
+      results.range = nextWeekRange;
     }
+
+    const range = results.range || weekRange;
+    return {
+      games: this._sortEspnEventsByStart(results.games),
+      extras: { teamsOnBye: results.byes, nflWeekRange: { startIso: range.startIso, endIso: range.endIso } }
+    };
   },
 
   async _fetchNflWeekGames(dateIsos) {
@@ -2115,8 +4108,8 @@ module.exports = NodeHelper.create({
 
     const results = await Promise.allSettled(dateIsos.map(async (dateIso) => {
       const dateCompact = dateIso.replace(/-/g, "");
-      const url = `https://site.api.espn.com/apis/site/v2/sports/football/nfl/scoreboard?dates=${dateCompact}`;
-      return { dateIso, json: await this._fetchJson(url, {}, `NFL scoreboard ${dateIso}`) };
+      const { url, options } = this._providerFetch("espn", "/apis/site/v2/sports/football/nfl/scoreboard", { dates: dateCompact });
+      return { dateIso, json: await this._fetchJson(url, options, `NFL scoreboard ${dateIso}`) };
     }));
 
     results.forEach((result) => {
@@ -2133,10 +4126,10 @@ module.exports = NodeHelper.create({
   async _fetchNflDefaultWeekGames() {
     const aggregated = new Map();
     const byeTeams = new Map();
-    const url = "https://site.api.espn.com/apis/site/v2/sports/football/nfl/scoreboard";
+    const { url, options } = this._providerFetch("espn", "/apis/site/v2/sports/football/nfl/scoreboard");
 
     try {
-      const json = await this._fetchJson(url, {}, "NFL default scoreboard");
+      const json = await this._fetchJson(url, options, "NFL default scoreboard");
       this._mergeNflScoreboardResponse(json, aggregated, byeTeams, "current");
     } catch (err) {
       console.error("🚨 NFL fallback scoreboard fetch failed:", err);
@@ -2372,6 +4365,8 @@ module.exports = NodeHelper.create({
       normalizedGames = [];
     }
 
+    normalizedGames = this._projectGamesForSocket(normalizedGames);
+
     const payload = {
       league: normalizedLeague,
       games: normalizedGames,
@@ -2383,6 +4378,7 @@ module.exports = NodeHelper.create({
         payload[key] = extras[key];
       });
     }
+    if (Array.isArray(payload.scheduleGames)) payload.scheduleGames = this._projectGamesForSocket(payload.scheduleGames);
 
     if (!payload.isStale && !payload.errorMessage) {
       if (!this._lastGoodByLeague) this._lastGoodByLeague = {};
@@ -2391,16 +4387,66 @@ module.exports = NodeHelper.create({
         scheduleGames: Array.isArray(payload.scheduleGames) ? payload.scheduleGames.slice() : payload.scheduleGames,
         lastUpdatedAt: payload.fetchedAt
       });
+      this._schedulePersistentCacheWrite();
     }
 
-    this.sendSocketNotification("GAMES", payload);
+    this._deliverGames(payload);
+  },
+
+  // Games cross the socket (and sit in the last-good cache) holding only what
+  // the cards read. Venue and team location stay behind, as do null stats;
+  // games not in the normalized shape pass through untouched.
+  _projectGamesForSocket(games) {
+    return games.map((game) => this._projectGameForSocket(game));
+  },
+
+  _projectGameForSocket(game) {
+    if (!game || typeof game !== "object" || !game.status || typeof game.status.state !== "string" || !game.teams) return game;
+    const side = (entry) => {
+      if (!entry || typeof entry !== "object") return entry;
+      const team = entry.team || {};
+      const stats = {};
+      Object.keys(entry.stats || {}).forEach((key) => {
+        if (entry.stats[key] != null) stats[key] = entry.stats[key];
+      });
+      return {
+        team: {
+          id: team.id,
+          abbreviation: team.abbreviation,
+          name: team.name,
+          displayName: team.displayName,
+          shortDisplayName: team.shortDisplayName
+        },
+        score: entry.score,
+        winner: entry.winner,
+        record: entry.record,
+        periods: entry.periods,
+        stats,
+        shootoutScore: entry.shootoutScore,
+        possession: entry.possession
+      };
+    };
+    const status = game.status;
+    return {
+      id: game.id,
+      league: game.league,
+      startTimeUTC: game.startTimeUTC,
+      status: {
+        state: status.state,
+        detail: status.detail,
+        period: status.period,
+        periodLabel: status.periodLabel,
+        clock: status.clock
+      },
+      teams: { away: side(game.teams.away), home: side(game.teams.home) },
+      extras: game.extras
+    };
   },
 
   _notifyGamesWithFallback(league, games = [], extras = null) {
     const normalizedLeague = this._normalizeLeagueKey(league) || this._getLeague();
     const cache = this._lastGoodByLeague && this._lastGoodByLeague[normalizedLeague];
-    const ttlRaw = Number(this.config && this.config.lastGoodCacheMs);
-    const ttlMs = Number.isFinite(ttlRaw) && ttlRaw > 0 ? ttlRaw : 6 * 60 * 60 * 1000;
+    const ttlMs = this._lastGoodTtlMs();
     if (cache && cache.lastUpdatedAt && (Date.now() - Date.parse(cache.lastUpdatedAt)) <= ttlMs) {
       const payload = Object.assign({}, cache, extras || {}, {
         league: normalizedLeague,
@@ -2410,12 +4456,17 @@ module.exports = NodeHelper.create({
         fetchedAt: new Date().toISOString(),
         games: Array.isArray(cache.games) ? cache.games.slice() : []
       });
-      this.sendSocketNotification("GAMES", payload);
+      this._deliverGames(payload);
       return;
     }
     this._notifyGames(normalizedLeague, games, extras);
   },
 
+  _lastGoodTtlMs() {
+    const ttlRaw = Number(this.config && this.config.lastGoodCacheMs);
+    return Number.isFinite(ttlRaw) && ttlRaw > 0 ? ttlRaw : 6 * 60 * 60 * 1000;
+  },
+
   _normalizeLeagueKey(value) {
     return LeagueConfig.normalizeLeagueKey(value);
   },
@@ -2434,7 +4485,7 @@ module.exports = NodeHelper.create({
 
   _todayIsoInTimeZone() {
     const tz = this.config && this.config.timeZone ? this.config.timeZone : "America/Chicago";
-    return new Date().toLocaleDateString("en-CA", { timeZone: tz });
+    return new Date(this._now()).toLocaleDateString("en-CA", { timeZone: tz });
   },
 
   _isNhlBreakWindow(dateIso) {
@@ -2464,7 +4515,7 @@ module.exports = NodeHelper.create({
       ? opts.previousDayCutoffMinutes
       : ((Number.isFinite(opts.previousDayCutoffHour) ? opts.previousDayCutoffHour * 60 : 9 * 60 + 30));
     const tz = this.config && this.config.timeZone ? this.config.timeZone : "America/Chicago";
-    const now = new Date();
+    const now = new Date(this._now());
     const todayIso = now.toLocaleDateString("en-CA", { timeZone: tz });
     const timeStr = now.toLocaleTimeString("en-GB", {
       timeZone: tz,
@@ -2500,7 +4551,9 @@ module.exports = NodeHelper.create({
 
   _isFinalGame(game) {
     if (!game || typeof game !== "object") return false;
+    if (typeof game.status === "string") return game.status.toLowerCase() === "final";
     const status = game.status || {};
+    if (status.state === "final") return true;
     const statusType = status.type || {};
     const abstractState = String(status.abstractGameState || "").toLowerCase();
     const detailedState = String(status.detailedState || "").toLowerCase();
@@ -2519,7 +4572,7 @@ module.exports = NodeHelper.create({
 
   _getNhlScoreboardDate() {
     const tz = this.config && this.config.timeZone ? this.config.timeZone : "America/Chicago";
-    const now = new Date();
+    const now = new Date(this._now());
     let dateIso = now.toLocaleDateString("en-CA", { timeZone: tz });
     const timeStr = now.toLocaleTimeString("en-GB", {
       timeZone: tz,
@@ -2541,7 +4594,7 @@ module.exports = NodeHelper.create({
   },
 
   _getLocalDateParts(tz) {
-    const now = new Date();
+    const now = new Date(this._now());
     const dateIso = now.toLocaleDateString("en-CA", { timeZone: tz });
     const timeStr = now.toLocaleTimeString("en-GB", {
       timeZone: tz,
@@ -7,8 +7,18 @@ const requiredPaths = [
   'fonts/TimesSquare-m105.ttf',
   'images/mlb',
   'images/nhl',
+  'images/pwhl',
+  'images/ahl',
   'images/nfl',
+  'images/ncaaf',
   'images/nba',
+  'images/wnba',
+  'images/ncaam',
+  'images/ncaaw',
+  'images/mls',
+  'images/epl',
+  'images/ucl',
+  'images/nwsl',
   'images/oly'
 ];
 
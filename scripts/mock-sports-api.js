@@ -0,0 +1,527 @@
+#!/usr/bin/env node
+
+/**
+ * Local stand-in for the score APIs used by MMM-Scores, for offline development.
+ *
+ * Serves generated scoreboards in the shapes of statsapi.mlb.com, api-web.nhle.com,
+ * api.nhle.com (stats REST) and site.api.espn.com. Today's games progress live
+ * while the server runs; earlier dates are final and later dates scheduled.
+ *
+ * Usage:
+ *   node scripts/mock-sports-api.js [--port 8787] [--speed 1] [--scenario live|pre|final]
+ *                                   [--timezone America/Chicago]
+ *                                   [--fail <match>=<status>] [--slow <match>=<ms>]
+ *                                   [--redirect <match>] [--drop <match>]
+ *
+ * Point the helper at it with `apiBaseUrl: "http://localhost:8787"` in the module config.
+ *
+ * <match> is a substring of the request path (e.g. "scoreboard", "/v1/scoreboard",
+ * "basketball/nba"). Faults can also be changed while the server runs:
+ *   GET /__mock/fail?match=<match>&status=503[&times=3]
+ *   GET /__mock/slow?match=<match>&ms=20000[&times=1]
+ *   GET /__mock/redirect?match=<match>
+ *   GET /__mock/drop?match=<match>
+ *   GET /__mock/reset
+ *   GET /__mock/state
+ */
+
+const http = require("http");
+const { URL } = require("url");
+
+const DEFAULT_PORT = 8787;
+const MINUTE_MS = 60 * 1000;
+
+const TEAMS = {
+  mlb: [
+    ["NYY", "New York", "Yankees"], ["BOS", "Boston", "Red Sox"], ["CHC", "Chicago", "Cubs"],
+    ["STL", "St. Louis", "Cardinals"], ["LAD", "Los Angeles", "Dodgers"], ["HOU", "Houston", "Astros"],
+    ["ATL", "Atlanta", "Braves"], ["NYM", "New York", "Mets"], ["PHI", "Philadelphia", "Phillies"],
+    ["MIL", "Milwaukee", "Brewers"], ["DET", "Detroit", "Tigers"], ["PIT", "Pittsburgh", "Pirates"]
+  ],
+  nhl: [
+    ["BOS", "Boston", "Bruins"], ["TOR", "Toronto", "Maple Leafs"], ["CHI", "Chicago", "Blackhawks"],
+    ["DET", "Detroit", "Red Wings"], ["NYR", "New York", "Rangers"], ["MTL", "Montréal", "Canadiens"],
+    ["EDM", "Edmonton", "Oilers"], ["CGY", "Calgary", "Flames"], ["VGK", "Vegas", "Golden Knights"],
+    ["COL", "Colorado", "Avalanche"], ["TBL", "Tampa Bay", "Lightning"], ["FLA", "Florida", "Panthers"]
+  ],
+  basketball: [
+    ["BOS", "Boston", "Celtics"], ["LAL", "Los Angeles", "Lakers"], ["GS", "Golden State", "Warriors"],
+    ["CHI", "Chicago", "Bulls"], ["MIA", "Miami", "Heat"], ["NY", "New York", "Knicks"],
+    ["DEN", "Denver", "Nuggets"], ["PHX", "Phoenix", "Suns"], ["DAL", "Dallas", "Mavericks"],
+    ["MIL", "Milwaukee", "Bucks"]
+  ],
+  football: [
+    ["CHI", "Chicago", "Bears"], ["GB", "Green Bay", "Packers"], ["DET", "Detroit", "Lions"],
+    ["MIN", "Minnesota", "Vikings"], ["KC", "Kansas City", "Chiefs"], ["BUF", "Buffalo", "Bills"],
+    ["PHI", "Philadelphia", "Eagles"], ["DAL", "Dallas", "Cowboys"], ["SF", "San Francisco", "49ers"],
+    ["SEA", "Seattle", "Seahawks"], ["BAL", "Baltimore", "Ravens"], ["PIT", "Pittsburgh", "Steelers"]
+  ],
+  soccer: [
+    ["USA", "United States", "USA"], ["MEX", "Mexico", "Mexico"], ["CAN", "Canada", "Canada"],
+    ["ARG", "Argentina", "Argentina"], ["BRA", "Brazil", "Brazil"], ["FRA", "France", "France"],
+    ["ENG", "England", "England"], ["GER", "Germany", "Germany"]
+  ],
+  hockey: [
+    ["CAN", "Canada", "Canada"], ["USA", "United States", "USA"], ["SWE", "Sweden", "Sweden"],
+    ["FIN", "Finland", "Finland"], ["CZE", "Czechia", "Czechia"], ["SUI", "Switzerland", "Switzerland"]
+  ]
+};
+
+// Game length in game minutes, number of regulation periods and games per slate.
+const SPORTS = {
+  mlb: { durationMin: 180, periods: 9, games: 6 },
+  nhl: { durationMin: 60, periods: 3, games: 6 },
+  basketball: { durationMin: 48, periods: 4, games: 5 },
+  football: { durationMin: 60, periods: 4, games: 6 },
+  soccer: { durationMin: 90, periods: 2, games: 4 },
+  hockey: { durationMin: 60, periods: 3, games: 3 }
+};
+
+function parseArgs(argv) {
+  const options = { port: DEFAULT_PORT, speed: 1, scenario: "live", timeZone: "America/Chicago", faults: [] };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    const value = argv[i + 1];
+    if (arg === "--port") { options.port = Number(value); i += 1; }
+    else if (arg === "--speed") { options.speed = Number(value) || 1; i += 1; }
+    else if (arg === "--scenario") { options.scenario = value; i += 1; }
+    else if (arg === "--timezone") { options.timeZone = value; i += 1; }
+    else if (arg === "--fail" || arg === "--slow") {
+      const [match, amount] = String(value || "").split("=");
+      options.faults.push(arg === "--fail"
+        ? { type: "fail", match, status: Number(amount) || 503 }
+        : { type: "slow", match, ms: Number(amount) || 20000 });
+      i += 1;
+    } else if (arg === "--redirect" || arg === "--drop") {
+      options.faults.push({ type: arg.slice(2), match: value });
+      i += 1;
+    } else if (arg === "--help" || arg === "-h") {
+      options.help = true;
+    }
+  }
+  return options;
+}
+
+// Small deterministic PRNG so a game plays out the same way on every request.
+function seededRandom(seed) {
+  let state = 0;
+  for (let i = 0; i < seed.length; i += 1) state = (state * 31 + seed.charCodeAt(i)) >>> 0;
+  return () => {
+    state = (state * 1664525 + 1013904223) >>> 0;
+    return state / 4294967296;
+  };
+}
+
+function ordinal(n) {
+  if (n === 1) return "1st";
+  if (n === 2) return "2nd";
+  if (n === 3) return "3rd";
+  return `${n}th`;
+}
+
+function clockText(totalSeconds) {
+  const seconds = Math.max(0, Math.round(totalSeconds));
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+}
+
+function compactToIso(compact) {
+  const str = String(compact || "").slice(0, 8);
+  return /^\d{8}$/.test(str) ? `${str.slice(0, 4)}-${str.slice(4, 6)}-${str.slice(6, 8)}` : null;
+}
+
+class MockSportsApi {
+  constructor(options = {}) {
+    this.options = Object.assign({ speed: 1, scenario: "live", timeZone: "America/Chicago" }, options);
+    this.startedAt = Date.now();
+    this.faults = Array.isArray(options.faults) ? options.faults.slice() : [];
+    this.requests = [];
+  }
+
+  todayIso() {
+    return new Date().toLocaleDateString("en-CA", { timeZone: this.options.timeZone });
+  }
+
+  // Real start time of game `index` on `dateIso`: today's slate is staggered
+  // around server start so some games are live, some done and some upcoming.
+  gameStartMs(dateIso, index, sport) {
+    const today = this.todayIso();
+    const baseNoon = Date.parse(`${dateIso}T18:00:00Z`);
+    if (dateIso !== today) return baseNoon + index * 30 * MINUTE_MS;
+
+    const speed = this.options.speed > 0 ? this.options.speed : 1;
+    const durationMs = SPORTS[sport].durationMin * 1.5 * MINUTE_MS / speed;
+    if (this.options.scenario === "pre") return this.startedAt + (2 * 60 + index * 30) * MINUTE_MS;
+    if (this.options.scenario === "final") return this.startedAt - durationMs - (index + 1) * 30 * MINUTE_MS;
+    // live: one game already final, the next two live, the rest on a short fuse.
+    const offsets = [-1.2, -0.5, -0.1, 0.05, 0.3, 0.6];
+    return this.startedAt + Math.round(offsets[index % offsets.length] * durationMs) + Math.floor(index / offsets.length) * 60 * MINUTE_MS;
+  }
+
+  // Game progress between 0 (not started) and 1 (final). Breaks make a game
+  // take half again its regulation length in real time.
+  gameProgress(startMs, sport) {
+    const speed = this.options.speed > 0 ? this.options.speed : 1;
+    const elapsedMin = ((Date.now() - startMs) * speed) / MINUTE_MS / 1.5;
+    if (elapsedMin <= 0) return 0;
+    return Math.min(1, elapsedMin / SPORTS[sport].durationMin);
+  }
+
+  slate(sport, leagueKey, dateIso) {
+    const teams = TEAMS[sport] || TEAMS.basketball;
+    const spec = SPORTS[sport];
+    const games = [];
+    for (let i = 0; i < spec.games && (i * 2 + 1) < teams.length; i += 1) {
+      const id = `${leagueKey}-${dateIso.replace(/-/g, "")}-${i + 1}`;
+      const startMs = this.gameStartMs(dateIso, i, sport);
+      const progress = this.gameProgress(startMs, sport);
+      const random = seededRandom(id);
+      const periodScores = { away: [], home: [] };
+      const periods = spec.periods;
+      for (let p = 0; p < periods; p += 1) {
+        ["away", "home"].forEach((side) => {
+          periodScores[side].push(this.periodPoints(sport, random));
+        });
+      }
+      if (sport !== "soccer" && sport !== "football" && periodScores.away.reduce((a, b) => a + b, 0) === periodScores.home.reduce((a, b) => a + b, 0)) {
+        periodScores.home[periods - 1] += 1;
+      }
+      games.push({
+        id,
+        numericId: 900000 + Number(dateIso.replace(/-/g, "").slice(2)) * 10 + i,
+        index: i,
+        sport,
+        leagueKey,
+        startMs,
+        progress,
+        away: teams[i * 2],
+        home: teams[i * 2 + 1],
+        periodScores,
+        random
+      });
+    }
+    return games;
+  }
+
+  periodPoints(sport, random) {
+    const roll = random();
+    if (sport === "mlb") return roll < 0.7 ? 0 : (roll < 0.9 ? 1 : Math.floor(roll * 4));
+    if (sport === "nhl" || sport === "hockey") return roll < 0.55 ? 0 : (roll < 0.85 ? 1 : 2);
+    if (sport === "basketball") return 20 + Math.floor(roll * 16);
+    if (sport === "football") return [0, 3, 7, 7, 10, 14][Math.floor(roll * 6)];
+    return roll < 0.7 ? 0 : 1;
+  }
+
+  // Splits progress into the current period, the fraction through it, and
+  // each side's score so far (completed periods plus a share of the current).
+  gameState(game) {
+    const periods = game.periodScores.away.length;
+    const state = game.progress <= 0 ? "pre" : (game.progress >= 1 ? "final" : "live");
+    const position = Math.min(periods - 1e-9, game.progress * periods);
+    const period = state === "pre" ? 0 : (state === "final" ? periods : Math.floor(position) + 1);
+    const fraction = state === "live" ? position - Math.floor(position) : (state === "final" ? 1 : 0);
+    const lines = { away: [], home: [] };
+    ["away", "home"].forEach((side) => {
+      for (let p = 0; p < period; p += 1) {
+        const full = game.periodScores[side][p];
+        lines[side].push(p < period - 1 || state === "final" ? full : Math.floor(full * fraction));
+      }
+    });
+    const total = (side) => lines[side].reduce((sum, value) => sum + value, 0);
+    return { state, period, fraction, lines, awayScore: total("away"), homeScore: total("home") };
+  }
+
+  // ---------- MLB statsapi ----------
+  mlbSchedule(searchParams) {
+    const dateIso = searchParams.get("date") || this.todayIso();
+    if (String(searchParams.get("sportId") || "1") !== "1") return { dates: [] };
+
+    const games = this.slate("mlb", "mlb", dateIso).map((game) => {
+      const snap = this.gameState(game);
+      const halfInnings = Math.min(17, Math.floor(game.progress * 18));
+      const isTop = halfInnings % 2 === 0;
+      const innings = snap.lines.away.map((runs, idx) => ({
+        num: idx + 1,
+        away: { runs },
+        home: (idx < snap.lines.home.length && !(snap.state === "live" && idx === snap.period - 1 && isTop)) ? { runs: snap.lines.home[idx] } : {}
+      }));
+      const team = (entry, idx) => ({
+        id: 100 + game.index * 2 + idx,
+        name: `${entry[1]} ${entry[2]}`,
+        teamName: entry[2],
+        abbreviation: entry[0]
+      });
+      const side = (entry, idx, score) => ({
+        team: team(entry, idx),
+        score: snap.state === "pre" ? undefined : score,
+        isWinner: snap.state === "final" ? (idx === 0 ? snap.awayScore > snap.homeScore : snap.homeScore > snap.awayScore) : undefined,
+        leagueRecord: { wins: 70 + game.index, losses: 60 - game.index }
+      });
+      const outs = snap.state === "live" ? Math.floor(((game.progress * 18) % 1) * 3) : 0;
+      return {
+        gamePk: game.numericId,
+        gameDate: new Date(game.startMs).toISOString(),
+        status: {
+          abstractGameState: snap.state === "pre" ? "Preview" : (snap.state === "live" ? "Live" : "Final"),
+          detailedState: snap.state === "pre" ? "Scheduled" : (snap.state === "live" ? "In Progress" : "Final")
+        },
+        teams: { away: side(game.away, 0, snap.awayScore), home: side(game.home, 1, snap.homeScore) },
+        venue: { name: `${game.home[1]} Ballpark` },
+        linescore: snap.state === "pre" ? {} : {
+          currentInning: snap.period,
+          currentInningOrdinal: ordinal(snap.period),
+          inningState: snap.state === "final" ? "End" : (isTop ? "Top" : "Bottom"),
+          isTopInning: isTop,
+          scheduledInnings: 9,
+          outs,
+          innings,
+          teams: {
+            away: { runs: snap.awayScore, hits: snap.awayScore * 2 + 3, errors: game.index % 2 },
+            home: { runs: snap.homeScore, hits: snap.homeScore * 2 + 2, errors: 0 }
+          },
+          offense: snap.state === "live" ? { first: game.random() > 0.5 ? { id: 1 } : undefined, second: outs === 1 ? { id: 2 } : undefined } : {}
+        }
+      };
+    });
+    return { dates: [{ date: dateIso, games }] };
+  }
+
+  // ---------- NHL api-web scoreboard ----------
+  nhlScoreboard(dateIso) {
+    const games = this.slate("nhl", "nhl", dateIso).map((game) => {
+      const snap = this.gameState(game);
+      const gameState = snap.state === "pre" ? "FUT" : (snap.state === "live" ? "LIVE" : "FINAL");
+      const team = (entry, idx, score) => ({
+        id: 10 + game.index * 2 + idx,
+        abbrev: entry[0],
+        placeName: { default: entry[1] },
+        name: { default: entry[2] },
+        score: snap.state === "pre" ? undefined : score,
+        sog: snap.state === "pre" ? undefined : score * 5 + Math.round(snap.period * 6 + snap.fraction * 4)
+      });
+      return {
+        id: game.numericId,
+        startTimeUTC: new Date(game.startMs).toISOString(),
+        gameDate: dateIso,
+        gameState,
+        periodDescriptor: snap.state === "pre" ? {} : { number: snap.period, periodType: "REG" },
+        clock: snap.state === "live" ? { timeRemaining: clockText((1 - snap.fraction) * 20 * 60), running: true, inIntermission: false } : undefined,
+        awayTeam: team(game.away, 0, snap.awayScore),
+        homeTeam: team(game.home, 1, snap.homeScore)
+      };
+    });
+    return { focusedDate: dateIso, gamesByDate: [{ date: dateIso, games }] };
+  }
+
+  nhlStatsRest(searchParams) {
+    const match = String(searchParams.get("cayenneExp") || "").match(/(\d{4}-\d{2}-\d{2})/);
+    const dateIso = match ? match[1] : this.todayIso();
+    const data = this.slate("nhl", "nhl", dateIso).map((game) => {
+      const snap = this.gameState(game);
+      return {
+        gameId: game.numericId,
+        gameDate: dateIso,
+        startTimeUTC: new Date(game.startMs).toISOString(),
+        gameState: snap.state === "pre" ? "FUT" : (snap.state === "live" ? "LIVE" : "FINAL"),
+        period: snap.period || undefined,
+        periodType: "REG",
+        gameClock: snap.state === "live" ? clockText((1 - snap.fraction) * 20 * 60) : undefined,
+        awayTeamAbbrev: game.away[0],
+        awayTeamPlaceName: game.away[1],
+        awayTeamCommonName: game.away[2],
+        awayTeamScore: snap.state === "pre" ? undefined : snap.awayScore,
+        homeTeamAbbrev: game.home[0],
+        homeTeamPlaceName: game.home[1],
+        homeTeamCommonName: game.home[2],
+        homeTeamScore: snap.state === "pre" ? undefined : snap.homeScore
+      };
+    });
+    return { data, total: data.length };
+  }
+
+  // ---------- ESPN site API ----------
+  espnScoreboard(sportPath, leaguePath, searchParams) {
+    const sport = sportPath === "hockey" ? "hockey" : (SPORTS[sportPath] ? sportPath : "basketball");
+    const dateIso = compactToIso(searchParams.get("dates")) || this.todayIso();
+    const leagueKey = `${sportPath}-${leaguePath}`;
+    const events = this.slate(sport, leagueKey, dateIso).map((game) => {
+      const snap = this.gameState(game);
+      const periodSeconds = (SPORTS[sport].durationMin / SPORTS[sport].periods) * 60;
+      let shortDetail = "Scheduled";
+      let displayClock = "0:00";
+      if (snap.state === "final") shortDetail = "Final";
+      else if (snap.state === "live") {
+        if (sport === "soccer") {
+          const minute = Math.min(90, Math.floor(game.progress * 90) + 1);
+          displayClock = `${minute}'`;
+          shortDetail = displayClock;
+        } else {
+          displayClock = clockText((1 - snap.fraction) * periodSeconds);
+          shortDetail = sport === "football" || sport === "basketball"
+            ? `Q${snap.period} ${displayClock}`
+            : `${ordinal(snap.period)} ${displayClock}`;
+        }
+      } else {
+        shortDetail = new Date(game.startMs).toLocaleTimeString("en-US", { hour: "numeric", minute: "2-digit", timeZone: this.options.timeZone });
+      }
+
+      const status = {
+        clock: 0,
+        displayClock,
+        period: snap.period,
+        type: {
+          state: snap.state === "pre" ? "pre" : (snap.state === "live" ? "in" : "post"),
+          completed: snap.state === "final",
+          description: snap.state === "pre" ? "Scheduled" : (snap.state === "live" ? "In Progress" : "Final"),
+          detail: shortDetail,
+          shortDetail
+        }
+      };
+      const competitor = (entry, idx, side) => {
+        const score = side === "away" ? snap.awayScore : snap.homeScore;
+        const other = side === "away" ? snap.homeScore : snap.awayScore;
+        return {
+          id: String(200 + game.index * 2 + idx),
+          homeAway: side,
+          winner: snap.state === "final" ? score > other : undefined,
+          score: snap.state === "pre" ? "" : String(score),
+          team: {
+            id: String(200 + game.index * 2 + idx),
+            abbreviation: entry[0],
+            displayName: sport === "soccer" || sport === "hockey" ? entry[1] : `${entry[1]} ${entry[2]}`,
+            shortDisplayName: entry[2],
+            location: entry[1],
+            name: entry[2]
+          },
+          records: [{ type: "total", summary: `${8 + game.index}-${4 + idx}` }],
+          linescores: snap.lines[side].map((value, period) => ({ value, period: period + 1 }))
+        };
+      };
+      const competition = {
+        id: game.id,
+        date: new Date(game.startMs).toISOString(),
+        status,
+        venue: { fullName: `${game.home[1]} Arena` },
+        competitors: [competitor(game.home, 1, "home"), competitor(game.away, 0, "away")]
+      };
+      if (sport === "football" && snap.state === "live") {
+        competition.situation = { possession: String(200 + game.index * 2 + (snap.period % 2)) };
+      }
+      return { id: game.id, uid: `s:mock~e:${game.id}`, date: competition.date, name: `${game.away[2]} at ${game.home[2]}`, status, competitions: [competition] };
+    });
+    const body = { leagues: [{ slug: leaguePath }], events };
+    if (sport === "football") body.week = { number: 7, teamsOnBye: [] };
+    return body;
+  }
+
+  // ---------- routing ----------
+  route(url) {
+    const pathname = url.pathname;
+    const params = url.searchParams;
+    let match;
+    if (pathname === "/api/v1/schedule/games") return { status: 200, body: this.mlbSchedule(params) };
+    if ((match = pathname.match(/^\/v1\/scoreboard\/(now|\d{4}-\d{2}-\d{2})$/))) {
+      return { status: 200, body: this.nhlScoreboard(match[1] === "now" ? this.todayIso() : match[1]) };
+    }
+    if (pathname === "/stats/rest/en/schedule") return { status: 200, body: this.nhlStatsRest(params) };
+    if ((match = pathname.match(/^\/apis\/site\/v2\/sports\/([^/]+)\/([^/]+)\/scoreboard$/))) {
+      return { status: 200, body: this.espnScoreboard(match[1], match[2], params) };
+    }
+    // statsapi.web.nhl.com was retired, so the legacy schedule always 404s.
+    return { status: 404, body: { error: "Not found", path: pathname } };
+  }
+
+  matchingFault(pathname, type) {
+    for (let i = 0; i < this.faults.length; i += 1) {
+      const fault = this.faults[i];
+      if (fault.type !== type || !pathname.includes(fault.match || "")) continue;
+      if (Number.isFinite(fault.times)) {
+        if (fault.times <= 0) continue;
+        fault.times -= 1;
+      }
+      return fault;
+    }
+    return null;
+  }
+
+  admin(url) {
+    const action = url.pathname.replace("/__mock/", "");
+    const params = url.searchParams;
+    const times = params.has("times") ? Number(params.get("times")) : undefined;
+    if (action === "reset") this.faults = [];
+    else if (action === "fail") this.faults.push({ type: "fail", match: params.get("match") || "", status: Number(params.get("status")) || 503, times });
+    else if (action === "slow") this.faults.push({ type: "slow", match: params.get("match") || "", ms: Number(params.get("ms")) || 20000, times });
+    else if (action === "redirect" || action === "drop") this.faults.push({ type: action, match: params.get("match") || "", times });
+    else if (action !== "state") return { status: 404, body: { error: `Unknown mock action ${action}` } };
+    return { status: 200, body: { startedAt: new Date(this.startedAt).toISOString(), options: this.options, faults: this.faults, requests: this.requests.length } };
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, "http://mock.local");
+    const send = (reply) => {
+      res.writeHead(reply.status, Object.assign({ "content-type": "application/json", "cache-control": "no-cache" }, reply.headers || {}));
+      res.end(JSON.stringify(reply.body));
+    };
+
+    if (url.pathname.startsWith("/__mock/")) {
+      send(this.admin(url));
+      return;
+    }
+
+    this.requests.push({ at: new Date().toISOString(), path: req.url });
+    const slow = this.matchingFault(url.pathname, "slow");
+    if (slow) await new Promise((resolve) => setTimeout(resolve, slow.ms));
+    if (this.matchingFault(url.pathname, "drop")) {
+      req.socket.destroy();
+      return;
+    }
+    if (!url.searchParams.has("__redirected") && this.matchingFault(url.pathname, "redirect")) {
+      url.searchParams.set("__redirected", "1");
+      res.writeHead(302, { location: `${url.pathname}${url.search}` });
+      res.end();
+      return;
+    }
+    const fail = this.matchingFault(url.pathname, "fail");
+    if (fail) {
+      send({ status: fail.status, body: { error: `Injected failure (${fail.status})` }, headers: fail.status === 429 ? { "retry-after": "60" } : null });
+      return;
+    }
+    send(this.route(url));
+  }
+
+  listen(port = DEFAULT_PORT, host = "127.0.0.1") {
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch((error) => {
+        res.writeHead(500, { "content-type": "application/json" });
+        res.end(JSON.stringify({ error: error.message }));
+      });
+    });
+    return new Promise((resolve) => this.server.listen(port, host, () => resolve(this.server.address())));
+  }
+
+  close() {
+    return new Promise((resolve) => (this.server ? this.server.close(() => resolve()) : resolve()));
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log("Usage: node scripts/mock-sports-api.js [--port 8787] [--speed 1] [--scenario live|pre|final] [--timezone <tz>] [--fail <match>=<status>] [--slow <match>=<ms>] [--redirect <match>] [--drop <match>]");
+    return;
+  }
+
+  const mock = new MockSportsApi(options);
+  const address = await mock.listen(options.port);
+  console.log(`Mock sports API listening on http://${address.address}:${address.port} (scenario ${options.scenario}, speed ${options.speed}x).`);
+  console.log(`Set apiBaseUrl: "http://localhost:${address.port}" in the MMM-Scores config to use it.`);
+  if (mock.faults.length > 0) console.log("Injected faults:", JSON.stringify(mock.faults));
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error("❌ Mock server failed:", err);
+    process.exit(1);
+  });
+}
+
+module.exports = { MockSportsApi };
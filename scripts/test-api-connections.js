@@ -94,10 +94,30 @@ async function main() {
         "x-nhl-stats-referer": "https://www.nhl.com"
       }
     },
+    {
+      name: "PWHL HockeyTech scorebar",
+      url: "https://lscluster.hockeytech.com/feed/index.php?feed=modulekit&view=scorebar&key=446521baf8c38984&client_code=pwhl&numberofdaysback=1&numberofdaysahead=1&fmt=json&lang=en&site_id=0"
+    },
+    {
+      name: "AHL HockeyTech scorebar",
+      url: "https://lscluster.hockeytech.com/feed/index.php?feed=modulekit&view=scorebar&key=50c2cd9b5e18e390&client_code=ahl&numberofdaysback=1&numberofdaysahead=1&fmt=json&lang=en&site_id=0"
+    },
     {
       name: "NBA ESPN scoreboard",
       url: `https://site.api.espn.com/apis/site/v2/sports/basketball/nba/scoreboard?dates=${dateCompact}`
     },
+    {
+      name: "WNBA ESPN scoreboard",
+      url: `https://site.api.espn.com/apis/site/v2/sports/basketball/wnba/scoreboard?dates=${dateCompact}`
+    },
+    {
+      name: "Men's college basketball ESPN scoreboard",
+      url: `https://site.api.espn.com/apis/site/v2/sports/basketball/mens-college-basketball/scoreboard?dates=${dateCompact}&groups=50`
+    },
+    {
+      name: "Women's college basketball ESPN scoreboard",
+      url: `https://site.api.espn.com/apis/site/v2/sports/basketball/womens-college-basketball/scoreboard?dates=${dateCompact}&groups=50`
+    },
     {
       name: "NFL ESPN scoreboard (date)",
       url: `https://site.api.espn.com/apis/site/v2/sports/football/nfl/scoreboard?dates=${dateCompact}`
@@ -106,10 +126,34 @@ async function main() {
       name: "NFL ESPN scoreboard (default)",
       url: "https://site.api.espn.com/apis/site/v2/sports/football/nfl/scoreboard"
     },
+    {
+      name: "College football ESPN scoreboard",
+      url: `https://site.api.espn.com/apis/site/v2/sports/football/college-football/scoreboard?dates=${dateCompact}&groups=80`
+    },
+    {
+      name: "College football ESPN scoreboard (FCS)",
+      url: `https://site.api.espn.com/apis/site/v2/sports/football/college-football/scoreboard?dates=${dateCompact}&groups=81`
+    },
     {
       name: "World Cup ESPN scoreboard",
       url: `https://site.api.espn.com/apis/site/v2/sports/soccer/fifa.world/scoreboard?dates=${dateCompact}`
     },
+    {
+      name: "MLS ESPN scoreboard",
+      url: `https://site.api.espn.com/apis/site/v2/sports/soccer/usa.1/scoreboard?dates=${dateCompact}`
+    },
+    {
+      name: "Premier League ESPN scoreboard",
+      url: `https://site.api.espn.com/apis/site/v2/sports/soccer/eng.1/scoreboard?dates=${dateCompact}`
+    },
+    {
+      name: "Champions League ESPN scoreboard",
+      url: `https://site.api.espn.com/apis/site/v2/sports/soccer/uefa.champions/scoreboard?dates=${dateCompact}`
+    },
+    {
+      name: "NWSL ESPN scoreboard",
+      url: `https://site.api.espn.com/apis/site/v2/sports/soccer/usa.nwsl/scoreboard?dates=${dateCompact}`
+    },
     {
       name: "Olympic men's hockey ESPN scoreboard",
       url: `https://site.api.espn.com/apis/site/v2/sports/hockey/mens-olympics/scoreboard?dates=${dateCompact}`
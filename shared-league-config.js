@@ -1,10 +1,11 @@
 (function (root, factory) {
-  if (typeof module === "object" && module.exports) module.exports = factory();
-  else root.MmmScoresLeagueConfig = factory();
-}(typeof self !== "undefined" ? self : this, function () {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./shared-league-registry"));
+  else root.MmmScoresLeagueConfig = factory(root.MmmScoresLeagueRegistry);
+}(typeof self !== "undefined" ? self : this, function (LeagueRegistry) {
   "use strict";
 
-  var SUPPORTED_LEAGUES = ["mlb", "wbc", "nhl", "nfl", "nba", "worldcup", "olympic_mhockey", "olympic_whockey"];
+  // Live list owned by the registry, so registered leagues are accepted everywhere.
+  var SUPPORTED_LEAGUES = LeagueRegistry.SUPPORTED_LEAGUES;
 
   function normalizeLeagueKey(value) {
     if (value == null) return null;
@@ -34,7 +35,7 @@
     var seen = {};
     for (var k = 0; k < tokens.length; k += 1) {
       var lower = String(tokens[k]).toLowerCase();
-      if (lower === "all") return SUPPORTED_LEAGUES.slice();
+      if (lower === "all") return LeagueRegistry.listAllLeagues();
       if (SUPPORTED_LEAGUES.indexOf(lower) !== -1 && !seen[lower]) {
         normalized.push(lower);
         seen[lower] = true;
@@ -75,6 +76,48 @@
     return dateInRange(dateIso, from, cfg.hideOlympicsUntil || null);
   }
 
+  // Season windows are month-day based so they repeat every year; a window
+  // whose start is later than its end wraps across New Year.
+  function outsideMonthDayWindow(dateIso, from, until) {
+    var monthDay = String(dateIso).slice(5, 10);
+    if (from <= until) return monthDay < from || monthDay > until;
+    return monthDay < from && monthDay > until;
+  }
+
+  // Default season windows of leagues that would otherwise sit empty for
+  // months. Each can be moved with `<league>SeasonFrom`/`<league>SeasonUntil`
+  // or switched off with `hide<League>Offseason: false`.
+  var SEASON_WINDOWS = {
+    // PWHL opening weekend in late November through the Walter Cup final.
+    pwhl: ["11-15", "05-31"],
+    // AHL opening night in October through the Calder Cup final.
+    ahl: ["10-01", "06-30"],
+    // WNBA preseason in May through the Finals in October.
+    wnba: ["05-01", "10-31"],
+    // College football week zero in late August through the national championship game.
+    ncaaf: ["08-20", "01-25"],
+    // College basketball tip-off in November through the Final Four in early April.
+    ncaam: ["11-01", "04-10"],
+    ncaaw: ["11-01", "04-10"]
+  };
+
+  function isLeagueOffseason(league, dateIso, config) {
+    var cfg = config || {};
+    var season = SEASON_WINDOWS[league];
+    if (!season || !dateIso) return false;
+    if (cfg.seasonalFiltering === false) return false;
+    if (cfg["hide" + league.charAt(0).toUpperCase() + league.slice(1) + "Offseason"] === false) return false;
+    return outsideMonthDayWindow(dateIso, cfg[league + "SeasonFrom"] || season[0], cfg[league + "SeasonUntil"] || season[1]);
+  }
+
+  function isWnbaOffseason(dateIso, config) {
+    return isLeagueOffseason("wnba", dateIso, config);
+  }
+
+  function isNcaafOffseason(dateIso, config) {
+    return isLeagueOffseason("ncaaf", dateIso, config);
+  }
+
   function filterSeasonalLeagues(leagues, config, dateIso) {
     if (!Array.isArray(leagues)) return [];
     var cfg = config || {};
@@ -83,25 +126,123 @@
     var hideOlympics = hideOlympicScoreboards(todayIso, cfg);
     return leagues.filter(function (league) {
       if (hideNhl && league === "nhl") return false;
+      if (isLeagueOffseason(league, todayIso, cfg)) return false;
       if (hideOlympics && (league === "olympic_mhockey" || league === "olympic_whockey")) return false;
       return true;
     });
   }
 
+  // College boards carry hundreds of games a week. `<league>Conferences`
+  // keeps games involving a listed conference (short name such as "SEC"),
+  // `<league>Top25Only` games with a ranked team and `<league>TournamentOnly`
+  // NCAA tournament games; games of a highlighted team always stay. The
+  // helper applies this per module before a payload is sent.
+  function filterLeagueGames(league, games, config) {
+    var cfg = config || {};
+    if (!Array.isArray(games)) return games;
+    var conferences = conferenceLookup(cfg[league + "Conferences"]);
+    var top25Only = cfg[league + "Top25Only"] === true;
+    var tournamentOnly = cfg[league + "TournamentOnly"] === true;
+    if (!conferences && !top25Only && !tournamentOnly) return games;
+
+    var highlighted = highlightMatcher(league, cfg);
+    var sides = ["away", "home"];
+    return games.filter(function (game) {
+      var extras = (game && game.extras) || {};
+      var teams = (game && game.teams) || {};
+      for (var i = 0; i < sides.length; i++) {
+        var entry = teams[sides[i]] || {};
+        if (highlighted(entry.team || {})) return true;
+      }
+      if (conferences) {
+        var names = extras.conferences || {};
+        var inConference = sides.some(function (side) {
+          return !!names[side] && conferences[conferenceToken(names[side])] === true;
+        });
+        if (!inConference) return false;
+      }
+      if (top25Only) {
+        var ranks = extras.ranks || {};
+        if (ranks.away == null && ranks.home == null) return false;
+      }
+      if (tournamentOnly && !extras.tournament) return false;
+      return true;
+    });
+  }
+
+  function conferenceLookup(value) {
+    var list = Array.isArray(value) ? value : (typeof value === "string" ? value.split(",") : []);
+    var lookup = null;
+    for (var i = 0; i < list.length; i++) {
+      var token = conferenceToken(list[i]);
+      if (!token) continue;
+      if (!lookup) lookup = {};
+      lookup[token] = true;
+    }
+    return lookup;
+  }
+
+  // "Big Ten", "big-ten" and "BIGTEN" all name the same conference.
+  function conferenceToken(value) {
+    return String(value == null ? "" : value).toLowerCase().replace(/[^a-z0-9]/g, "");
+  }
+
+  // First non-empty list of the league's highlight keys, then the legacy
+  // `highlightedTeams`.
+  function highlightMatcher(league, config) {
+    var definition = LeagueRegistry.getLeague(league);
+    var keys = (definition && definition.highlightKeys) || ["highlightedTeams_" + league];
+    var value = null;
+    for (var i = 0; i < keys.length && value == null; i++) {
+      var candidate = config[keys[i]];
+      if ((Array.isArray(candidate) && candidate.length > 0) || (typeof candidate === "string" && candidate.trim() !== "")) value = candidate;
+    }
+    if (value == null) value = config.highlightedTeams;
+    var wanted = (Array.isArray(value) ? value : (typeof value === "string" ? [value] : [])).map(function (abbr) {
+      return String(abbr || "").toUpperCase();
+    });
+    return function (team) {
+      return wanted.indexOf(String(team.abbreviation || "").toUpperCase()) !== -1;
+    };
+  }
+
+  // `soccerLeagues` adds ESPN soccer slugs as leagues, e.g.
+  // { laliga: "esp.1" } or { laliga: { slug: "esp.1", header: "La Liga" } }.
+  function registerConfiguredLeagues(config) {
+    var leagues = config && config.soccerLeagues;
+    if (!leagues || typeof leagues !== "object") return;
+    Object.keys(leagues).forEach(function (key) {
+      var entry = leagues[key];
+      var options = (entry && typeof entry === "object") ? entry : { slug: entry };
+      try {
+        LeagueRegistry.registerSoccerLeague(key, options.slug, options);
+      } catch (err) {
+        if (typeof console !== "undefined") console.warn("MMM-Scores: " + err.message);
+      }
+    });
+  }
+
   function resolveConfiguredLeagues(config, dateIso) {
     var cfg = config || {};
+    registerConfiguredLeagues(cfg);
     var source = (typeof cfg.leagues !== "undefined") ? cfg.leagues : cfg.league;
     return filterSeasonalLeagues(expandMlbLeagueFamily(coerceLeagueArray(source)), cfg, dateIso);
   }
 
   return {
     SUPPORTED_LEAGUES: SUPPORTED_LEAGUES,
+    registry: LeagueRegistry,
     normalizeLeagueKey: normalizeLeagueKey,
     coerceLeagueArray: coerceLeagueArray,
     expandMlbLeagueFamily: expandMlbLeagueFamily,
     isNhlBreakWindow: isNhlBreakWindow,
     hideOlympicScoreboards: hideOlympicScoreboards,
+    isLeagueOffseason: isLeagueOffseason,
+    isWnbaOffseason: isWnbaOffseason,
+    isNcaafOffseason: isNcaafOffseason,
     filterSeasonalLeagues: filterSeasonalLeagues,
+    filterLeagueGames: filterLeagueGames,
+    registerConfiguredLeagues: registerConfiguredLeagues,
     resolveConfiguredLeagues: resolveConfiguredLeagues
   };
 }));
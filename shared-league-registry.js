@@ -0,0 +1,478 @@
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.MmmScoresLeagueRegistry = factory();
+}(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  // Each league declares how the helper fetches and normalizes it and how the
+  // front-end renders it. Fetchers and normalizers name node_helper methods,
+  // renderers name MMM-Scores methods; any of them may instead be a function,
+  // which is invoked with the helper or module instance as `this`.
+  // A normalizer receives one raw provider game and the league key and returns
+  // the normalized game documented in node_helper.js, or null to drop it.
+  // `scoring` tells the front-end how to name score changes: "runs", "goals",
+  // "football" (touchdowns, field goals, ...) or plain "points".
+  // `periods` is the number of regulation periods on basketball cards: four
+  // quarters unless set to 2 for halves.
+  // `espnPath` is the sport/league segment of ESPN's site API for leagues
+  // fetched from its scoreboard, e.g. "basketball/nba", and `espnQuery` adds
+  // fixed scoreboard parameters such as the college division group.
+  // `espnGroups` lists ESPN groups fetched as separate scoreboard requests
+  // and merged, for leagues spread over several divisions.
+  // `styleAs` names a league whose card and matrix styles this league borrows
+  // on top of its own `league-<key>` class.
+  // `conferences` maps ESPN conference (group) ids to the short names used by
+  // the conference filters of college leagues.
+  // `hockeyTech` holds the client code and public feed key of leagues served
+  // by HockeyTech's scorebar, and `abbreviations` maps that feed's team
+  // nicknames to the abbreviations shown on cards and matched by highlights.
+  var PRO_LAYOUT = { columns: 4, rows: 4, compact: true };
+  var MLB_LAYOUT = { columns: 2, rows: 4, maxColumns: 2, maxGamesPerPage: 8, compact: false };
+
+  var MLB_LOGO_FILE_ALIASES = {
+    "AUS": "Australia",
+    "BRA": "Brazil",
+    "CAN": "Canada",
+    "CUB": "Cuba",
+    "CZE": "Czech Republic",
+    "DOM": "Dominican Republic",
+    "GBR": "Great Britain",
+    "ISR": "Israel",
+    "ITA": "Italy",
+    "JPN": "Japan",
+    "KOR": "South Korea",
+    "MEX": "Mexico",
+    "NCA": "Nicaragua",
+    "NED": "Kingdom of the Netherlands",
+    "PAN": "Panama",
+    "PUR": "Puerto Rico",
+    "TPE": "Chinese Taipei",
+    "TWN": "Chinese Taipei",
+    "USA": "United States",
+    "VEN": "Venezuela"
+  };
+
+  // Providers are tried in order by the helper's failover engine; fetchers
+  // name node_helper methods that take a provider request.
+  var MLB_PROVIDERS = [{ name: "mlb_statsapi", fetcher: "_fetchMlbStatsApiProvider" }];
+
+  function olympicProviders(espnName) {
+    return [
+      { name: espnName, fetcher: "_fetchOlympicEspnProvider" },
+      { name: "olympics_com", fetcher: "_fetchOlympicsComFallback" },
+      { name: "iihf", fetcher: "_fetchIihfFallback" },
+      { name: "thesportsdb", fetcher: "_fetchTheSportsDbFallback" },
+      { name: "wikipedia", fetcher: "_fetchWikipediaFinalsFallback" },
+      { name: "espn_results_page", fetcher: "_fetchOlympicResultsPageProvider" }
+    ];
+  }
+
+  // ESPN conference ids on the men's and women's college basketball scoreboards.
+  var COLLEGE_BASKETBALL_CONFERENCES = {
+    "1": "America East",
+    "2": "ACC",
+    "3": "A-10",
+    "4": "Big East",
+    "5": "Big Sky",
+    "6": "Big South",
+    "7": "Big Ten",
+    "8": "Big 12",
+    "9": "Big West",
+    "10": "CAA",
+    "11": "C-USA",
+    "12": "Ivy",
+    "13": "MAAC",
+    "14": "MAC",
+    "16": "MEAC",
+    "18": "MVC",
+    "19": "NEC",
+    "20": "OVC",
+    "21": "Pac-12",
+    "22": "Patriot",
+    "23": "SEC",
+    "24": "SoCon",
+    "25": "Southland",
+    "26": "SWAC",
+    "27": "Sun Belt",
+    "29": "WCC",
+    "30": "WAC",
+    "44": "Mountain West",
+    "45": "Horizon",
+    "46": "ASUN",
+    "49": "Summit",
+    "62": "American"
+  };
+
+  // Men's college basketball plays two halves, the women's game four quarters.
+  // Both boards show Division I (group 50).
+  function collegeBasketballLeague(key, header, slug, periods) {
+    return {
+      header: header,
+      fetcher: "_fetchNbaGames",
+      normalizer: "_normalizeEspnGame",
+      renderer: "_createNbaGameCard",
+      abbreviationStyle: "espn",
+      logo: { folder: key, caseStyle: "upper" },
+      layout: PRO_LAYOUT,
+      styleAs: "nba",
+      scoring: "points",
+      periods: periods,
+      highlightKeys: ["highlightedTeams_" + key],
+      espnPath: "basketball/" + slug,
+      espnQuery: { groups: "50", limit: "400" },
+      conferences: COLLEGE_BASKETBALL_CONFERENCES,
+      providers: [{ name: "espn", fetcher: "_fetchNbaEspnProvider" }]
+    };
+  }
+
+  var PWHL_ABBREVIATIONS = {
+    "Fleet": "BOS",
+    "Frost": "MIN",
+    "Victoire": "MTL",
+    "Sirens": "NY",
+    "Charge": "OTT",
+    "Sceptres": "TOR",
+    "Torrent": "SEA",
+    "Goldeneyes": "VAN"
+  };
+
+  var AHL_ABBREVIATIONS = {
+    "Islanders": "BRI",
+    "Checkers": "CLT",
+    "Wolf Pack": "HFD",
+    "Bears": "HER",
+    "Phantoms": "LV",
+    "Bruins": "PRO",
+    "Thunderbirds": "SPR",
+    "Penguins": "WBS",
+    "Senators": "BEL",
+    "Monsters": "CLE",
+    "Rocket": "LAV",
+    "Americans": "ROC",
+    "Crunch": "SYR",
+    "Marlies": "TOR",
+    "Comets": "UTI",
+    "Wolves": "CHI",
+    "Griffins": "GR",
+    "Wild": "IA",
+    "Moose": "MB",
+    "Admirals": "MIL",
+    "IceHogs": "RFD",
+    "Stars": "TEX",
+    "Canucks": "ABB",
+    "Condors": "BAK",
+    "Wranglers": "CGY",
+    "Firebirds": "CV",
+    "Eagles": "COL",
+    "Silver Knights": "HSK",
+    "Reign": "ONT",
+    "Gulls": "SD",
+    "Barracuda": "SJ",
+    "Roadrunners": "TUC"
+  };
+
+  // PWHL and AHL games come from HockeyTech and are normalized into NHL
+  // games, so they share the NHL card, shots on goal and OT/SO labels.
+  function hockeyTechLeague(key, header, clientCode, feedKey, abbreviations) {
+    return {
+      header: header,
+      fetcher: "_fetchHockeyTechGames",
+      normalizer: "_normalizeNhlGame",
+      renderer: "_createNhlGameCard",
+      abbreviationStyle: "nhl",
+      logo: { folder: key, caseStyle: "upper" },
+      layout: PRO_LAYOUT,
+      styleAs: "nhl",
+      scoring: "goals",
+      highlightKeys: ["highlightedTeams_" + key],
+      hockeyTech: { clientCode: clientCode, key: feedKey },
+      abbreviations: abbreviations,
+      providers: [{ name: "hockeytech", fetcher: "_fetchHockeyTechProvider" }]
+    };
+  }
+
+  // Club soccer leagues differ only in their ESPN slug; each gets its own
+  // logo folder and highlight list named after the league key.
+  function soccerLeague(key, header, slug) {
+    return {
+      header: header,
+      fetcher: "_fetchSoccerGames",
+      normalizer: "_normalizeEspnGame",
+      renderer: "_createNhlGameCard",
+      abbreviationStyle: "espn",
+      logo: { folder: key, caseStyle: "upper" },
+      layout: PRO_LAYOUT,
+      styleAs: "worldcup",
+      scoring: "goals",
+      highlightKeys: ["highlightedTeams_" + key],
+      espnPath: "soccer/" + slug,
+      providers: [{ name: "espn", fetcher: "_fetchSoccerEspnProvider" }]
+    };
+  }
+
+  var BUILT_IN_LEAGUES = [
+    ["mlb", {
+      header: "MLB Scoreboard",
+      fetcher: "_fetchMlbGames",
+      normalizer: "_normalizeMlbGame",
+      renderer: "_createMlbGameCard",
+      abbreviationStyle: "mlb",
+      logo: { folder: "mlb", caseStyle: "preserve", aliases: MLB_LOGO_FILE_ALIASES },
+      layout: MLB_LAYOUT,
+      scoring: "runs",
+      highlightKeys: ["highlightedTeams_mlb"],
+      providers: MLB_PROVIDERS
+    }],
+    ["wbc", {
+      header: "WBC Scoreboard",
+      // WBC games arrive with the MLB fetch and are split out by the helper.
+      fetchAs: "mlb",
+      fetcher: "_fetchMlbGames",
+      normalizer: "_normalizeMlbGame",
+      renderer: "_createMlbGameCard",
+      abbreviationStyle: "mlb",
+      logo: { folder: "mlb", caseStyle: "preserve", aliases: MLB_LOGO_FILE_ALIASES },
+      layout: MLB_LAYOUT,
+      scoring: "runs",
+      highlightKeys: ["highlightedTeams_mlb"],
+      providers: MLB_PROVIDERS
+    }],
+    ["nhl", {
+      header: "NHL Scoreboard",
+      fetcher: "_fetchNhlGames",
+      normalizer: "_normalizeNhlGame",
+      renderer: "_createNhlGameCard",
+      abbreviationStyle: "nhl",
+      logo: { folder: "nhl", caseStyle: "upper" },
+      layout: PRO_LAYOUT,
+      scoring: "goals",
+      highlightKeys: ["highlightedTeams_nhl"],
+      providers: [
+        { name: "nhl_stats_api", fetcher: "_fetchNhlStatsApiProvider" },
+        { name: "nhl_scoreboard", fetcher: "_fetchNhlScoreboardProvider" },
+        { name: "nhl_stats_rest", fetcher: "_fetchNhlStatsRestProvider" }
+      ]
+    }],
+    ["pwhl", hockeyTechLeague("pwhl", "PWHL Scoreboard", "pwhl", "446521baf8c38984", PWHL_ABBREVIATIONS)],
+    ["ahl", hockeyTechLeague("ahl", "AHL Scoreboard", "ahl", "50c2cd9b5e18e390", AHL_ABBREVIATIONS)],
+    ["nfl", {
+      header: "NFL Scoreboard",
+      fetcher: "_fetchNflGames",
+      normalizer: "_normalizeEspnGame",
+      renderer: "_createNflGameCard",
+      abbreviationStyle: "nfl",
+      logo: { folder: "nfl", caseStyle: "lower" },
+      layout: PRO_LAYOUT,
+      scoring: "football",
+      highlightKeys: ["highlightedTeams_nfl"],
+      providers: [{ name: "espn", fetcher: "_fetchNflEspnProvider" }]
+    }],
+    ["ncaaf", {
+      header: "College Football Scoreboard",
+      fetcher: "_fetchNcaafGames",
+      normalizer: "_normalizeEspnGame",
+      renderer: "_createNflGameCard",
+      abbreviationStyle: "espn",
+      logo: { folder: "ncaaf", caseStyle: "upper" },
+      layout: PRO_LAYOUT,
+      styleAs: "nfl",
+      scoring: "football",
+      highlightKeys: ["highlightedTeams_ncaaf"],
+      espnPath: "football/college-football",
+      espnQuery: { limit: "300" },
+      // FBS (80) and FCS (81).
+      espnGroups: ["80", "81"],
+      conferences: {
+        "1": "ACC",
+        "4": "Big 12",
+        "5": "Big Ten",
+        "8": "SEC",
+        "9": "Pac-12",
+        "12": "C-USA",
+        "15": "MAC",
+        "17": "Mountain West",
+        "18": "Independent",
+        "20": "Big Sky",
+        "21": "MVFC",
+        "22": "Ivy",
+        "24": "MEAC",
+        "25": "NEC",
+        "26": "OVC",
+        "27": "Patriot",
+        "28": "Pioneer",
+        "29": "Southern",
+        "30": "Southland",
+        "31": "SWAC",
+        "37": "Sun Belt",
+        "48": "CAA",
+        "151": "American"
+      },
+      providers: [{ name: "espn", fetcher: "_fetchNcaafEspnProvider" }]
+    }],
+    ["nba", {
+      header: "NBA Scoreboard",
+      fetcher: "_fetchNbaGames",
+      normalizer: "_normalizeEspnGame",
+      renderer: "_createNbaGameCard",
+      abbreviationStyle: "nba",
+      logo: { folder: "nba", caseStyle: "upper" },
+      layout: PRO_LAYOUT,
+      scoring: "points",
+      highlightKeys: ["highlightedTeams_nba"],
+      espnPath: "basketball/nba",
+      providers: [{ name: "espn", fetcher: "_fetchNbaEspnProvider" }]
+    }],
+    ["wnba", {
+      header: "WNBA Scoreboard",
+      // Same ESPN basketball scoreboard and card as the NBA.
+      fetcher: "_fetchNbaGames",
+      normalizer: "_normalizeEspnGame",
+      renderer: "_createNbaGameCard",
+      abbreviationStyle: "espn",
+      logo: { folder: "wnba", caseStyle: "upper" },
+      layout: PRO_LAYOUT,
+      styleAs: "nba",
+      scoring: "points",
+      highlightKeys: ["highlightedTeams_wnba"],
+      espnPath: "basketball/wnba",
+      providers: [{ name: "espn", fetcher: "_fetchNbaEspnProvider" }]
+    }],
+    ["ncaam", collegeBasketballLeague("ncaam", "Men's College Basketball Scoreboard", "mens-college-basketball", 2)],
+    ["ncaaw", collegeBasketballLeague("ncaaw", "Women's College Basketball Scoreboard", "womens-college-basketball", 4)],
+    ["worldcup", {
+      header: "World Cup Scoreboard",
+      fetcher: "_fetchWorldCupGames",
+      normalizer: "_normalizeEspnGame",
+      renderer: "_createNhlGameCard",
+      abbreviationStyle: "country",
+      logo: { folder: "oly", caseStyle: "upper" },
+      layout: PRO_LAYOUT,
+      scoring: "goals",
+      highlightKeys: ["highlightedTeams_worldcup"],
+      espnPath: "soccer/fifa.world",
+      providers: [{ name: "espn", fetcher: "_fetchWorldCupEspnProvider" }]
+    }],
+    ["mls", soccerLeague("mls", "MLS Scoreboard", "usa.1")],
+    ["epl", soccerLeague("epl", "Premier League Scoreboard", "eng.1")],
+    ["ucl", soccerLeague("ucl", "Champions League Scoreboard", "uefa.champions")],
+    ["nwsl", soccerLeague("nwsl", "NWSL Scoreboard", "usa.nwsl")],
+    ["olympic_mhockey", {
+      header: "Men's Olympic Hockey Scoreboard",
+      fetcher: "_fetchOlympicHockeyGames",
+      normalizer: "_normalizeOlympicGame",
+      renderer: "_createNhlGameCard",
+      abbreviationStyle: "country",
+      logo: { folder: "oly", caseStyle: "upper" },
+      layout: PRO_LAYOUT,
+      scoring: "goals",
+      highlightKeys: ["highlightedTeams_olympic_mhockey", "highlightedTeams_oly_mhockey"],
+      providers: olympicProviders("espn_mens_olympics")
+    }],
+    ["olympic_whockey", {
+      header: "Women's Olympic Hockey Scoreboard",
+      fetcher: "_fetchOlympicHockeyGames",
+      normalizer: "_normalizeOlympicGame",
+      renderer: "_createNhlGameCard",
+      abbreviationStyle: "country",
+      logo: { folder: "oly", caseStyle: "upper" },
+      layout: PRO_LAYOUT,
+      scoring: "goals",
+      highlightKeys: ["highlightedTeams_olympic_whockey", "highlightedTeams_oly_whockey"],
+      providers: olympicProviders("espn_womens_olympics")
+    }]
+  ];
+
+  var LEAGUE_KEYS = [];
+  var LEAGUES = {};
+
+  // `league: "all"` expands to this fixed set of boards. Leagues added later,
+  // built in or registered, are shown only when listed by key, so an existing
+  // "all" config does not grow with every new league.
+  var ALL_LEAGUE_KEYS = ["mlb", "wbc", "nhl", "nfl", "nba", "worldcup", "olympic_mhockey", "olympic_whockey"];
+
+  function normalizeKey(value) {
+    if (value == null) return null;
+    var str = String(value).trim().toLowerCase();
+    return str ? str : null;
+  }
+
+  function registerLeague(key, definition) {
+    var leagueKey = normalizeKey(key);
+    if (!leagueKey || leagueKey === "all" || /[\s,]/.test(leagueKey)) {
+      throw new Error("Invalid league key: " + key);
+    }
+
+    var def = definition || {};
+    var entry = {
+      key: leagueKey,
+      header: def.header || (leagueKey.toUpperCase() + " Scoreboard"),
+      fetchAs: normalizeKey(def.fetchAs) || leagueKey,
+      fetcher: def.fetcher || null,
+      normalizer: def.normalizer || null,
+      renderer: def.renderer || null,
+      abbreviationStyle: def.abbreviationStyle || null,
+      logo: def.logo || { folder: leagueKey, caseStyle: "upper" },
+      layout: def.layout || PRO_LAYOUT,
+      scoring: def.scoring || "points",
+      highlightKeys: Array.isArray(def.highlightKeys) && def.highlightKeys.length > 0
+        ? def.highlightKeys.slice()
+        : ["highlightedTeams_" + leagueKey],
+      providers: Array.isArray(def.providers) ? def.providers.slice() : []
+    };
+
+    Object.keys(def).forEach(function (prop) {
+      if (!Object.prototype.hasOwnProperty.call(entry, prop)) entry[prop] = def[prop];
+    });
+
+    if (!Object.prototype.hasOwnProperty.call(LEAGUES, leagueKey)) LEAGUE_KEYS.push(leagueKey);
+    LEAGUES[leagueKey] = entry;
+    return entry;
+  }
+
+  // Registers a club soccer league for any ESPN soccer slug (e.g. "esp.1").
+  // Built-in and previously registered keys are left alone.
+  function registerSoccerLeague(key, slug, options) {
+    var leagueKey = normalizeKey(key);
+    var soccerSlug = String(slug || "").trim();
+    if (!leagueKey || !soccerSlug) throw new Error("Invalid soccer league: " + key);
+    if (Object.prototype.hasOwnProperty.call(LEAGUES, leagueKey)) return LEAGUES[leagueKey];
+    var opts = options || {};
+    var definition = soccerLeague(leagueKey, opts.header || (leagueKey.toUpperCase() + " Scoreboard"), soccerSlug);
+    if (opts.logoFolder) definition.logo = { folder: opts.logoFolder, caseStyle: "upper" };
+    return registerLeague(leagueKey, definition);
+  }
+
+  function getLeague(key) {
+    var leagueKey = normalizeKey(key);
+    if (!leagueKey || !Object.prototype.hasOwnProperty.call(LEAGUES, leagueKey)) return null;
+    return LEAGUES[leagueKey];
+  }
+
+  function hasLeague(key) {
+    return getLeague(key) !== null;
+  }
+
+  function listLeagues() {
+    return LEAGUE_KEYS.slice();
+  }
+
+  function listAllLeagues() {
+    return ALL_LEAGUE_KEYS.filter(hasLeague);
+  }
+
+  for (var i = 0; i < BUILT_IN_LEAGUES.length; i += 1) {
+    registerLeague(BUILT_IN_LEAGUES[i][0], BUILT_IN_LEAGUES[i][1]);
+  }
+
+  return {
+    // Live list: leagues registered later are appended in place.
+    SUPPORTED_LEAGUES: LEAGUE_KEYS,
+    ALL_LEAGUES: ALL_LEAGUE_KEYS,
+    registerLeague: registerLeague,
+    registerSoccerLeague: registerSoccerLeague,
+    getLeague: getLeague,
+    hasLeague: hasLeague,
+    listLeagues: listLeagues,
+    listAllLeagues: listAllLeagues
+  };
+}));
@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Module = require('node:module');
+const http = require('node:http');
+const registry = require('../shared-league-registry');
+
+const originalLoad = Module._load;
+Module._load = function(request, parent, isMain) {
+  if (request === 'node_helper') {
+    return {
+      create(definition) {
+        return definition;
+      }
+    };
+  }
+  return originalLoad.apply(this, arguments);
+};
+
+let helperDefinition;
+try {
+  helperDefinition = require('../node_helper');
+} finally {
+  Module._load = originalLoad;
+}
+
+function createHelper(config = {}) {
+  const helper = Object.assign(Object.create(helperDefinition), {
+    sent: [],
+    sendSocketNotification(notification, payload) {
+      this.sent.push({ notification, payload });
+    }
+  });
+  const log = console.log;
+  console.log = () => {};
+  try {
+    helper.start();
+  } finally {
+    console.log = log;
+  }
+  helper.config = config;
+  return helper;
+}
+
+async function withServer(responder, fn) {
+  const warn = console.warn;
+  const info = console.info;
+  const error = console.error;
+  const calls = [];
+  const server = http.createServer((req, res) => {
+    calls.push(req.url);
+    const reply = responder(req.url, calls.length);
+    res.writeHead(reply.status, reply.headers || { 'content-type': 'application/json' });
+    res.end(reply.body || '{}');
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  console.warn = () => {};
+  console.info = () => {};
+  console.error = () => {};
+  try {
+    await fn(base, calls);
+  } finally {
+    console.warn = warn;
+    console.info = info;
+    console.error = error;
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+const failing = () => ({ status: 503 });
+const healthy = () => ({ status: 200, body: '{"ok":true}' });
+
+test('circuit opens after repeated failures and closes after a successful half-open probe', async () => {
+  const helper = createHelper({ circuitBreakerThreshold: 2 });
+  let up = false;
+  await withServer(() => (up ? healthy() : failing()), async (base, calls) => {
+    const url = `${base}/scores?date=1`;
+    const endpoint = `${base.slice('http://'.length)}/scores`;
+    await assert.rejects(() => helper._fetchJson(url), /HTTP 503/);
+    await assert.rejects(() => helper._fetchJson(url), /HTTP 503/);
+
+    const breaker = helper._circuitBreakers.get(endpoint);
+    assert.equal(breaker.state, 'open');
+    assert.ok(breaker.openUntil - Date.now() >= 45 * 1000);
+
+    await assert.rejects(() => helper._fetchJson(`${base}/scores?date=2`), (err) => err.code === 'ECIRCUITOPEN');
+    assert.equal(calls.length, 2);
+
+    breaker.openUntil = Date.now() - 1;
+    up = true;
+    assert.deepEqual(await helper._fetchJson(url), { ok: true });
+    assert.equal(breaker.state, 'closed');
+    assert.equal(breaker.failures, 0);
+  });
+});
+
+test('rate limiting opens the circuit at once and honours Retry-After', async () => {
+  const helper = createHelper();
+  await withServer(() => ({ status: 429, headers: { 'retry-after': '600' } }), async (base) => {
+    await assert.rejects(() => helper._fetchJson(`${base}/api`), /HTTP 429/);
+    const breaker = helper._circuitBreakers.get(`${base.slice('http://'.length)}/api`);
+    assert.equal(breaker.state, 'open');
+    assert.ok(breaker.openUntil - Date.now() > 590 * 1000);
+  });
+});
+
+test('open circuits are reported in the league payload', async () => {
+  const helper = createHelper({ circuitBreakerThreshold: 1 });
+  helper.leagues = ['breakerball'];
+  await withServer(failing, async (base) => {
+    registry.registerLeague('breakerball', {
+      fetcher() {
+        return this._fetchJson(`${base}/board`).then((json) => this._notifyLeagueGames('breakerball', json.games));
+      }
+    });
+    await helper._fetchGames();
+  });
+
+  const payload = helper.sent[0].payload;
+  assert.equal(payload.league, 'breakerball');
+  assert.equal(payload.circuitBreakers.length, 1);
+  assert.match(payload.circuitBreakers[0].endpoint, /^127\.0\.0\.1:\d+\/board$/);
+  assert.equal(payload.circuitBreakers[0].state, 'open');
+  assert.ok(payload.circuitBreakers[0].retryAt);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const leagueConfig = require('../shared-league-config.js');
+const { createModule } = require('./helpers/front-end');
+
+function game(id, away, home, extras = {}) {
+  return {
+    id,
+    status: { state: 'pre' },
+    teams: {
+      away: { team: { abbreviation: away } },
+      home: { team: { abbreviation: home } }
+    },
+    extras
+  };
+}
+
+const WEEK = [
+  game('a', 'IOWA', 'OSU', { ranks: { away: null, home: 3 }, conferences: { away: 'Big Ten', home: 'Big Ten' } }),
+  game('b', 'ARK', 'MISS', { conferences: { away: 'SEC', home: 'SEC' } }),
+  game('c', 'APP', 'ND', { ranks: { away: null, home: 12 }, conferences: { away: 'Sun Belt', home: 'Independent' } }),
+  game('d', 'BALL', 'KENT', { conferences: { away: 'MAC', home: 'MAC' } })
+];
+
+const ids = (games) => games.map((entry) => entry.id).join(',');
+const filter = (league, games, config) => leagueConfig.filterLeagueGames(league, games, config);
+
+test('college football games filter by conference and Top 25', () => {
+  assert.equal(ids(filter('ncaaf', WEEK)), 'a,b,c,d');
+  assert.equal(ids(filter('ncaaf', WEEK, { ncaafConferences: ['sec', 'BIG-TEN'] })), 'a,b');
+  assert.equal(ids(filter('ncaaf', WEEK, { ncaafConferences: 'Sun Belt' })), 'c');
+  assert.equal(ids(filter('ncaaf', WEEK, { ncaafTop25Only: true })), 'a,c');
+  assert.equal(ids(filter('ncaaf', WEEK, { ncaafConferences: ['SEC', 'Big Ten'], ncaafTop25Only: true })), 'a');
+
+  assert.equal(ids(filter('ncaaf', WEEK, { ncaafTop25Only: true, highlightedTeams_ncaaf: ['kent'] })), 'a,c,d');
+  assert.equal(ids(filter('ncaaf', WEEK, { ncaafTop25Only: true, highlightedTeams_ncaaf: [], highlightedTeams: 'ball' })), 'a,c,d');
+  assert.equal(ids(filter('nfl', WEEK, { ncaafTop25Only: true })), 'a,b,c,d');
+});
+
+test('tournament-only boards keep NCAA tournament games', () => {
+  const day = [
+    game('e', 'ARIZ', 'DUKE', { tournament: { round: 'Sweet 16', region: 'East' } }),
+    game('f', 'PUR', 'MSU', { ranks: { away: 8, home: null } })
+  ];
+  assert.equal(ids(filter('ncaam', day, { ncaamTournamentOnly: true })), 'e');
+  assert.equal(ids(filter('ncaam', day, { ncaawTournamentOnly: true })), 'e,f');
+});
+
+test('men\'s college basketball cards count halves and label tournament games', () => {
+  const module = createModule();
+  module.getLogoUrl = () => 'logo.png';
+  module._setScoreboardStatusText = (el, text) => { el.textContent = text; };
+
+  assert.equal(module._basketballPeriodLabel(2, 'ncaam'), 'H2');
+  assert.equal(module._basketballPeriodLabel(4, 'ncaam'), '2OT');
+  assert.equal(module._basketballPeriodLabel(2, 'ncaaw'), 'Q2');
+
+  const live = game('g', 'ARIZ', 'DUKE', {
+    tournament: { round: 'Sweet 16', region: 'East' },
+    seeds: { away: 4, home: 1 },
+    ranks: { away: null, home: 2 }
+  });
+  live.status = { state: 'live', period: 1, clock: '4:21' };
+  const card = module._createNbaGameCard(live, 'ncaam');
+
+  assert.equal(card.find((el) => el.classList.contains('scoreboard-status')).textContent, 'H1 4:21');
+  const ranks = card.findAll((el) => el.classList.contains('scoreboard-team-rank')).map((el) => el.textContent);
+  assert.deepEqual(ranks, ['4', '1']);
+  assert.equal(card.find((el) => el.classList.contains('scoreboard-note')).textContent, 'East · Sweet 16');
+});
+
+test('ranked college teams show their poll position on the football card', () => {
+  const module = createModule();
+  module.getLogoUrl = () => 'logo.png';
+  module._setScoreboardStatusText = (el, text) => { el.textContent = text; };
+  module._formatNflStartTime = () => '2:30 PM';
+
+  const card = module._createNflGameCard(WEEK[0], 'ncaaf');
+  assert.ok(card.classList.contains('league-ncaaf'));
+  assert.ok(card.classList.contains('league-nfl'));
+
+  const ranks = card.findAll((el) => el.classList.contains('scoreboard-team-rank')).map((el) => el.textContent);
+  assert.deepEqual(ranks, ['3']);
+});
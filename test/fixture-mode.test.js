@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Module = require('node:module');
+const fs = require('node:fs');
+const http = require('node:http');
+const os = require('node:os');
+const path = require('node:path');
+
+const originalLoad = Module._load;
+Module._load = function(request, parent, isMain) {
+  if (request === 'node_helper') {
+    return {
+      create(definition) {
+        return definition;
+      }
+    };
+  }
+  return originalLoad.apply(this, arguments);
+};
+
+let helperDefinition;
+try {
+  helperDefinition = require('../node_helper');
+} finally {
+  Module._load = originalLoad;
+}
+
+function createHelper(config) {
+  const helper = Object.create(helperDefinition);
+  const log = console.log;
+  console.log = () => {};
+  try {
+    helper.start();
+  } finally {
+    console.log = log;
+  }
+  helper.config = config;
+  return helper;
+}
+
+test('recorded responses replay in order against the helper clock', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mmm-scores-fixtures-'));
+  const kickoff = Date.parse('2026-10-18T17:00:00Z');
+  let score = 0;
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ score }));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/nfl/scoreboard?dates=20261018`;
+
+  try {
+    const recorder = createHelper({ fixtureMode: 'record', fixturesDir: dir, timeZone: 'UTC', conditionalRequests: false });
+    recorder._now = () => kickoff;
+    await recorder._fetchJson(url);
+    await recorder._fetchJson(url);
+    score = 7;
+    recorder._now = () => kickoff + 30 * 60 * 1000;
+    await recorder._fetchJson(url);
+
+    const files = fs.readdirSync(path.join(dir, '2026-10-18'));
+    assert.equal(files.length, 1);
+    const recorded = JSON.parse(fs.readFileSync(path.join(dir, '2026-10-18', files[0]), 'utf8'));
+    assert.equal(recorded.url, url);
+    assert.equal(recorded.frames.length, 2);
+
+    score = 99;
+    const player = createHelper({ fixtureMode: 'replay', fixturesDir: dir, timeZone: 'UTC' });
+    player._now = () => kickoff + 60 * 1000;
+    assert.deepEqual(await player._fetchJson(url), { score: 0 });
+    player._now = () => kickoff + 45 * 60 * 1000;
+    assert.deepEqual(await player._fetchJson(url), { score: 7 });
+    await assert.rejects(() => player._fetchJson(`${url}&week=2`, {}, 'NFL week 2'), /NFL week 2 has no recorded fixture for 2026-10-18/);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('replay clock starts at fixtureReplayFrom and runs at fixtureReplaySpeed', () => {
+  const helper = createHelper({ fixtureMode: 'replay', fixtureReplayFrom: '2026-10-18T17:00:00Z', fixtureReplaySpeed: 60, timeZone: 'UTC' });
+  helper._fixtureState.replayWallStart = Date.now() - 1000;
+  const elapsed = helper._now() - Date.parse('2026-10-18T17:00:00Z');
+  assert.ok(elapsed >= 60 * 1000 && elapsed < 70 * 1000);
+  assert.equal(helper._todayIsoInTimeZone(), '2026-10-18');
+
+  helper.config = { timeZone: 'UTC' };
+  assert.ok(Math.abs(helper._now() - Date.now()) < 1000);
+});
@@ -0,0 +1,253 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Module = require('node:module');
+
+const { createModuleDefinition } = require('./helpers/front-end');
+
+const originalLoad = Module._load;
+Module._load = function(request, parent, isMain) {
+  if (request === 'node_helper') {
+    return {
+      create(definition) {
+        return definition;
+      }
+    };
+  }
+  return originalLoad.apply(this, arguments);
+};
+
+let helperDefinition;
+try {
+  helperDefinition = require('../node_helper');
+} finally {
+  Module._load = originalLoad;
+}
+
+function createHelper() {
+  const helper = Object.assign(Object.create(helperDefinition), {
+    sent: [],
+    sendSocketNotification(notification, payload) {
+      this.sent.push({ notification, payload });
+    }
+  });
+  const log = console.log;
+  console.log = () => {};
+  try {
+    helper.start();
+  } finally {
+    console.log = log;
+  }
+  return helper;
+}
+
+function register(helper, config) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return helper._registerInstance(Object.assign({ seasonalFiltering: false }, config));
+  } finally {
+    console.log = log;
+  }
+}
+
+test('instances keep their own config and league list', () => {
+  const helper = createHelper();
+  register(helper, { identifier: 'module_1_MMM-Scores', league: 'mlb', timeZone: 'America/Chicago' });
+  register(helper, { identifier: 'module_2_MMM-Scores', league: ['nfl', 'nba'], timeZone: 'America/Chicago' });
+
+  assert.deepEqual(helper._instances.get('module_1_MMM-Scores').leagues, ['mlb']);
+  assert.deepEqual(helper._instances.get('module_2_MMM-Scores').leagues, ['nfl', 'nba']);
+  assert.equal(helper.config, undefined);
+});
+
+test('instances in one time zone share a fetch and only receive their leagues', async () => {
+  const helper = createHelper();
+  register(helper, { identifier: 'a', league: ['nfl', 'nba'] });
+  register(helper, { identifier: 'b', league: 'nfl' });
+  register(helper, { identifier: 'c', league: 'nfl', timeZone: 'Europe/London' });
+
+  const fetched = [];
+  helper._fetchLeagueGames = async function (league) {
+    fetched.push(`${this.config.timeZone || 'default'}:${league}`);
+    this._notifyGames(league, [{ id: `${league}-1` }]);
+  };
+
+  await helper._fetchAllInstances();
+
+  assert.deepEqual(fetched.sort(), ['Europe/London:nfl', 'default:nba', 'default:nfl']);
+  const deliveries = helper.sent.map(({ payload }) => `${payload.identifier}:${payload.league}`).sort();
+  assert.deepEqual(deliveries, ['a:nba', 'a:nfl', 'b:nfl', 'c:nfl']);
+  assert.deepEqual(helper._fetchGroups.get('America/Chicago').lastGoodByLeague.nfl.games, [{ id: 'nfl-1' }]);
+});
+
+test('instances with different provider settings fetch separately with their own config', async () => {
+  const helper = createHelper();
+  register(helper, { identifier: 'a', league: 'nba', providers: { espn: { baseUrl: 'http://cache-a.local' } } });
+  register(helper, { identifier: 'b', league: 'nba', providers: { espn: { baseUrl: 'http://cache-b.local' } } });
+  register(helper, { identifier: 'c', league: 'nba', providers: { espn: { baseUrl: 'http://cache-a.local' } } });
+
+  const groups = ['a', 'b', 'c'].map((id) => helper._instances.get(id).groupKey);
+  assert.notEqual(groups[0], groups[1]);
+  assert.equal(groups[0], groups[2]);
+  assert.match(groups[0], /^America\/Chicago#[0-9a-f]{8}$/);
+  assert.equal(helper._fetchGroupKey({ providers: { espn: { headers: { b: 1, a: 2 } } } }), helper._fetchGroupKey({ providers: { espn: { headers: { a: 2, b: 1 } } } }));
+
+  const urls = [];
+  helper._fetchLeagueGames = async function (league) {
+    urls.push(this._providerFetch('espn', '/scoreboard').url);
+    this._notifyGames(league, [{ id: `${league}-1` }]);
+  };
+
+  await helper._fetchAllInstances();
+
+  assert.deepEqual(urls.sort(), ['http://cache-a.local/scoreboard', 'http://cache-b.local/scoreboard']);
+  const deliveries = helper.sent.map(({ payload }) => payload.identifier).sort();
+  assert.deepEqual(deliveries, ['a', 'b', 'c']);
+});
+
+test('provider cache answers stay within their fetch group', async () => {
+  const helper = createHelper();
+  register(helper, { identifier: 'a', league: 'nba', providers: { espn: { baseUrl: 'http://cache-a.local' } } });
+  register(helper, { identifier: 'b', league: 'nba', providers: { espn: { baseUrl: 'http://cache-b.local' } } });
+
+  const calls = [];
+  helper._runProvider = async function (provider) {
+    const baseUrl = this.config.providers.espn.baseUrl;
+    calls.push(`${provider.name} ${baseUrl}`);
+    return { games: [{ id: baseUrl }], extras: null };
+  };
+  const scope = (id) => {
+    const instance = helper._instances.get(id);
+    instance.leagues = ['nba'];
+    return helper._createFetchScope(instance.groupKey, [instance]);
+  };
+
+  const first = await scope('a')._runProviderChain('nba', { dateIso: '2026-10-18' });
+  const second = await scope('b')._runProviderChain('nba', { dateIso: '2026-10-18' });
+  const repeat = await scope('a')._runProviderChain('nba', { dateIso: '2026-10-18' });
+
+  assert.deepEqual(calls, ['espn http://cache-a.local', 'espn http://cache-b.local']);
+  assert.equal(first.providerUsed, 'espn');
+  assert.equal(second.providerUsed, 'espn');
+  assert.deepEqual(second.games, [{ id: 'http://cache-b.local' }]);
+  assert.equal(repeat.providerUsed, 'espn (cache)');
+  assert.deepEqual(repeat.games, [{ id: 'http://cache-a.local' }]);
+  helper.stop();
+});
+
+test('college filters apply per instance before delivery while the group keeps every game', async () => {
+  const helper = createHelper();
+  register(helper, { identifier: 'a', league: 'ncaaf' });
+  register(helper, { identifier: 'b', league: 'ncaaf', ncaafTop25Only: true, highlightedTeams_ncaaf: 'mont' });
+  assert.equal(helper._instances.get('a').groupKey, helper._instances.get('b').groupKey);
+
+  helper._fetchLeagueGames = async function (league) {
+    this._notifyGames(league, [
+      { id: 'ranked', teams: { away: { team: { abbreviation: 'IOWA' } }, home: { team: { abbreviation: 'OSU' } } }, extras: { ranks: { home: 3 } } },
+      { id: 'fcs', teams: { away: { team: { abbreviation: 'MONT' } }, home: { team: { abbreviation: 'UND' } } }, extras: {} },
+      { id: 'other', teams: { away: { team: { abbreviation: 'BALL' } }, home: { team: { abbreviation: 'KENT' } } }, extras: {} }
+    ]);
+  };
+
+  await helper._fetchAllInstances();
+
+  const games = (identifier) => helper.sent.filter(({ payload }) => payload.identifier === identifier).map(({ payload }) => payload.games.map((game) => game.id).join(','));
+  assert.deepEqual(games('a'), ['ranked,fcs,other']);
+  assert.deepEqual(games('b'), ['ranked,fcs']);
+  assert.equal(helper._fetchGroupState('America/Chicago').lastPayloadByLeague.ncaaf.games.length, 3);
+
+  helper.sent = [];
+  helper._replayCachedPayloads(helper._instances.get('b'));
+  assert.deepEqual(games('b'), ['ranked,fcs']);
+});
+
+test('INIT registers once, replays cached payloads and keeps a single poll schedule', async () => {
+  const helper = createHelper();
+  const fetched = [];
+  helper._fetchLeagueGames = async function (league) {
+    fetched.push(league);
+    this._notifyGames(league, [{ id: `${league}-1` }]);
+  };
+
+  const log = console.log;
+  const info = console.info;
+  console.log = () => {};
+  console.info = () => {};
+  try {
+    helper.socketNotificationReceived('INIT', { identifier: 'a', league: 'nba', seasonalFiltering: false });
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    const entry = helper._pollSchedules.get('America/Chicago|nba');
+    assert.ok(entry && entry.timer);
+
+    helper.socketNotificationReceived('INIT', { identifier: 'a', league: 'nba', seasonalFiltering: false });
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    assert.deepEqual(fetched, ['nba']);
+    assert.equal(helper._pollSchedules.size, 1);
+    assert.equal(helper._pollSchedules.get('America/Chicago|nba'), entry);
+    assert.equal(helper.sent.length, 2);
+    assert.equal(helper.sent[1].payload.replayed, true);
+    assert.deepEqual(helper.sent[1].payload.games, [{ id: 'nba-1' }]);
+  } finally {
+    console.log = log;
+    console.info = info;
+    helper.stop();
+  }
+});
+
+test('quiet modules keep alive with PING and only re-register with a helper that lost them', () => {
+  const helper = createHelper();
+  register(helper, { identifier: 'a', league: 'nba' });
+  helper.socketNotificationReceived('PING', { identifier: 'a' });
+  helper.socketNotificationReceived('PING', { identifier: 'b' });
+  assert.deepEqual(helper.sent.map(({ notification, payload }) => [notification, payload]), [
+    ['PONG', { identifier: 'a', known: true }],
+    ['PONG', { identifier: 'b', known: false }]
+  ]);
+
+  const sent = [];
+  const module = Object.assign(Object.create(createModuleDefinition()), {
+    identifier: 'a',
+    sendSocketNotification(notification) {
+      sent.push(notification);
+    },
+    _buildHelperConfig() {
+      return {};
+    }
+  });
+  module._lastHelperPayloadAt = Date.now() - 10 * 60 * 1000;
+  module.socketNotificationReceived('PONG', { identifier: 'a', known: true });
+  module._checkHelperHeartbeat(60 * 1000);
+  module.socketNotificationReceived('PONG', { identifier: 'other', known: false });
+  assert.deepEqual(sent, ['PING']);
+
+  module.socketNotificationReceived('PONG', { identifier: 'a', known: false });
+  assert.deepEqual(sent, ['PING', 'INIT']);
+
+  module._lastHelperPayloadAt = Date.now() - 10 * 60 * 1000;
+  module._checkHelperHeartbeat(60 * 1000);
+  assert.deepEqual(sent, ['PING', 'INIT', 'INIT']);
+});
+
+test('poll delay follows game state', () => {
+  const helper = createHelper();
+  const instances = [{ config: { updateIntervalScores: 60 * 1000 } }];
+  const state = helper._fetchGroupState('UTC');
+  const hours = (n) => new Date(Date.now() + n * 60 * 60 * 1000).toISOString();
+  const delayFor = (payload) => {
+    state.lastPayloadByLeague.nba = Object.assign({ league: 'nba' }, payload);
+    return helper._nextPollDelay('UTC', ['nba'], instances);
+  };
+
+  const live = delayFor({ games: [{ status: { state: 'live' } }, { status: { state: 'final' } }] });
+  assert.equal(live.delayMs, 60 * 1000);
+  assert.equal(live.reason, 'games live');
+
+  assert.equal(delayFor({ games: [{ status: { state: 'pre' }, startTimeUTC: hours(4) }] }).delayMs, 10 * 60 * 1000);
+  assert.equal(delayFor({ games: [{ status: { state: 'pre' }, startTimeUTC: hours(0.1) }] }).delayMs, 60 * 1000);
+  assert.equal(delayFor({ games: [{ status: { state: 'final' } }] }).delayMs, 30 * 60 * 1000);
+  assert.equal(delayFor({ games: [], errorMessage: 'down' }).delayMs, 60 * 1000);
+
+  instances[0].config.adaptivePolling = false;
+  assert.equal(delayFor({ games: [{ status: { state: 'final' } }] }).delayMs, 60 * 1000);
+});
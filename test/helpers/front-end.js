@@ -0,0 +1,129 @@
+// Loads MMM-Scores.js outside MagicMirror for the front-end tests. Lives
+// outside the `test/*.test.js` glob so `npm test` does not run it as a suite.
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const registry = require('../../shared-league-registry.js');
+const leagueConfig = require('../../shared-league-config.js');
+
+// Returns the definition passed to Module.register. The shared league scripts
+// sit on `window` as getScripts() puts them in the browser; `globals` adds or
+// replaces anything else the code under test reaches for.
+function createModuleDefinition(globals = {}) {
+  let definition;
+  const source = fs.readFileSync(path.join(__dirname, '..', '..', 'MMM-Scores.js'), 'utf8');
+  const context = Object.assign({
+    window: { MmmScoresLeagueRegistry: registry, MmmScoresLeagueConfig: leagueConfig },
+    document: { createElement: (tagName) => new FakeElement(tagName) },
+    setTimeout: () => 0,
+    clearTimeout: () => {},
+    Module: {
+      register(_name, moduleDefinition) {
+        definition = moduleDefinition;
+      }
+    }
+  }, globals);
+
+  vm.runInNewContext(source, context, { filename: 'MMM-Scores.js' });
+  return definition;
+}
+
+// A module instance with `config` merged over the defaults and the state
+// start() would have set up for score tracking.
+function createModule(config = {}, globals = {}) {
+  const definition = createModuleDefinition(globals);
+  const module = Object.create(definition);
+  module.config = Object.assign({}, definition.defaults, config);
+  module._scoreSnapshots = {};
+  module._scoringHighlights = {};
+  return module;
+}
+
+// Just enough of an element for the card builders: classes, children and text.
+class FakeElement {
+  constructor(tagName) {
+    this.tagName = tagName;
+    this.className = '';
+    this.children = [];
+    this.textContent = '';
+    this.style = { setProperty() {} };
+    const self = this;
+    this.classList = {
+      add(name) { if (!self.classList.contains(name)) self.className = `${self.className} ${name}`.trim(); },
+      contains(name) { return self.className.split(/\s+/).includes(name); }
+    };
+  }
+
+  appendChild(child) { this.children.push(child); return child; }
+
+  find(predicate) {
+    for (const child of this.children) {
+      if (predicate(child)) return child;
+      const nested = child.find ? child.find(predicate) : null;
+      if (nested) return nested;
+    }
+    return null;
+  }
+
+  findAll(predicate) {
+    const found = [];
+    this.find((child) => { if (predicate(child)) found.push(child); return false; });
+    return found;
+  }
+}
+
+// Just enough of the DOM for the morph: nodes, attributes and child lists.
+class FakeNode {
+  constructor(nodeType, nodeName, nodeValue = null) {
+    this.nodeType = nodeType;
+    this.nodeName = nodeName;
+    this.nodeValue = nodeValue;
+    this.childNodes = [];
+    this.parentNode = null;
+    this._attrs = new Map();
+    this.classList = {
+      contains: (name) => (this.getAttribute('class') || '').split(/\s+/).includes(name),
+      add: (name) => { if (!this.classList.contains(name)) this.setAttribute('class', `${this.getAttribute('class') || ''} ${name}`.trim()); }
+    };
+  }
+
+  get firstChild() { return this.childNodes[0] || null; }
+  get nextSibling() {
+    if (!this.parentNode) return null;
+    const siblings = this.parentNode.childNodes;
+    return siblings[siblings.indexOf(this) + 1] || null;
+  }
+  get attributes() { return Array.from(this._attrs, ([name, value]) => ({ name, value })); }
+  get textContent() { return this.nodeType === 3 ? this.nodeValue : this.childNodes.map((child) => child.textContent).join(''); }
+
+  getAttribute(name) { return this._attrs.has(name) ? this._attrs.get(name) : null; }
+  setAttribute(name, value) { this._attrs.set(name, String(value)); }
+  removeAttribute(name) { this._attrs.delete(name); }
+  hasAttribute(name) { return this._attrs.has(name); }
+
+  appendChild(node) { return this.insertBefore(node, null); }
+  insertBefore(node, ref) {
+    if (node.parentNode) node.parentNode.removeChild(node);
+    const index = ref ? this.childNodes.indexOf(ref) : this.childNodes.length;
+    this.childNodes.splice(index, 0, node);
+    node.parentNode = this;
+    return node;
+  }
+  removeChild(node) {
+    this.childNodes.splice(this.childNodes.indexOf(node), 1);
+    node.parentNode = null;
+    return node;
+  }
+  replaceChild(node, old) {
+    this.insertBefore(node, old);
+    return this.removeChild(old);
+  }
+}
+
+module.exports = {
+  createModuleDefinition,
+  createModule,
+  FakeElement,
+  FakeNode
+};
@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Module = require('node:module');
+
+const originalLoad = Module._load;
+Module._load = function(request, parent, isMain) {
+  if (request === 'node_helper') {
+    return {
+      create(definition) {
+        return definition;
+      }
+    };
+  }
+  return originalLoad.apply(this, arguments);
+};
+
+let helperDefinition;
+try {
+  helperDefinition = require('../node_helper');
+} finally {
+  Module._load = originalLoad;
+}
+
+function createHelper() {
+  const routes = new Map();
+  const helper = Object.assign(Object.create(helperDefinition), {
+    name: 'MMM-Scores',
+    expressApp: { get(pathname, handler) { routes.set(pathname, handler); } },
+    sent: [],
+    sendSocketNotification(notification, payload) {
+      this.sent.push({ notification, payload });
+    }
+  });
+  const log = console.log;
+  console.log = () => {};
+  try {
+    helper.start();
+    helper._registerInstance({ identifier: 'module_1', league: ['nfl', 'nba'], timeZone: 'America/Chicago', seasonalFiltering: false });
+  } finally {
+    console.log = log;
+  }
+  return { helper, routes };
+}
+
+function call(routes, pathname, params = {}, query = {}) {
+  const res = {
+    headers: {},
+    set(name, value) { this.headers[name] = value; return this; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  routes.get(pathname)({ params, query }, res);
+  return res;
+}
+
+test('API routes are registered under the module name and serve cached payloads', () => {
+  const { helper, routes } = createHelper();
+  assert.deepEqual([...routes.keys()], ['/MMM-Scores/api/leagues', '/MMM-Scores/api/games/:league', '/MMM-Scores/api/status']);
+
+  let res = call(routes, '/MMM-Scores/api/games/:league', { league: 'nfl' });
+  assert.equal(res.statusCode, 404);
+  assert.equal(res.headers['Cache-Control'], 'no-store');
+  assert.equal(call(routes, '/MMM-Scores/api/games/:league', { league: 'cricket' }).statusCode, 404);
+
+  const scope = helper._createFetchScope('America/Chicago', [helper._instances.get('module_1')]);
+  scope._notifyGames('nfl', [{ id: 'nfl-1' }], { providerUsed: 'espn', providerDiagnostics: { providerUsed: 'espn', attempts: [] } });
+  scope._notifyGames('nba', [], { isStale: true, fallbackUsed: true, lastUpdatedAt: '2026-10-18T23:00:00.000Z' });
+
+  res = call(routes, '/MMM-Scores/api/games/:league', { league: 'NFL' });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.timeZone, 'America/Chicago');
+  assert.deepEqual(res.body.games, [{ id: 'nfl-1' }]);
+  assert.equal(res.body.providerDiagnostics.providerUsed, 'espn');
+  assert.equal(call(routes, '/MMM-Scores/api/games/:league', { league: 'nfl' }, { timeZone: 'Europe/London' }).statusCode, 404);
+
+  res = call(routes, '/MMM-Scores/api/leagues');
+  const nba = res.body.leagues.find((entry) => entry.league === 'nba');
+  assert.equal(nba.active, true);
+  assert.equal(nba.header, 'NBA Scoreboard');
+  assert.deepEqual(nba.feeds.map((feed) => [feed.timeZone, feed.stale, feed.fallbackUsed, feed.lastUpdatedAt]), [
+    ['America/Chicago', true, true, '2026-10-18T23:00:00.000Z']
+  ]);
+  assert.equal(res.body.leagues.find((entry) => entry.league === 'mlb').active, false);
+
+  helper._circuitBreakers.set('espn', { endpoint: 'espn', state: 'open', failures: 3, openUntil: Date.now() + 60000, lastError: 'HTTP 503' });
+  res = call(routes, '/MMM-Scores/api/status');
+  assert.deepEqual(res.body.instances, [{ identifier: 'module_1', leagues: ['nfl', 'nba'], timeZone: 'America/Chicago' }]);
+  assert.deepEqual(res.body.leagues.map((entry) => `${entry.league}:${entry.games}:${entry.stale}`), ['nfl:1:false', 'nba:0:true']);
+  assert.equal(res.body.circuitBreakers[0].state, 'open');
+  assert.equal(res.body.requestQueue.waiting, 0);
+  assert.ok(res.body.uptimeSec >= 0);
+});
+
+test('API handler errors answer 500 without throwing into express', () => {
+  const { helper, routes } = createHelper();
+  helper._fetchGroups = null;
+  const error = console.error;
+  console.error = () => {};
+  try {
+    assert.equal(call(routes, '/MMM-Scores/api/status').statusCode, 500);
+  } finally {
+    console.error = error;
+  }
+});
+
+test('request diagnostics stay out of socket payloads and are served by the API', () => {
+  const { helper, routes } = createHelper();
+  const scope = Object.assign(helper._createFetchScope('America/Chicago', [helper._instances.get('module_1')]), {
+    _httpCacheTrace: { hits: 1, revalidated: 0, misses: 2 },
+    _requestTrace: [{ endpoint: 'site.api.espn.com/nfl', proxied: false, status: 200, elapsedMs: 40, queuedMs: 0 }],
+    _circuitTrace: new Map([['espn', { endpoint: 'espn', state: 'open', failures: 3, openUntil: Date.now() + 60000, lastError: 'HTTP 503' }]])
+  });
+  scope._notifyGames('nfl', [{ id: 'nfl-1' }], { providerUsed: 'espn' });
+
+  const sent = helper.sent.find((entry) => entry.notification === 'GAMES' && entry.payload.league === 'nfl').payload;
+  assert.equal(sent.httpCacheStats, undefined);
+  assert.equal(sent.requestDiagnostics, undefined);
+  assert.deepEqual(Object.keys(sent.circuitBreakers[0]), ['endpoint', 'state', 'retryAt']);
+  assert.equal(helper._fetchGroupState('America/Chicago').lastPayloadByLeague.nfl.requestDiagnostics, undefined);
+
+  const res = call(routes, '/MMM-Scores/api/games/:league', { league: 'nfl' });
+  assert.deepEqual(res.body.httpCacheStats, { hits: 1, revalidated: 0, misses: 2 });
+  assert.equal(res.body.requestDiagnostics[0].endpoint, 'site.api.espn.com/nfl');
+  assert.equal(res.body.circuitBreakers[0].lastError, 'HTTP 503');
+  assert.deepEqual(call(routes, '/MMM-Scores/api/status').body.leagues[0].httpCacheStats, { hits: 1, revalidated: 0, misses: 2 });
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Module = require('node:module');
+const http = require('node:http');
+
+const originalLoad = Module._load;
+Module._load = function(request, parent, isMain) {
+  if (request === 'node_helper') {
+    return {
+      create(definition) {
+        return definition;
+      }
+    };
+  }
+  return originalLoad.apply(this, arguments);
+};
+
+let helperDefinition;
+try {
+  helperDefinition = require('../node_helper');
+} finally {
+  Module._load = originalLoad;
+}
+
+function createHelper(config = {}) {
+  const helper = Object.create(helperDefinition);
+  const log = console.log;
+  console.log = () => {};
+  try {
+    helper.start();
+  } finally {
+    console.log = log;
+  }
+  helper.config = config;
+  return helper;
+}
+
+async function withServer(handler, fn) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push({ url: req.url, headers: req.headers });
+    handler(req, res);
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  try {
+    await fn(`http://127.0.0.1:${server.address().port}`, requests);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+test('ETag validators are sent and a 304 reuses the cached body', async () => {
+  const helper = createHelper();
+  await withServer((req, res) => {
+    if (req.headers['if-none-match'] === '"v1"') {
+      res.writeHead(304, { etag: '"v1"' });
+      res.end();
+      return;
+    }
+    res.writeHead(200, { 'content-type': 'application/json', etag: '"v1"', 'cache-control': 'no-cache' });
+    res.end('{"games":[1,2]}');
+  }, async (base, requests) => {
+    assert.deepEqual(await helper._fetchJson(`${base}/scoreboard`), { games: [1, 2] });
+    assert.deepEqual(await helper._fetchJson(`${base}/scoreboard`), { games: [1, 2] });
+
+    assert.equal(requests.length, 2);
+    assert.equal(requests[0].headers['if-none-match'], undefined);
+    assert.equal(requests[1].headers['if-none-match'], '"v1"');
+    assert.deepEqual(helper._httpCacheStats, { hits: 0, revalidated: 1, misses: 1 });
+  });
+});
+
+test('Cache-Control max-age serves fresh responses without a request', async () => {
+  const helper = createHelper();
+  await withServer((req, res) => {
+    res.writeHead(200, { 'content-type': 'application/json', 'cache-control': 'public, max-age=60', 'last-modified': 'Mon, 19 Oct 2026 18:00:00 GMT' });
+    res.end('{"n":1}');
+  }, async (base, requests) => {
+    await helper._fetchJson(`${base}/fresh`);
+    const second = await helper._fetchResponse(`${base}/fresh`);
+    assert.equal(second.fromCache, true);
+    assert.deepEqual(await second.json(), { n: 1 });
+    assert.equal(requests.length, 1);
+    assert.deepEqual(helper._httpCacheStats, { hits: 1, revalidated: 0, misses: 1 });
+
+    helper._httpCache.get(`${base}/fresh`).expiresAt = 0;
+    await helper._fetchJson(`${base}/fresh`);
+    assert.equal(requests[1].headers['if-modified-since'], 'Mon, 19 Oct 2026 18:00:00 GMT');
+  });
+});
+
+test('conditionalRequests: false bypasses the cache', async () => {
+  const helper = createHelper({ conditionalRequests: false });
+  await withServer((req, res) => {
+    res.writeHead(200, { 'content-type': 'application/json', etag: '"v1"', 'cache-control': 'max-age=60' });
+    res.end('{}');
+  }, async (base, requests) => {
+    await helper._fetchJson(`${base}/off`);
+    await helper._fetchJson(`${base}/off`);
+    assert.equal(requests.length, 2);
+    assert.equal(helper._httpCache.size, 0);
+  });
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createModuleDefinition, FakeNode } = require('./helpers/front-end');
+
+function el(name, attrs = {}, children = []) {
+  const node = new FakeNode(1, name.toUpperCase());
+  Object.keys(attrs).forEach((key) => node.setAttribute(key, attrs[key]));
+  children.forEach((child) => node.appendChild(typeof child === 'string' ? new FakeNode(3, '#text', child) : child));
+  return node;
+}
+
+function cell(key, abbr, score, logoClass = 'scoreboard-team-logo') {
+  return el('div', { class: 'games-matrix-cell', 'data-game-key': key }, [
+    el('div', { class: 'scoreboard-card' }, [
+      el('img', { class: logoClass, src: `images/nba/${abbr}.png` }),
+      el('span', { class: 'scoreboard-team-total' }, [String(score)])
+    ])
+  ]);
+}
+
+test('morph keeps keyed cards and logos while patching changed text and order', () => {
+  const moduleDefinition = createModuleDefinition();
+  const root = el('div');
+  const current = el('div', { class: 'scores-screen' }, [
+    el('div', { class: 'games-matrix' }, [cell('nba:1', 'BOS', 10, 'scoreboard-team-logo logo-missing'), cell('nba:2', 'CHI', 20)])
+  ]);
+  root.appendChild(current);
+  const [bosCell, chiCell] = current.firstChild.childNodes;
+  const bosLogo = bosCell.firstChild.firstChild;
+  const chiScoreText = chiCell.firstChild.childNodes[1].firstChild;
+
+  const next = el('div', { class: 'scores-screen' }, [
+    el('div', { class: 'games-matrix' }, [cell('nba:2', 'CHI', 23), cell('nba:1', 'BOS', 10), cell('nba:3', 'MIA', 0)])
+  ]);
+  moduleDefinition._morphNode(current, next);
+
+  const cells = current.firstChild.childNodes;
+  assert.deepEqual(cells.map((node) => node.getAttribute('data-game-key')), ['nba:2', 'nba:1', 'nba:3']);
+  assert.equal(cells[0], chiCell);
+  assert.equal(cells[1], bosCell);
+  assert.equal(bosCell.firstChild.firstChild, bosLogo);
+  assert.equal(bosLogo.getAttribute('class'), 'scoreboard-team-logo logo-missing');
+  assert.equal(chiCell.firstChild.childNodes[1].firstChild, chiScoreText);
+  assert.equal(chiScoreText.nodeValue, '23');
+  assert.equal(cells[2].textContent, '0');
+});
+
+test('morph replaces nodes whose element type changed and drops stale children', () => {
+  const moduleDefinition = createModuleDefinition();
+  const current = el('div', {}, [el('span', { class: 'status' }, ['Q4 1:00']), el('div', { class: 'extra' })]);
+  const next = el('div', { class: 'updated' }, [el('div', { class: 'status' }, ['Final'])]);
+
+  moduleDefinition._morphNode(current, next);
+
+  assert.equal(current.getAttribute('class'), 'updated');
+  assert.equal(current.childNodes.length, 1);
+  assert.equal(current.firstChild.nodeName, 'DIV');
+  assert.equal(current.textContent, 'Final');
+});
+
+test('morph re-binds the logo fallback handler on kept images', () => {
+  const moduleDefinition = createModuleDefinition();
+  const current = cell('nba:1', 'BOS', 10);
+  const logo = current.firstChild.firstChild;
+  const next = cell('nba:1', 'NYK', 10);
+  const fallback = function () { this.classList.add('logo-missing'); };
+  next.firstChild.firstChild.onerror = fallback;
+
+  moduleDefinition._morphNode(current, next);
+
+  assert.equal(current.firstChild.firstChild, logo);
+  assert.equal(logo.getAttribute('src'), 'images/nba/NYK.png');
+  assert.equal(logo.onerror, fallback);
+  logo.onerror();
+  assert.equal(logo.getAttribute('class'), 'scoreboard-team-logo logo-missing');
+  assert.equal(next.firstChild.firstChild.getAttribute('class'), 'scoreboard-team-logo');
+});
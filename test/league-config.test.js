@@ -5,7 +5,8 @@ const leagueConfig = require('../shared-league-config');
 test('coerceLeagueArray handles all, arrays, commas, whitespace, and duplicates', () => {
   assert.deepEqual(leagueConfig.coerceLeagueArray('mlb, nba nhl nba'), ['mlb', 'nba', 'nhl']);
   assert.deepEqual(leagueConfig.coerceLeagueArray(['MLB', 'bad', ['nfl', 'nba']]), ['mlb', 'nfl', 'nba']);
-  assert.deepEqual(leagueConfig.coerceLeagueArray('all'), leagueConfig.SUPPORTED_LEAGUES);
+  assert.deepEqual(leagueConfig.coerceLeagueArray('all'), ['mlb', 'wbc', 'nhl', 'nfl', 'nba', 'worldcup', 'olympic_mhockey', 'olympic_whockey']);
+  assert.deepEqual(leagueConfig.coerceLeagueArray('ncaaf, pwhl'), ['ncaaf', 'pwhl']);
 });
 
 test('seasonal filtering is configurable', () => {
@@ -13,11 +14,44 @@ test('seasonal filtering is configurable', () => {
   assert.equal(leagueConfig.isNhlBreakWindow('2026-02-10', { seasonalFiltering: false }), false);
   assert.equal(leagueConfig.hideOlympicScoreboards('2026-02-25', {}), true);
   assert.equal(leagueConfig.hideOlympicScoreboards('2026-02-25', { hideOlympicsAfterEnd: false }), false);
+  assert.equal(leagueConfig.isWnbaOffseason('2026-01-15', {}), true);
+  assert.equal(leagueConfig.isWnbaOffseason('2026-07-04', {}), false);
+  assert.equal(leagueConfig.isWnbaOffseason('2026-10-31', {}), false);
+  assert.equal(leagueConfig.isWnbaOffseason('2026-01-15', { hideWnbaOffseason: false }), false);
+  assert.equal(leagueConfig.isWnbaOffseason('2026-04-20', { wnbaSeasonFrom: '04-15' }), false);
+  assert.equal(leagueConfig.isNcaafOffseason('2026-01-10', {}), false);
+  assert.equal(leagueConfig.isNcaafOffseason('2026-04-11', {}), true);
+  assert.equal(leagueConfig.isNcaafOffseason('2026-08-29', {}), false);
+  assert.equal(leagueConfig.isNcaafOffseason('2026-04-11', { hideNcaafOffseason: false }), false);
+  assert.equal(leagueConfig.isLeagueOffseason('ncaam', '2026-03-20', {}), false);
+  assert.equal(leagueConfig.isLeagueOffseason('ncaaw', '2026-07-01', {}), true);
+  assert.equal(leagueConfig.isLeagueOffseason('ncaaw', '2026-07-01', { hideNcaawOffseason: false }), false);
+  assert.equal(leagueConfig.isLeagueOffseason('nba', '2026-07-01', {}), false);
+});
+
+test('PWHL and AHL season windows include their edges and wrap across New Year', () => {
+  assert.equal(leagueConfig.isLeagueOffseason('pwhl', '2026-11-14', {}), true);
+  assert.equal(leagueConfig.isLeagueOffseason('pwhl', '2026-11-15', {}), false);
+  assert.equal(leagueConfig.isLeagueOffseason('pwhl', '2027-01-10', {}), false);
+  assert.equal(leagueConfig.isLeagueOffseason('pwhl', '2027-05-31', {}), false);
+  assert.equal(leagueConfig.isLeagueOffseason('pwhl', '2027-06-01', {}), true);
+  assert.equal(leagueConfig.isLeagueOffseason('pwhl', '2027-06-01', { hidePwhlOffseason: false }), false);
+  assert.equal(leagueConfig.isLeagueOffseason('pwhl', '2027-06-01', { pwhlSeasonUntil: '06-10' }), false);
+
+  assert.equal(leagueConfig.isLeagueOffseason('ahl', '2026-09-30', {}), true);
+  assert.equal(leagueConfig.isLeagueOffseason('ahl', '2026-10-01', {}), false);
+  assert.equal(leagueConfig.isLeagueOffseason('ahl', '2027-06-30', {}), false);
+  assert.equal(leagueConfig.isLeagueOffseason('ahl', '2027-07-01', {}), true);
+  assert.equal(leagueConfig.isLeagueOffseason('ahl', '2027-07-01', { seasonalFiltering: false }), false);
 });
 
 test('resolveConfiguredLeagues filters seasonal league windows', () => {
-  const cfg = { league: 'all', timeZone: 'UTC' };
+  const cfg = { league: ['nhl', 'olympic_mhockey', 'wnba', 'ncaaf'], timeZone: 'UTC' };
   assert.ok(!leagueConfig.resolveConfiguredLeagues(cfg, '2026-02-10').includes('nhl'));
   assert.ok(!leagueConfig.resolveConfiguredLeagues(cfg, '2026-02-25').includes('olympic_mhockey'));
+  assert.ok(!leagueConfig.resolveConfiguredLeagues(cfg, '2026-12-01').includes('wnba'));
+  assert.ok(leagueConfig.resolveConfiguredLeagues(cfg, '2026-06-01').includes('wnba'));
+  assert.ok(!leagueConfig.resolveConfiguredLeagues(cfg, '2026-06-01').includes('ncaaf'));
+  assert.ok(leagueConfig.resolveConfiguredLeagues(cfg, '2026-12-01').includes('ncaaf'));
   assert.ok(leagueConfig.resolveConfiguredLeagues({ league: 'all', seasonalFiltering: false }, '2026-02-25').includes('olympic_mhockey'));
 });
@@ -0,0 +1,297 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Module = require('node:module');
+const registry = require('../shared-league-registry');
+const leagueConfig = require('../shared-league-config');
+const { createModuleDefinition } = require('./helpers/front-end');
+
+const originalLoad = Module._load;
+Module._load = function(request, parent, isMain) {
+  if (request === 'node_helper') {
+    return {
+      create(definition) {
+        return definition;
+      }
+    };
+  }
+  return originalLoad.apply(this, arguments);
+};
+
+let helperDefinition;
+try {
+  helperDefinition = require('../node_helper');
+} finally {
+  Module._load = originalLoad;
+}
+
+function leagueClasses(league) {
+  const classes = [];
+  createModuleDefinition()._applyLeagueClasses({ classList: { add: (name) => classes.push(name) } }, league);
+  return classes;
+}
+
+test('built-in leagues are registered with their fetch and render hooks', () => {
+  assert.deepEqual(registry.listLeagues(), leagueConfig.SUPPORTED_LEAGUES);
+  assert.equal(registry.getLeague('NHL').renderer, '_createNhlGameCard');
+  assert.equal(registry.getLeague('wbc').fetchAs, 'mlb');
+  assert.equal(registry.getLeague('nfl').logo.caseStyle, 'lower');
+  assert.equal(registry.getLeague('unknown'), null);
+  assert.throws(() => registry.registerLeague('all', {}), /Invalid league key/);
+});
+
+test('WNBA reuses the NBA fetcher and card on its own ESPN scoreboard', async () => {
+  const wnba = registry.getLeague('wnba');
+  assert.equal(wnba.fetcher, registry.getLeague('nba').fetcher);
+  assert.equal(wnba.renderer, '_createNbaGameCard');
+  assert.equal(wnba.logo.folder, 'wnba');
+  assert.deepEqual(wnba.highlightKeys, ['highlightedTeams_wnba']);
+
+  const urls = [];
+  const helper = Object.assign(Object.create(helperDefinition), {
+    config: {},
+    async _fetchJson(url) {
+      urls.push(url);
+      return { events: [] };
+    }
+  });
+  await helper._fetchNbaEspnProvider({ league: 'wnba', dateCompact: '20260704' });
+  await helper._fetchNbaEspnProvider({ league: 'nba', dateCompact: '20260704' });
+  assert.deepEqual(urls, [
+    'https://site.api.espn.com/apis/site/v2/sports/basketball/wnba/scoreboard?dates=20260704',
+    'https://site.api.espn.com/apis/site/v2/sports/basketball/nba/scoreboard?dates=20260704'
+  ]);
+});
+
+test('WNBA cards and matrices borrow the NBA styles through styleAs', () => {
+  assert.equal(registry.getLeague('wnba').styleAs, 'nba');
+  assert.deepEqual(leagueClasses('wnba'), ['league-wnba', 'league-nba']);
+  assert.deepEqual(leagueClasses('nba'), ['league-nba']);
+});
+
+test('club soccer leagues share one fetcher and request weekend matchdays as a range', async () => {
+  for (const [key, path] of [['mls', 'soccer/usa.1'], ['epl', 'soccer/eng.1'], ['ucl', 'soccer/uefa.champions'], ['nwsl', 'soccer/usa.nwsl']]) {
+    const league = registry.getLeague(key);
+    assert.equal(league.fetcher, '_fetchSoccerGames');
+    assert.equal(league.espnPath, path);
+    assert.equal(league.logo.folder, key);
+    assert.deepEqual(league.highlightKeys, [`highlightedTeams_${key}`]);
+    assert.deepEqual(leagueClasses(key), [`league-${key}`, 'league-worldcup']);
+  }
+
+  assert.deepEqual(
+    leagueConfig.resolveConfiguredLeagues({ league: ['epl', 'laliga'], soccerLeagues: { laliga: { slug: 'esp.1', header: 'La Liga Scoreboard' } } }, '2026-10-17'),
+    ['epl', 'laliga']
+  );
+  assert.equal(registry.getLeague('laliga').header, 'La Liga Scoreboard');
+  assert.equal(registry.getLeague('laliga').espnPath, 'soccer/esp.1');
+  assert.equal(registry.registerSoccerLeague('epl', 'esp.2'), registry.getLeague('epl'));
+
+  const urls = [];
+  const helper = Object.assign(Object.create(helperDefinition), {
+    config: {},
+    async _fetchJson(url) {
+      urls.push(url);
+      const fcs = url.includes('groups=81');
+      return {
+        events: [
+          { id: 'fbs-vs-fcs', date: '2026-10-17T16:00Z' },
+          { id: fcs ? 'fcs-only' : 'fbs-only', date: fcs ? '2026-10-17T18:00Z' : '2026-10-17T12:00Z' }
+        ]
+      };
+    }
+  });
+
+  const saturday = helper._soccerMatchdayRange({ todayIso: '2026-10-17', scoreboardDateIso: '2026-10-17' });
+  assert.deepEqual(saturday.dateIsos, ['2026-10-16', '2026-10-17', '2026-10-18', '2026-10-19']);
+  const wednesday = helper._soccerMatchdayRange({ todayIso: '2026-10-21', scoreboardDateIso: '2026-10-20' });
+  assert.deepEqual(wednesday, { startIso: '2026-10-20', endIso: '2026-10-20', dateIsos: ['2026-10-20'] });
+
+  await helper._fetchSoccerEspnProvider({ league: 'laliga', dateIso: '2026-10-17', dateIsos: saturday.dateIsos });
+  await helper._fetchSoccerEspnProvider({ league: 'ucl', dateIso: '2026-10-20', dateIsos: wednesday.dateIsos });
+  assert.deepEqual(urls, [
+    'https://site.api.espn.com/apis/site/v2/sports/soccer/esp.1/scoreboard?dates=20261016-20261019',
+    'https://site.api.espn.com/apis/site/v2/sports/soccer/uefa.champions/scoreboard?dates=20261020'
+  ]);
+});
+
+test('college football fetches the FBS and FCS week from Tuesday through Monday', async () => {
+  const ncaaf = registry.getLeague('ncaaf');
+  assert.equal(ncaaf.renderer, '_createNflGameCard');
+  assert.equal(ncaaf.styleAs, 'nfl');
+  assert.equal(ncaaf.conferences['8'], 'SEC');
+
+  const urls = [];
+  const helper = Object.assign(Object.create(helperDefinition), {
+    config: {},
+    async _fetchJson(url) {
+      urls.push(url);
+      const fcs = url.includes('groups=81');
+      return {
+        events: [
+          { id: 'fbs-vs-fcs', date: '2026-10-17T16:00Z' },
+          { id: fcs ? 'fcs-only' : 'fbs-only', date: fcs ? '2026-10-17T18:00Z' : '2026-10-17T12:00Z' }
+        ]
+      };
+    }
+  });
+
+  const saturday = helper._ncaafWeekRange({ todayIso: '2026-10-17' });
+  assert.equal(saturday.startIso, '2026-10-13');
+  assert.equal(saturday.endIso, '2026-10-19');
+  assert.equal(helper._ncaafWeekRange({ todayIso: '2026-10-19' }).startIso, '2026-10-13');
+  assert.equal(helper._ncaafWeekRange({ todayIso: '2026-10-20' }).startIso, '2026-10-20');
+
+  const events = await helper._fetchNcaafEspnProvider({ league: 'ncaaf', dateIso: '2026-10-17', dateIsos: saturday.dateIsos });
+  assert.deepEqual(urls, [
+    'https://site.api.espn.com/apis/site/v2/sports/football/college-football/scoreboard?dates=20261013-20261019&groups=80&limit=300',
+    'https://site.api.espn.com/apis/site/v2/sports/football/college-football/scoreboard?dates=20261013-20261019&groups=81&limit=300'
+  ]);
+  assert.deepEqual(events.map((event) => event.id), ['fbs-only', 'fbs-vs-fcs', 'fcs-only']);
+});
+
+test('college basketball reuses the NBA fetcher on the Division I scoreboards', async () => {
+  assert.equal(registry.getLeague('ncaam').fetcher, '_fetchNbaGames');
+  assert.equal(registry.getLeague('ncaam').periods, 2);
+  assert.equal(registry.getLeague('ncaaw').periods, 4);
+
+  const urls = [];
+  const helper = Object.assign(Object.create(helperDefinition), {
+    config: {},
+    async _fetchJson(url) {
+      urls.push(url);
+      return { events: [] };
+    }
+  });
+  await helper._fetchNbaEspnProvider({ league: 'ncaam', dateCompact: '20260320' });
+  await helper._fetchNbaEspnProvider({ league: 'ncaaw', dateCompact: '20260320' });
+  assert.deepEqual(urls, [
+    'https://site.api.espn.com/apis/site/v2/sports/basketball/mens-college-basketball/scoreboard?dates=20260320&groups=50&limit=400',
+    'https://site.api.espn.com/apis/site/v2/sports/basketball/womens-college-basketball/scoreboard?dates=20260320&groups=50&limit=400'
+  ]);
+});
+
+test('PWHL and AHL scorebars are normalized into NHL games with shots and OT/SO labels', async () => {
+  for (const key of ['pwhl', 'ahl']) {
+    const league = registry.getLeague(key);
+    assert.equal(league.renderer, '_createNhlGameCard');
+    assert.equal(league.normalizer, '_normalizeNhlGame');
+    assert.equal(league.logo.folder, key);
+    assert.deepEqual(league.highlightKeys, [`highlightedTeams_${key}`]);
+  }
+  assert.equal(registry.getLeague('ahl').abbreviations['Wolf Pack'], 'HFD');
+
+  const side = (prefix, code, city, nickname, goals, shots) => ({
+    [`${prefix}Code`]: code,
+    [`${prefix}City`]: city,
+    [`${prefix}Nickname`]: nickname,
+    [`${prefix}LongName`]: `${city} ${nickname}`,
+    [`${prefix}Goals`]: goals,
+    [`${prefix}Shots`]: shots
+  });
+  const scorebar = [
+    Object.assign({ ID: '101', GameDateISO8601: '2026-12-05T19:00:00-05:00', GameStatus: '4', GameStatusString: 'Final SO', Period: '5', PeriodNameShort: 'SO', GameClock: '00:00' },
+      side('Visitor', 'BOS', 'Boston', 'Fleet', '3', '31'), side('Home', 'MTL', 'Montréal', 'Victoire', '2', '27')),
+    Object.assign({ ID: '102', GameDateISO8601: '2026-12-05T20:00:00-05:00', GameStatus: '2', GameStatusString: 'In Progress', Period: '4', PeriodNameShort: 'OT', GameClock: '03:12' },
+      side('Visitor', 'NY', 'New York', 'Sirens', '1', '22'), side('Home', 'MIN', 'Minnesota', 'Frost', '1', '25')),
+    Object.assign({ ID: '103', GameDateISO8601: '2026-12-06T19:00:00-05:00', GameStatus: '1', GameStatusString: '7:00 pm EST', Period: '0' },
+      side('Visitor', 'TOR', 'Toronto', 'Sceptres', '0', '0'), side('Home', 'OTT', 'Ottawa', 'Charge', '0', '0'))
+  ];
+
+  const urls = [];
+  const helper = Object.assign(Object.create(helperDefinition), {
+    config: { timeZone: 'America/New_York' },
+    async _fetchText(url) {
+      urls.push(url);
+      return `(${JSON.stringify({ SiteKit: { Scorebar: scorebar } })})`;
+    }
+  });
+
+  const games = await helper._fetchHockeyTechProvider({ league: 'pwhl', dateIso: '2026-12-05' });
+  assert.equal(urls[0], 'https://lscluster.hockeytech.com/feed/index.php?feed=modulekit&view=scorebar&key=446521baf8c38984&client_code=pwhl&numberofdaysback=1&numberofdaysahead=1&fmt=json&lang=en&site_id=0');
+  assert.deepEqual(games.map((game) => game.gamePk), ['101', '102']);
+
+  const final = helper._normalizeNhlGame(games[0], 'pwhl');
+  assert.equal(final.status.state, 'final');
+  assert.equal(final.status.detail, 'Final/SO');
+  assert.equal(final.teams.away.team.abbreviation, 'BOS');
+  assert.equal(final.teams.away.score, 3);
+  assert.equal(final.teams.home.stats.shotsOnGoal, 27);
+
+  const overtime = helper._normalizeNhlGame(games[1], 'pwhl');
+  assert.equal(overtime.status.state, 'live');
+  assert.equal(overtime.status.periodLabel, 'OT');
+  assert.equal(overtime.status.clock, '03:12');
+
+  const upcoming = helper._normalizeNhlGame(helper._hydrateNhlGames([helper._normalizeHockeyTechGame(scorebar[2], 'pwhl')])[0], 'pwhl');
+  assert.equal(upcoming.status.state, 'pre');
+  assert.equal(upcoming.teams.home.score, null);
+  assert.equal(upcoming.teams.home.stats.shotsOnGoal, null);
+
+  // Before the morning cutoff the board keeps last night's finals and puts
+  // today's games on the schedule page, like the NHL board.
+  const sent = [];
+  const board = Object.assign(Object.create(helperDefinition), {
+    async _fetchText() {
+      return JSON.stringify({ SiteKit: { Scorebar: scorebar } });
+    },
+    sendSocketNotification(_notification, payload) {
+      sent.push(payload);
+    }
+  });
+  const log = console.log;
+  console.log = () => {};
+  try {
+    board.start();
+    board.config = { timeZone: 'America/New_York' };
+    board._now = () => Date.parse('2026-12-06T08:00:00-05:00');
+    await board._fetchHockeyTechGames('pwhl');
+    board._now = () => Date.parse('2026-12-05T21:00:00-05:00');
+    await board._fetchHockeyTechGames('pwhl');
+  } finally {
+    console.log = log;
+    board.stop();
+  }
+  const [morning, evening] = sent;
+  assert.equal(morning.showingPreviousFinals, true);
+  assert.deepEqual(morning.games.map((game) => game.id), ['101']);
+  assert.deepEqual(morning.scheduleGames.map((game) => [game.id, game.status.state]), [['103', 'pre']]);
+  assert.equal(evening.showingPreviousFinals, false);
+  assert.deepEqual(evening.games.map((game) => game.id), ['101', '102']);
+  assert.deepEqual(evening.scheduleGames, []);
+});
+
+test('registered leagues are accepted by config parsing and dispatched by the helper', async () => {
+  const seen = [];
+  registry.registerLeague('testball', {
+    header: 'Testball Scoreboard',
+    fetcher(league) {
+      this._notifyLeagueGames(league, [{ id: 'keep' }, { id: 'drop' }]);
+    },
+    normalizer(game, league) {
+      seen.push(league);
+      return game.id === 'drop' ? null : Object.assign({ league }, game);
+    },
+    renderer: '_createNhlGameCard'
+  });
+
+  assert.equal(leagueConfig.normalizeLeagueKey('TestBall'), 'testball');
+  assert.ok(!leagueConfig.coerceLeagueArray('all').includes('testball'));
+  assert.deepEqual(leagueConfig.coerceLeagueArray('nba, testball'), ['nba', 'testball']);
+  assert.deepEqual(registry.getLeague('testball').highlightKeys, ['highlightedTeams_testball']);
+
+  const helper = Object.assign(Object.create(helperDefinition), {
+    config: {},
+    leagues: ['testball'],
+    sent: [],
+    sendSocketNotification(notification, payload) {
+      this.sent.push({ notification, payload });
+    }
+  });
+
+  await helper._fetchGames();
+
+  assert.equal(helper.sent.length, 1);
+  assert.equal(helper.sent[0].payload.league, 'testball');
+  assert.deepEqual(helper.sent[0].payload.games, [{ league: 'testball', id: 'keep' }]);
+  assert.deepEqual(seen, ['testball', 'testball']);
+});
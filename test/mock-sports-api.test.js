@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Module = require('node:module');
+const { MockSportsApi } = require('../scripts/mock-sports-api');
+
+const originalLoad = Module._load;
+Module._load = function(request, parent, isMain) {
+  if (request === 'node_helper') {
+    return {
+      create(definition) {
+        return definition;
+      }
+    };
+  }
+  return originalLoad.apply(this, arguments);
+};
+
+let helperDefinition;
+try {
+  helperDefinition = require('../node_helper');
+} finally {
+  Module._load = originalLoad;
+}
+
+function createHelper(config) {
+  const helper = Object.assign(Object.create(helperDefinition), {
+    sent: [],
+    sendSocketNotification(notification, payload) {
+      this.sent.push({ notification, payload });
+    }
+  });
+  helper.start();
+  helper.config = config;
+  return helper;
+}
+
+async function withMock(options, fn) {
+  const saved = ['log', 'info', 'warn', 'error', 'debug'].map((name) => [name, console[name]]);
+  saved.forEach(([name]) => { console[name] = () => {}; });
+  const mock = new MockSportsApi(Object.assign({ timeZone: 'UTC' }, options));
+  const address = await mock.listen(0);
+  try {
+    await fn(mock, `http://127.0.0.1:${address.port}`);
+  } finally {
+    await mock.close();
+    saved.forEach(([name, original]) => { console[name] = original; });
+  }
+}
+
+test('mock server answers each provider in the shape the helper parses', async () => {
+  await withMock({ scenario: 'live' }, async (mock, base) => {
+    const helper = createHelper({ apiBaseUrl: base, timeZone: 'UTC' });
+    helper.leagues = ['mlb', 'nba', 'nfl'];
+    await helper._fetchGames();
+
+    ['mlb', 'nba', 'nfl'].forEach((league) => {
+      const payload = helper.sent.find((entry) => entry.payload.league === league).payload;
+      assert.ok(payload.games.length > 0, `${league} returned games`);
+      assert.equal(payload.isStale, undefined);
+    });
+    assert.ok(mock.requests.some((request) => request.path.startsWith('/api/v1/schedule/games')));
+    assert.ok(mock.requests.some((request) => request.path.startsWith('/apis/site/v2/sports/basketball/nba/scoreboard')));
+  });
+});
+
+test('NHL falls back past the retired stats API and then to stale last-good data', async () => {
+  await withMock({ scenario: 'final' }, async (mock, base) => {
+    const helper = createHelper({ apiBaseUrl: { 'statsapi.web.nhl.com': base, 'api-web.nhle.com': base, 'api.nhle.com': base }, timeZone: 'UTC', circuitBreakerThreshold: 10 });
+    helper.leagues = ['nhl'];
+    await helper._fetchGames();
+
+    const fresh = helper.sent.pop().payload;
+    assert.ok(fresh.games.length > 0);
+    assert.equal(fresh.providerUsed, 'nhl_scoreboard');
+    assert.deepEqual(fresh.providerDiagnostics.attempts.map((attempt) => attempt.outcome).slice(0, 2), ['error', 'ok']);
+
+    mock.faults.push({ type: 'fail', match: '/v1/scoreboard', status: 503 }, { type: 'fail', match: '/stats/rest', status: 502 });
+    helper._providerCache.clear();
+    await helper._fetchGames();
+
+    const stale = helper.sent.pop().payload;
+    assert.equal(stale.isStale, true);
+    assert.equal(stale.fallbackUsed, true);
+    assert.equal(stale.games.length, fresh.games.length);
+  });
+});
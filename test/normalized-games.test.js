@@ -0,0 +1,294 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Module = require('node:module');
+
+const originalLoad = Module._load;
+Module._load = function(request, parent, isMain) {
+  if (request === 'node_helper') {
+    return {
+      create(definition) {
+        return definition;
+      }
+    };
+  }
+  return originalLoad.apply(this, arguments);
+};
+
+let helperDefinition;
+try {
+  helperDefinition = require('../node_helper');
+} finally {
+  Module._load = originalLoad;
+}
+
+function createHelper() {
+  return Object.assign(Object.create(helperDefinition), {
+    config: {},
+    sent: [],
+    sendSocketNotification(notification, payload) {
+      this.sent.push({ notification, payload });
+    }
+  });
+}
+
+const SHAPE_KEYS = ['extras', 'id', 'league', 'startTimeUTC', 'status', 'teams', 'venue'];
+const SIDE_KEYS = ['periods', 'possession', 'record', 'score', 'shootoutScore', 'stats', 'team', 'winner'];
+
+// Socket payloads carry the normalized shape minus fields no card reads.
+const SOCKET_SHAPE_KEYS = SHAPE_KEYS.filter((key) => key !== 'venue');
+
+function assertNormalizedShape(game, keys = SHAPE_KEYS) {
+  assert.deepEqual(Object.keys(game).sort(), keys);
+  assert.deepEqual(Object.keys(game.status).sort(), ['clock', 'detail', 'period', 'periodLabel', 'state']);
+  assert.ok(['pre', 'live', 'final'].includes(game.status.state));
+  assert.deepEqual(Object.keys(game.teams.away).sort(), SIDE_KEYS);
+  assert.deepEqual(Object.keys(game.teams.home).sort(), SIDE_KEYS);
+}
+
+test('MLB statsapi games normalize with inning extras and derived winner', () => {
+  const helper = createHelper();
+  const game = helper._normalizeMlbGame({
+    gamePk: 745001,
+    gameDate: '2025-07-04T23:05:00Z',
+    status: { abstractGameState: 'Final', detailedState: 'Final' },
+    venue: { name: 'Wrigley Field' },
+    teams: {
+      away: { team: { id: 138, name: 'St. Louis Cardinals' }, score: 2, leagueRecord: { wins: 40, losses: 45 } },
+      home: { team: { id: 112, name: 'Chicago Cubs' }, score: 5 }
+    },
+    linescore: {
+      currentInning: 9,
+      scheduledInnings: 9,
+      innings: [{ away: { runs: 0 }, home: { runs: 3 } }, { away: { runs: 2 }, home: {} }],
+      teams: { away: { hits: 6, errors: 1 }, home: { hits: 9, errors: 0 } }
+    }
+  }, 'mlb');
+
+  assertNormalizedShape(game);
+  assert.equal(game.id, '745001');
+  assert.equal(game.status.state, 'final');
+  assert.equal(game.venue, 'Wrigley Field');
+  assert.equal(game.teams.home.team.name, 'Chicago Cubs');
+  assert.equal(game.teams.home.winner, true);
+  assert.equal(game.teams.away.winner, false);
+  assert.equal(game.teams.away.record, '40-45');
+  assert.deepEqual(game.teams.away.periods, [0, 2]);
+  assert.deepEqual(game.teams.home.periods, [3, null]);
+  assert.deepEqual(game.teams.away.stats, { hits: 6, errors: 1 });
+  assert.equal(game.extras.scheduledInnings, 9);
+});
+
+test('NHL scoreboard games normalize period, clock and shots on goal', () => {
+  const helper = createHelper();
+  const raw = helper._normalizeNhlScoreboardGame({
+    id: 2025020001,
+    startTimeUTC: '2025-10-08T23:00:00Z',
+    gameState: 'LIVE',
+    periodDescriptor: { number: 2, periodType: 'REG' },
+    clock: { timeRemaining: '07:41' },
+    awayTeam: { abbrev: 'bos', placeName: { default: 'Boston' }, name: { default: 'Bruins' }, score: 1, sog: 14 },
+    homeTeam: { abbrev: 'TOR', placeName: { default: 'Toronto' }, name: { default: 'Maple Leafs' }, score: 2, sog: 19 }
+  });
+  const game = helper._normalizeNhlGame(raw, 'nhl');
+
+  assertNormalizedShape(game);
+  assert.equal(game.status.state, 'live');
+  assert.equal(game.status.period, 2);
+  assert.equal(game.status.periodLabel, '2nd');
+  assert.equal(game.status.clock, '07:41');
+  assert.equal(game.teams.away.team.abbreviation, 'BOS');
+  assert.equal(game.teams.away.stats.shotsOnGoal, 14);
+  assert.equal(game.teams.home.score, 2);
+  assert.equal(game.teams.home.winner, null);
+});
+
+test('ESPN events normalize quarters, records, shootouts and possession', () => {
+  const helper = createHelper();
+  const game = helper._normalizeEspnGame({
+    id: '401',
+    date: '2025-09-07T17:00Z',
+    competitions: [{
+      venue: { fullName: 'Soldier Field' },
+      status: { period: 3, displayClock: '4:12', type: { state: 'in', shortDetail: '4:12 - 3rd' } },
+      situation: { possession: '3' },
+      competitors: [
+        { homeAway: 'home', score: '17', team: { id: '3', abbreviation: 'CHI', displayName: 'Chicago Bears' }, linescores: [{ value: 7 }, { value: 10 }], records: [{ type: 'total', summary: '1-0' }] },
+        { homeAway: 'away', score: '10', team: { id: '8', abbreviation: 'DET', displayName: 'Detroit Lions' }, linescores: [{ value: 3 }, { value: 7 }] }
+      ]
+    }]
+  }, 'nfl');
+
+  assertNormalizedShape(game);
+  assert.equal(game.startTimeUTC, '2025-09-07T17:00:00.000Z');
+  assert.equal(game.status.state, 'live');
+  assert.equal(game.status.clock, '4:12');
+  assert.equal(game.status.detail, '4:12 - 3rd');
+  assert.equal(game.teams.away.team.abbreviation, 'DET');
+  assert.deepEqual(game.teams.home.periods, [7, 10]);
+  assert.equal(game.teams.home.record, '1-0');
+  assert.equal(game.teams.home.possession, true);
+  assert.equal(game.teams.away.possession, false);
+
+  const soccer = helper._normalizeEspnGame({
+    id: 'wc-1',
+    date: '2026-07-19T19:00Z',
+    worldCupRoundLabel: 'Finals',
+    status: { period: 5, displayClock: "120'", type: { state: 'post', shortDetail: 'FT-Pens' } },
+    competitions: [{
+      competitors: [
+        { homeAway: 'home', score: '1', shootoutScore: 4, team: { abbreviation: 'ARG' } },
+        { homeAway: 'away', score: '1', shootoutScore: 2, team: { abbreviation: 'FRA' } }
+      ]
+    }]
+  }, 'worldcup');
+
+  assert.equal(soccer.status.state, 'final');
+  assert.equal(soccer.teams.home.shootoutScore, 4);
+  assert.equal(soccer.teams.home.winner, null);
+  assert.equal(soccer.extras.roundLabel, 'Finals');
+  assert.equal(soccer.extras.ranks, undefined);
+  assert.equal(soccer.extras.conferences, undefined);
+});
+
+test('ESPN college events carry poll ranks and conferences in extras', () => {
+  const helper = createHelper();
+  const game = helper._normalizeEspnGame({
+    id: '4017',
+    date: '2026-10-17T19:30Z',
+    competitions: [{
+      status: { type: { state: 'pre', shortDetail: '10/17 - 3:30 PM EDT' } },
+      groups: { id: '5', shortName: 'Big Ten', isConference: true },
+      competitors: [
+        { homeAway: 'home', curatedRank: { current: 3 }, team: { abbreviation: 'OSU', conferenceId: '5' } },
+        { homeAway: 'away', curatedRank: { current: 99 }, team: { abbreviation: 'IOWA', conferenceId: '5' } }
+      ]
+    }]
+  }, 'ncaaf');
+
+  assertNormalizedShape(game);
+  assert.deepEqual(game.extras.ranks, { away: null, home: 3 });
+  assert.deepEqual(game.extras.conferences, { away: 'Big Ten', home: 'Big Ten' });
+
+  const crossover = helper._normalizeEspnGame({
+    id: '4018',
+    competitions: [{
+      competitors: [
+        { homeAway: 'home', team: { abbreviation: 'ND', conferenceId: '18' } },
+        { homeAway: 'away', team: { abbreviation: 'APP', conferenceId: '999' } }
+      ]
+    }]
+  }, 'ncaaf');
+  assert.equal(crossover.extras.ranks, undefined);
+  assert.deepEqual(crossover.extras.conferences, { away: '999', home: 'Independent' });
+});
+
+test('ESPN NCAA tournament games carry seeds, round and region', () => {
+  const helper = createHelper();
+  const game = helper._normalizeEspnGame({
+    id: '4013',
+    competitions: [{
+      notes: [{ type: 'event', headline: "Men's Basketball Championship - East Region - Sweet 16" }],
+      competitors: [
+        { homeAway: 'home', seed: '1', curatedRank: { current: 2 }, team: { abbreviation: 'DUKE', conferenceId: '2' } },
+        { homeAway: 'away', seed: '4', curatedRank: { current: 99 }, team: { abbreviation: 'ARIZ', conferenceId: '8' } }
+      ]
+    }]
+  }, 'ncaam');
+
+  assert.deepEqual(game.extras.tournament, { round: 'Sweet 16', region: 'East' });
+  assert.deepEqual(game.extras.seeds, { away: 4, home: 1 });
+  assert.deepEqual(game.extras.ranks, { away: null, home: 2 });
+  assert.deepEqual(game.extras.conferences, { away: 'Big 12', home: 'ACC' });
+
+  const finalFour = helper._normalizeEspnGame({
+    id: '4014',
+    notes: [{ headline: "Women's Basketball Championship - Final Four" }],
+    competitions: [{ competitors: [{ homeAway: 'home', team: { abbreviation: 'SC' } }, { homeAway: 'away', team: { abbreviation: 'UCLA' } }] }]
+  }, 'ncaaw');
+  assert.deepEqual(finalFour.extras.tournament, { round: 'Final Four', region: null });
+
+  const conferenceTournament = helper._normalizeEspnGame({
+    id: '4015',
+    competitions: [{
+      notes: [{ headline: 'Big Ten Tournament - Quarterfinal' }],
+      competitors: [{ homeAway: 'home', team: { abbreviation: 'PUR' } }, { homeAway: 'away', team: { abbreviation: 'MSU' } }]
+    }]
+  }, 'ncaam');
+  assert.equal(conferenceTournament.extras.tournament, undefined);
+});
+
+test('Olympic provider games normalize without the legacy ESPN event shape', () => {
+  const helper = createHelper();
+  const [intermediate] = helper._normalizedOlympicGamesFromEvents([{
+    id: 'oly-1',
+    date: '2026-02-22T13:10Z',
+    status: { type: { state: 'post', shortDetail: 'Final/OT' } },
+    competitions: [{
+      competitors: [
+        { homeAway: 'home', score: '3', team: { abbreviation: 'CAN', displayName: 'Canada' } },
+        { homeAway: 'away', score: '2', team: { abbreviation: 'USA', displayName: 'United States' } }
+      ]
+    }]
+  }], 'olympic_mhockey', 'espn_mens_olympics');
+
+  assert.equal(helper._isFinalGame(intermediate), true);
+
+  helper._notifyLeagueGames('olympic_mhockey', [intermediate], { scheduleGames: [intermediate] });
+  const payload = helper.sent[0].payload;
+  const [game] = payload.games;
+
+  assertNormalizedShape(game, SOCKET_SHAPE_KEYS);
+  assert.deepEqual(Object.keys(game.teams.home.team).sort(), ['abbreviation', 'displayName', 'id', 'name', 'shortDisplayName']);
+  assert.equal(game.id, 'oly-1');
+  assert.equal(game.league, 'olympic_mhockey');
+  assert.equal(game.status.detail, 'Final');
+  assert.equal(game.teams.home.team.displayName, 'Canada');
+  assert.equal(game.teams.away.winner, false);
+  assert.equal(game.extras.provider, 'espn_mens_olympics');
+  assert.deepEqual(payload.scheduleGames, payload.games);
+  assert.equal(helper._isFinalGame(game), true);
+});
+
+test('socket payloads project games to card fields and log their size', () => {
+  const helper = createHelper();
+  helper.config = { logPayloadSize: true };
+  const logged = [];
+  const log = console.log;
+  console.log = (message) => logged.push(message);
+  try {
+    helper._notifyLeagueGames('nba', [{
+      id: '501',
+      date: '2026-01-10T01:00Z',
+      links: [{ href: 'https://example.com/game' }],
+      competitions: [{
+        venue: { fullName: 'United Center' },
+        odds: [{ details: 'CHI -3.5' }],
+        status: { period: 4, type: { state: 'post', shortDetail: 'Final' } },
+        competitors: [
+          { homeAway: 'home', score: '101', team: { id: '4', abbreviation: 'CHI', displayName: 'Chicago Bulls', location: 'Chicago' } },
+          { homeAway: 'away', score: '99', team: { id: '2', abbreviation: 'BOS', displayName: 'Boston Celtics', location: 'Boston' } }
+        ]
+      }]
+    }]);
+  } finally {
+    console.log = log;
+  }
+
+  const payload = helper.sent[0].payload;
+  const [game] = payload.games;
+  assertNormalizedShape(game, SOCKET_SHAPE_KEYS);
+  assert.equal(game.teams.home.team.location, undefined);
+  assert.deepEqual(game.teams.home.stats, {});
+  assert.equal(game.teams.home.winner, true);
+  assert.equal(helper._lastGoodByLeague.nba.games[0], game);
+  assert.match(logged.find((line) => /payload/.test(line)), /^📦 nba payload \d+\.\d KB \(1 game\)\.$/);
+
+  logged.length = 0;
+  console.log = (message) => logged.push(message);
+  try {
+    createHelper()._notifyLeagueGames('nba', []);
+  } finally {
+    console.log = log;
+  }
+  assert.deepEqual(logged, []);
+});
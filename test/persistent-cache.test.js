@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Module = require('node:module');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const originalLoad = Module._load;
+Module._load = function(request, parent, isMain) {
+  if (request === 'node_helper') {
+    return {
+      create(definition) {
+        return definition;
+      }
+    };
+  }
+  return originalLoad.apply(this, arguments);
+};
+
+let helperDefinition;
+try {
+  helperDefinition = require('../node_helper');
+} finally {
+  Module._load = originalLoad;
+}
+
+function createHelper(modulePath) {
+  const helper = Object.assign(Object.create(helperDefinition), {
+    path: modulePath,
+    sent: [],
+    sendSocketNotification(notification, payload) {
+      this.sent.push({ notification, payload });
+    }
+  });
+  const log = console.log;
+  const info = console.info;
+  console.log = () => {};
+  console.info = () => {};
+  try {
+    helper.start();
+  } finally {
+    console.log = log;
+    console.info = info;
+  }
+  return helper;
+}
+
+function withQuietConsole(fn) {
+  const log = console.log;
+  const info = console.info;
+  console.log = () => {};
+  console.info = () => {};
+  return Promise.resolve().then(fn).finally(() => {
+    console.log = log;
+    console.info = info;
+  });
+}
+
+test('last-good cache survives a restart and is served as stale', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mmm-scores-cache-'));
+  const config = { identifier: 'a', league: 'nba', seasonalFiltering: false, persistCache: true, cacheFile: 'cache/scores.json' };
+  try {
+    await withQuietConsole(async () => {
+      const first = createHelper(dir);
+      const instance = first._registerInstance(config);
+      first._configurePersistentCache(instance.config);
+      const scope = first._createFetchScope(instance.groupKey, [instance]);
+      scope._notifyGames('nba', [{ id: 'nba-1' }]);
+      first.stop();
+      await first._writePersistentCache();
+
+      const file = path.join(dir, 'cache', 'scores.json');
+      assert.ok(fs.existsSync(file));
+      assert.deepEqual(fs.readdirSync(path.dirname(file)), ['scores.json']);
+      assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(file, 'utf8'))), ['version', 'savedAt', 'groups']);
+
+      const second = createHelper(dir);
+      const restarted = second._registerInstance(config);
+      second._configurePersistentCache(restarted.config);
+      second._createFetchScope(restarted.groupKey, [restarted])._notifyGamesWithFallback('nba', [], { errorMessage: 'down' });
+
+      assert.equal(second.sent.length, 1);
+      assert.equal(second.sent[0].payload.isStale, true);
+      assert.equal(second.sent[0].payload.fallbackUsed, true);
+      assert.deepEqual(second.sent[0].payload.games, [{ id: 'nba-1' }]);
+    });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+function writeCacheFile(dir, lastUpdatedAt) {
+  fs.mkdirSync(path.join(dir, 'cache'));
+  fs.writeFileSync(path.join(dir, 'cache', 'last-good.json'), JSON.stringify({
+    version: 1,
+    groups: {
+      'America/Chicago': {
+        lastGoodByLeague: { nba: { league: 'nba', games: [{ id: 'saved' }], lastUpdatedAt } },
+        olympicLastGoodByLeague: {}
+      }
+    }
+  }));
+}
+
+test('expired cache entries are not restored', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mmm-scores-cache-'));
+  try {
+    writeCacheFile(dir, '2020-01-01T00:00:00.000Z');
+
+    await withQuietConsole(() => {
+      const helper = createHelper(dir);
+      const instance = helper._registerInstance({ identifier: 'a', league: 'nba', seasonalFiltering: false, persistCache: true });
+      helper._configurePersistentCache(instance.config);
+      assert.equal(helper._persistentCache.loadedFiles.length, 1);
+      helper._createFetchScope(instance.groupKey, [instance])._notifyGamesWithFallback('nba', [], { errorMessage: 'down' });
+      assert.equal(helper.sent[0].payload.isStale, undefined);
+      assert.deepEqual(helper.sent[0].payload.games, []);
+    });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a disabled cache reads nothing from disk', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mmm-scores-cache-'));
+  try {
+    writeCacheFile(dir, new Date().toISOString());
+
+    await withQuietConsole(() => {
+      const helper = createHelper(dir);
+      const instance = helper._registerInstance({ identifier: 'a', league: 'nba', seasonalFiltering: false, persistCache: false });
+      helper._configurePersistentCache(instance.config);
+      assert.deepEqual(helper._persistentCache.loadedFiles, []);
+      helper._createFetchScope(instance.groupKey, [instance])._notifyGamesWithFallback('nba', [], { errorMessage: 'down' });
+      assert.equal(helper.sent[0].payload.isStale, undefined);
+      assert.deepEqual(helper.sent[0].payload.games, []);
+    });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
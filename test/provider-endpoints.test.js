@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Module = require('node:module');
+
+const originalLoad = Module._load;
+Module._load = function(request, parent, isMain) {
+  if (request === 'node_helper') {
+    return {
+      create(definition) {
+        return definition;
+      }
+    };
+  }
+  return originalLoad.apply(this, arguments);
+};
+
+let helperDefinition;
+try {
+  helperDefinition = require('../node_helper');
+} finally {
+  Module._load = originalLoad;
+}
+
+function createHelper(config = {}) {
+  const helper = Object.create(helperDefinition);
+  helper.config = config;
+  return helper;
+}
+
+test('provider endpoints use their default origin, query and headers', () => {
+  const helper = createHelper();
+  const mlb = helper._providerFetch('mlb_statsapi', '/api/v1/schedule/games', { sportId: 1, date: '2026-04-01', hydrate: 'linescore' });
+  assert.equal(mlb.url, 'https://statsapi.mlb.com/api/v1/schedule/games?sportId=1&date=2026-04-01&hydrate=linescore');
+  assert.deepEqual(mlb.options, {});
+
+  const nhl = helper._providerFetch('nhl_scoreboard', '/v1/scoreboard/now', { site: 'en_nhl' });
+  assert.equal(nhl.url, 'https://api-web.nhle.com/v1/scoreboard/now?site=en_nhl');
+  assert.equal(nhl.options.headers['User-Agent'], 'Mozilla/5.0 (MMM-Scores)');
+  assert.equal(nhl.options.headers['x-nhl-stats-origin'], 'https://www.nhl.com');
+
+  assert.throws(() => helper._providerFetch('nope', '/'), /Unknown provider endpoint nope/);
+});
+
+test('providers config overrides base URL, query, user agent and headers', () => {
+  const helper = createHelper({
+    apiBaseUrl: 'http://localhost:8787',
+    providers: {
+      espn: { baseUrl: 'http://lan-cache.local:8080/espn/', userAgent: 'MyMirror/1.0', query: { lang: 'en' } },
+      espn_mens_olympics: { headers: { 'X-Mirror': 'olympics' } },
+      nhl_scoreboard: { headers: { 'user-agent': 'NhlAgent/2', Pragma: null }, query: { site: null } }
+    }
+  });
+
+  const nba = helper._providerFetch('espn', '/apis/site/v2/sports/basketball/nba/scoreboard', { dates: '20260301' });
+  assert.equal(nba.url, 'http://lan-cache.local:8080/espn/apis/site/v2/sports/basketball/nba/scoreboard?dates=20260301&lang=en');
+  assert.deepEqual(nba.options.headers, { 'User-Agent': 'MyMirror/1.0' });
+
+  const olympics = helper._providerFetch('espn', '/apis/site/v2/sports/hockey/mens-olympics/scoreboard', { dates: '20260214' }, 'espn_mens_olympics');
+  assert.deepEqual(olympics.options.headers, { 'User-Agent': 'MyMirror/1.0', 'X-Mirror': 'olympics' });
+
+  const nhl = helper._providerFetch('nhl_scoreboard', '/v1/scoreboard/now', { site: 'en_nhl' });
+  assert.equal(nhl.url, 'http://localhost:8787/v1/scoreboard/now');
+  assert.equal(nhl.options.headers['user-agent'], 'NhlAgent/2');
+  assert.equal(nhl.options.headers['User-Agent'], undefined);
+  assert.equal(nhl.options.headers.Pragma, undefined);
+});
+
+test('NHL scoreboard falls back to the /now feed when the dated feed is empty or fails', async () => {
+  const game = { id: 2026020101, startTimeUTC: '2026-10-18T23:00:00Z', gameState: 'FUT', awayTeam: { abbrev: 'CHI' }, homeTeam: { abbrev: 'DAL' } };
+  for (const dated of [{ gameWeek: [] }, new Error('HTTP 500')]) {
+    const urls = [];
+    const helper = createHelper();
+    helper._fetchJson = async (url) => {
+      urls.push(url);
+      if (url.includes('/now')) return { gameWeek: [{ date: '2026-10-18', games: [game] }] };
+      if (dated instanceof Error) throw dated;
+      return dated;
+    };
+
+    const games = await helper._fetchNhlScoreboardGames('2026-10-18');
+    assert.deepEqual(urls, [
+      'https://api-web.nhle.com/v1/scoreboard/2026-10-18?site=en_nhl',
+      'https://api-web.nhle.com/v1/scoreboard/now?site=en_nhl'
+    ]);
+    assert.deepEqual(games.map((entry) => entry.gamePk), [2026020101]);
+  }
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Module = require('node:module');
+const registry = require('../shared-league-registry');
+
+const originalLoad = Module._load;
+Module._load = function(request, parent, isMain) {
+  if (request === 'node_helper') {
+    return {
+      create(definition) {
+        return definition;
+      }
+    };
+  }
+  return originalLoad.apply(this, arguments);
+};
+
+let helperDefinition;
+try {
+  helperDefinition = require('../node_helper');
+} finally {
+  Module._load = originalLoad;
+}
+
+const calls = [];
+registry.registerLeague('failoverball', {
+  providers: [
+    { name: 'primary', fetcher() { calls.push('primary'); throw new Error('primary down'); } },
+    { name: 'secondary', fetcher() { calls.push('secondary'); return []; } },
+    {
+      name: 'tertiary',
+      timeoutMs: 2500,
+      fetcher(request) {
+        calls.push(`tertiary:${this._requestTimeoutMs()}:${request.dateIso}`);
+        return { games: [{ id: 'g1' }], extras: { note: 'from tertiary' } };
+      }
+    }
+  ]
+});
+
+function createHelper(config = {}) {
+  const helper = Object.create(helperDefinition);
+  helper.config = config;
+  helper._providerCache = new Map();
+  helper._persistentCache = { enabled: false };
+  return helper;
+}
+
+function withQuietConsole(fn) {
+  const info = console.info;
+  const warn = console.warn;
+  console.info = () => {};
+  console.warn = () => {};
+  return Promise.resolve().then(fn).finally(() => {
+    console.info = info;
+    console.warn = warn;
+  });
+}
+
+test('provider chain falls through errors and empty results and reports diagnostics', async () => {
+  calls.length = 0;
+  const helper = createHelper();
+  await withQuietConsole(async () => {
+    const request = { league: 'failoverball', dateIso: '2026-03-01', dateCompact: '20260301', context: {} };
+    const result = await helper._runProviderChain('failoverball', request);
+
+    assert.deepEqual(calls, ['primary', 'secondary', 'tertiary:2500:2026-03-01']);
+    assert.equal(result.providerUsed, 'tertiary');
+    assert.deepEqual(result.games, [{ id: 'g1' }]);
+    assert.deepEqual(result.diagnostics.attempts.map((attempt) => attempt.outcome), ['error', 'empty', 'ok']);
+    assert.equal(result.diagnostics.fallbackUsed, true);
+
+    const extras = helper._providerChainExtras(result, { scheduleGames: [] });
+    assert.equal(extras.providerUsed, 'tertiary');
+    assert.equal(extras.fallbackUsed, undefined);
+    assert.equal(extras.note, 'from tertiary');
+    assert.equal(extras.providerDiagnostics, result.diagnostics);
+
+    calls.length = 0;
+    const cached = await helper._runProviderChain('failoverball', request);
+    assert.deepEqual(calls, ['primary', 'secondary']);
+    assert.equal(cached.providerUsed, 'tertiary (cache)');
+  });
+});
+
+test('providerChains config reorders providers and rejects when every provider fails', async () => {
+  calls.length = 0;
+  const helper = createHelper({ providerChains: { failoverball: ['secondary', { name: 'primary' }] } });
+  await withQuietConsole(async () => {
+    const request = { league: 'failoverball', dateIso: '2026-03-02', dateCompact: '20260302', context: {} };
+    const result = await helper._runProviderChain('failoverball', request);
+    assert.deepEqual(calls, ['secondary', 'primary']);
+    assert.equal(result.providerUsed, 'secondary');
+    assert.deepEqual(result.games, []);
+    assert.equal(result.diagnostics.fallbackUsed, false);
+
+    const failing = createHelper({ providerChains: { failoverball: ['primary'] } });
+    await assert.rejects(() => failing._runProviderChain('failoverball', request), /All failoverball providers failed \(primary: primary down\)/);
+  });
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Module = require('node:module');
+const http = require('node:http');
+
+const originalLoad = Module._load;
+Module._load = function(request, parent, isMain) {
+  if (request === 'node_helper') {
+    return {
+      create(definition) {
+        return definition;
+      }
+    };
+  }
+  return originalLoad.apply(this, arguments);
+};
+
+let helperDefinition;
+try {
+  helperDefinition = require('../node_helper');
+} finally {
+  Module._load = originalLoad;
+}
+
+function createHelper(config = {}) {
+  const helper = Object.create(helperDefinition);
+  helper._circuitBreakers = new Map();
+  helper._httpCache = new Map();
+  helper._httpCacheStats = { hits: 0, revalidated: 0, misses: 0 };
+  helper._requestTrace = [];
+  helper.config = config;
+  return helper;
+}
+
+function withEnv(values, fn) {
+  const keys = ['HTTPS_PROXY', 'https_proxy', 'HTTP_PROXY', 'http_proxy', 'NO_PROXY', 'no_proxy'];
+  const saved = keys.map((key) => [key, process.env[key]]);
+  keys.forEach((key) => { delete process.env[key]; });
+  Object.assign(process.env, values);
+  return Promise.resolve().then(fn).finally(() => {
+    saved.forEach(([key, value]) => {
+      if (typeof value === 'undefined') delete process.env[key];
+      else process.env[key] = value;
+    });
+  });
+}
+
+async function listen(server) {
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+test('proxy selection honours the environment, NO_PROXY and the proxy option', async () => {
+  await withEnv({ HTTPS_PROXY: 'http://corp-proxy:3128', HTTP_PROXY: 'http://plain-proxy:8080', NO_PROXY: 'localhost, .internal.example, api.nhle.com:8443' }, () => {
+    const helper = createHelper();
+    assert.equal(helper._proxyForUrl('https://site.api.espn.com/x'), 'http://corp-proxy:3128');
+    assert.equal(helper._proxyForUrl('http://statsapi.mlb.com/x'), 'http://plain-proxy:8080');
+    assert.equal(helper._proxyForUrl('http://localhost:8787/x'), null);
+    assert.equal(helper._proxyForUrl('https://scores.internal.example/x'), null);
+    assert.equal(helper._proxyForUrl('https://api.nhle.com/x'), 'http://corp-proxy:3128');
+    assert.equal(helper._proxyForUrl('https://api.nhle.com:8443/x'), null);
+
+    assert.equal(createHelper({ proxy: 'http://mirror-proxy:3128' })._proxyForUrl('http://statsapi.mlb.com/x'), 'http://mirror-proxy:3128');
+    assert.equal(createHelper({ proxy: false })._proxyForUrl('https://site.api.espn.com/x'), null);
+    assert.equal(createHelper({ noProxy: ['*'] })._proxyForUrl('https://site.api.espn.com/x'), null);
+  });
+});
+
+test('requests go through the proxy and report it in request diagnostics', async () => {
+  const seen = [];
+  const proxy = http.createServer((req, res) => {
+    seen.push({ method: req.method, url: req.url, auth: req.headers['proxy-authorization'] });
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end('{"proxied":true}');
+  });
+  proxy.on('connect', (req, socket) => {
+    seen.push({ method: req.method, url: req.url, auth: req.headers['proxy-authorization'] });
+    socket.end('HTTP/1.1 407 Proxy Authentication Required\r\n\r\n');
+  });
+  const proxyBase = await listen(proxy);
+  const proxyUrl = proxyBase.replace('http://', 'http://user:secret@');
+
+  try {
+    await withEnv({}, async () => {
+      const helper = createHelper({ proxy: proxyUrl, circuitBreakerThreshold: 10 });
+      assert.deepEqual(await helper._fetchJson('http://scores.example/api?date=1'), { proxied: true });
+      assert.deepEqual(seen[0], { method: 'GET', url: 'http://scores.example/api?date=1', auth: `Basic ${Buffer.from('user:secret').toString('base64')}` });
+
+      await assert.rejects(() => helper._fetchJson('https://secure.example/api', {}, 'Secure feed'), /Proxy CONNECT to secure\.example failed with HTTP 407/);
+      assert.equal(seen[1].method, 'CONNECT');
+      assert.equal(seen[1].url, 'secure.example:443');
+
+      assert.deepEqual(helper._requestTrace.map((entry) => [entry.endpoint, entry.proxied, entry.proxy, entry.status]), [
+        ['scores.example/api', true, proxyBase, 200],
+        ['secure.example/api', true, proxyBase, null]
+      ]);
+      assert.match(helper._requestTrace[1].error, /Proxy CONNECT/);
+    });
+  } finally {
+    await new Promise((resolve) => proxy.close(resolve));
+  }
+});
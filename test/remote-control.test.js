@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const frontEnd = require('./helpers/front-end');
+
+function createModule(config = {}) {
+  const timers = [];
+  const module = frontEnd.createModule(config, {
+    console: { warn() {}, log() {}, error() {} },
+    setTimeout: (fn, delay) => { timers.push({ fn, delay }); return timers.length; },
+    clearTimeout: (id) => { if (timers[id - 1]) timers[id - 1].cleared = true; }
+  });
+  Object.assign(module, {
+    identifier: 'module_1_MMM-Scores',
+    timers,
+    renders: 0,
+    updateDom() { this.renders += 1; },
+    gamesByLeague: {},
+    loadedLeagues: {},
+    currentScreen: 0,
+    _leagueRotation: config.league,
+    _activeLeagueIndex: 0
+  });
+  return module;
+}
+
+function games(league, count) {
+  return Array.from({ length: count }, (_, i) => ({
+    id: `${league}-${i}`,
+    teams: {
+      away: { team: { abbreviation: `A${i}` } },
+      home: { team: { abbreviation: `H${i}` } }
+    }
+  }));
+}
+
+function loadLeagues(module, counts) {
+  for (const [league, count] of Object.entries(counts)) {
+    module.gamesByLeague[league] = games(league, count);
+    module.loadedLeagues[league] = true;
+  }
+  module._applyActiveLeagueState();
+}
+
+test('page and league notifications move the rotation and restart its timer', () => {
+  const module = createModule({ league: ['nhl', 'nba'] });
+  loadLeagues(module, { nhl: 20, nba: 3 });
+  assert.equal(module.totalGamePages, 2);
+
+  assert.equal(module._handleRemoteNotification('SCORES_NEXT_PAGE'), true);
+  assert.equal(module.currentScreen, 1);
+  assert.equal(module.renders, 1);
+  assert.equal(module.timers.length, 1);
+
+  module.notificationReceived('SCORES_NEXT_PAGE');
+  assert.equal(module._getLeague(), 'nba');
+  assert.equal(module.currentScreen, 0);
+
+  module.notificationReceived('SCORES_PREV_PAGE');
+  assert.equal(module._getLeague(), 'nhl');
+  assert.equal(module.currentScreen, 1);
+
+  module.notificationReceived('SCORES_SHOW_LEAGUE', 'NBA');
+  assert.equal(module._getLeague(), 'nba');
+  module.notificationReceived('SCORES_SHOW_LEAGUE', { league: 'nhl', page: 2 });
+  assert.equal(module._getLeague(), 'nhl');
+  assert.equal(module.currentScreen, 1);
+
+  assert.equal(module._handleRemoteNotification('SCORES_SHOW_LEAGUE', 'nfl'), false);
+  assert.equal(module._handleRemoteNotification('SCORES_NEXT_PAGE', { identifier: 'module_2_MMM-Scores' }), false);
+  assert.equal(module._getLeague(), 'nhl');
+});
+
+test('pause, resume and focus-team notifications', () => {
+  const module = createModule({ league: ['nhl', 'nba'] });
+  loadLeagues(module, { nhl: 20, nba: 3 });
+
+  module.notificationReceived('SCORES_PAUSE_ROTATION');
+  assert.equal(module._rotationPaused, true);
+
+  module.notificationReceived('SCORES_FOCUS_TEAM', 'h18');
+  assert.equal(module._getLeague(), 'nhl');
+  assert.equal(module.currentScreen, 1);
+  assert.equal(module.timers.length, 0);
+
+  module.notificationReceived('SCORES_FOCUS_TEAM', { team: 'A2', league: 'nba' });
+  assert.equal(module._getLeague(), 'nba');
+  assert.equal(module.currentScreen, 0);
+  assert.equal(module._handleRemoteNotification('SCORES_FOCUS_TEAM', 'ZZZ'), false);
+
+  module.notificationReceived('SCORES_RESUME_ROTATION');
+  assert.equal(module._rotationPaused, false);
+  assert.equal(module.timers.length, 1);
+  assert.equal(module._handleRemoteNotification('SCORES_RESUME_ROTATION'), false);
+});
+
+test('focus-team finds teams that only appear on the upcoming schedule', () => {
+  const module = createModule({ league: ['nhl', 'nba'] });
+  module.scheduleGamesByLeague = { nba: games('nba', 2).map((game) => Object.assign(game, { id: `${game.id}-next` })) };
+  module.scheduleGamesByLeague.nba[1].teams.home.team.abbreviation = 'BOS';
+  loadLeagues(module, { nhl: 20, nba: 3 });
+
+  module.notificationReceived('SCORES_FOCUS_TEAM', 'bos');
+  assert.equal(module._getLeague(), 'nba');
+  assert.equal(module.totalGamePages, 2);
+  assert.equal(module.currentScreen, 1);
+
+  module.scheduleGamesByLeague = { nba: [] };
+  module.gamesByLeague.nba = [];
+  module.scheduleGamesByLeague.nhl = games('nhl', 1);
+  module.scheduleGamesByLeague.nhl[0].teams.away.team.abbreviation = 'BOS';
+  module.notificationReceived('SCORES_FOCUS_TEAM', 'BOS');
+  assert.equal(module._getLeague(), 'nhl');
+  assert.equal(module.currentScreen, 2);
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Module = require('node:module');
+const http = require('node:http');
+
+const originalLoad = Module._load;
+Module._load = function(request, parent, isMain) {
+  if (request === 'node_helper') {
+    return {
+      create(definition) {
+        return definition;
+      }
+    };
+  }
+  return originalLoad.apply(this, arguments);
+};
+
+let helperDefinition;
+try {
+  helperDefinition = require('../node_helper');
+} finally {
+  Module._load = originalLoad;
+}
+
+function createHelper(config = {}) {
+  const helper = Object.create(helperDefinition);
+  const log = console.log;
+  console.log = () => {};
+  try {
+    helper.start();
+  } finally {
+    console.log = log;
+  }
+  helper.config = config;
+  return helper;
+}
+
+async function withSlowServer(fn) {
+  const state = { active: 0, peak: 0, peakByHost: {}, activeByHost: {}, hits: [] };
+  const server = http.createServer((req, res) => {
+    const host = req.headers.host.split(':')[0];
+    state.hits.push(`${host}${req.url}`);
+    state.active += 1;
+    state.activeByHost[host] = (state.activeByHost[host] || 0) + 1;
+    state.peak = Math.max(state.peak, state.active);
+    state.peakByHost[host] = Math.max(state.peakByHost[host] || 0, state.activeByHost[host]);
+    setTimeout(() => {
+      state.active -= 1;
+      state.activeByHost[host] -= 1;
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ url: req.url }));
+    }, 30);
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  try {
+    await fn(server.address().port, state);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+test('request queue caps total and per-host concurrency', async () => {
+  const helper = createHelper({ maxConcurrentRequests: 3, maxRequestsPerHost: 2, conditionalRequests: false });
+  await withSlowServer(async (port, state) => {
+    const urls = [];
+    for (let i = 0; i < 5; i += 1) {
+      urls.push(`http://127.0.0.1:${port}/a${i}`, `http://localhost:${port}/b${i}`);
+    }
+    const bodies = await Promise.all(urls.map((url) => helper._fetchJson(url)));
+
+    assert.equal(bodies.length, 10);
+    assert.equal(state.hits.length, 10);
+    assert.ok(state.peak <= 3, `peak ${state.peak}`);
+    assert.ok(state.peakByHost['127.0.0.1'] <= 2);
+    assert.ok(state.peakByHost.localhost <= 2);
+    assert.equal(helper._requestQueue.active, 0);
+    assert.equal(helper._requestQueue.activeByHost.size, 0);
+  });
+});
+
+test('identical in-flight requests share one network call', async () => {
+  const helper = createHelper({ conditionalRequests: false });
+  await withSlowServer(async (port, state) => {
+    const url = `http://127.0.0.1:${port}/scoreboard?dates=20261018`;
+    const [first, second] = await Promise.all([helper._fetchJson(url), helper._fetchJson(url)]);
+    assert.deepEqual(first, { url: '/scoreboard?dates=20261018' });
+    assert.deepEqual(second, first);
+    assert.equal(state.hits.length, 1);
+    assert.equal(helper._requestQueue.inFlight.size, 0);
+
+    await helper._fetchJson(url);
+    assert.equal(state.hits.length, 2);
+  });
+});
+
+test('poll jitter uses the smallest configured value', () => {
+  const helper = createHelper();
+  assert.equal(helper._pollJitterMs([{ config: {} }]), 5000);
+  assert.equal(helper._pollJitterMs([{ config: { pollJitterMs: 8000 } }, { config: { pollJitterMs: 0 } }]), 0);
+});
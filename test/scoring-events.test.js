@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createModule } = require('./helpers/front-end');
+
+// Arrays built inside the VM context fail deepEqual's prototype check.
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function game(id, away, home, state = 'live') {
+  return {
+    id,
+    status: { state },
+    teams: {
+      away: { team: { abbreviation: 'AWY' }, score: away },
+      home: { team: { abbreviation: 'HOM' }, score: home }
+    }
+  };
+}
+
+test('score diffs name plays from the league scoring style', () => {
+  const module = createModule();
+
+  assert.deepEqual(plain(module._detectScoringEvents('mlb', [game(1, 0, 0)])), []);
+
+  const runs = module._detectScoringEvents('mlb', [game(1, 2, 1)]);
+  assert.deepEqual(plain(runs.map((event) => [event.type, event.side, event.points])), [
+    ['run', 'away', 2],
+    ['run', 'home', 1]
+  ]);
+  assert.equal(runs[0].team, 'AWY');
+  assert.deepEqual(plain(runs[0].score), { away: 2, home: 1 });
+
+  module._detectScoringEvents('nfl', [game('a', 0, 0), game('b', 10, 7)]);
+  const plays = module._detectScoringEvents('nfl', [game('a', 7, 3), game('b', 10, 9)]);
+  assert.deepEqual(plain(plays.map((event) => `${event.gameId}:${event.type}:${event.side}`)), [
+    'a:touchdown:away',
+    'a:field_goal:home',
+    'b:two_points:home'
+  ]);
+
+  module._detectScoringEvents('nhl', [game(5, 1, 0)]);
+  const flip = module._detectScoringEvents('nhl', [game(5, 1, 2)]);
+  assert.deepEqual(plain(flip.map((event) => [event.type, event.side])), [
+    ['goal', 'home'],
+    ['lead_change', 'home']
+  ]);
+
+  const final = module._detectScoringEvents('nhl', [game(5, 1, 2, 'final')]);
+  assert.deepEqual(plain(final.map((event) => [event.type, event.side, event.state])), [['final', 'home', 'final']]);
+  assert.deepEqual(plain(module._detectScoringEvents('nhl', [game(5, 1, 2, 'final')])), []);
+});
+
+test('scored cards animate and accent the scoring team total', () => {
+  const module = createModule({ scoreAnimation: 'pulse' });
+  module.getLogoUrl = () => 'logo.png';
+  module._setScoreboardStatusText = (el, text) => { el.textContent = text; };
+
+  module._detectScoringEvents('nba', [game(9, 50, 48)]);
+  module._recordScoringEvents(module._detectScoringEvents('nba', [game(9, 50, 51)]));
+  const highlight = module._scoringHighlightFor('nba', { id: 9 });
+  assert.equal(highlight.side, 'home');
+  assert.equal(highlight.type, 'lead_change');
+
+  module._cardScoringHighlight = highlight;
+  const card = module._createScoreboardCard({
+    league: 'nba',
+    live: true,
+    metricLabels: [],
+    rows: [
+      { type: 'away', abbr: 'AWY', total: 50 },
+      { type: 'home', abbr: 'HOM', total: 51 }
+    ]
+  });
+  module._cardScoringHighlight = null;
+
+  assert.ok(card.classList.contains('score-changed'));
+  assert.ok(card.classList.contains('score-pulse'));
+  const totals = card.findAll((el) => el.classList.contains('scoreboard-team-total'));
+  assert.deepEqual(totals.map((el) => el.classList.contains('scoring-team-total')), [false, true]);
+
+  const mlbCard = module._createScoreboardCard({
+    league: 'mlb',
+    scoring: { side: 'away' },
+    metricLabels: ['R', 'H', 'E'],
+    rows: [{ type: 'away', abbr: 'AWY', metrics: [3, 5, 0] }]
+  });
+  const values = [];
+  mlbCard.find((el) => { if (el.classList.contains('scoreboard-value')) values.push(el); return false; });
+  assert.deepEqual(values.map((el) => el.classList.contains('scoring-team-total')), [true, false, false]);
+
+  module.config.scoreAnimation = 'none';
+  assert.equal(module._scoreAnimationClass(), null);
+});
+
+test('game events are broadcast as filtered MagicMirror notifications', () => {
+  const module = createModule({ highlightedTeams_nhl: ['HOM'], notificationTeams: 'highlighted' });
+  const sent = [];
+  module.sendNotification = (notification, payload) => sent.push({ notification, payload: plain(payload) });
+
+  const other = (state, away, home) => {
+    const entry = game('x', away, home, state);
+    entry.teams.away.team.abbreviation = 'OTA';
+    entry.teams.home.team.abbreviation = 'OTH';
+    return entry;
+  };
+
+  module._detectScoringEvents('nhl', [game(7, 0, 0, 'pre'), other('live', 0, 0)]);
+  const later = [game(7, 1, 0), other('live', 1, 0)];
+  module._broadcastGameEvents('nhl', later, module._detectScoringEvents('nhl', later), { isStale: false });
+
+  assert.deepEqual(sent.map((entry) => entry.notification), ['SCORES_GAME_START', 'SCORES_SCORE_CHANGE', 'SCORES_UPDATED']);
+  const change = sent[1].payload;
+  assert.equal(change.league, 'nhl');
+  assert.equal(change.play, 'goal');
+  assert.equal(change.team, 'AWY');
+  assert.equal(change.leadChange, false);
+  assert.equal(change.highlighted, true);
+  assert.deepEqual(change.home, { abbreviation: 'HOM', name: null, score: 0, highlighted: true });
+  assert.equal(sent[2].payload.games, 2);
+  assert.equal(sent[2].payload.live, 2);
+
+  sent.length = 0;
+  module.config.notificationTeams = 'all';
+  module.config.notificationEvents = ['SCORE_CHANGE', 'SCORES_GAME_FINAL'];
+  const comeback = [game(7, 1, 2, 'final'), other('live', 1, 0)];
+  module._broadcastGameEvents('nhl', comeback, module._detectScoringEvents('nhl', comeback), null);
+
+  assert.deepEqual(sent.map((entry) => `${entry.notification}:${entry.payload.leadChange}`), [
+    'SCORES_SCORE_CHANGE:true',
+    'SCORES_GAME_FINAL:undefined'
+  ]);
+  assert.equal(sent[0].payload.score.home, 2);
+
+  sent.length = 0;
+  module.config.broadcastNotifications = false;
+  module._broadcastGameEvents('nhl', comeback, [], null);
+  assert.equal(sent.length, 0);
+});